@@ -0,0 +1,358 @@
+const http = require('http')
+const crypto = require('crypto')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+const DEFAULT_BODY_LIMIT = 64 * 1024 // 64 KB
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' }
+
+/**
+ * An error answered with a specific HTTP status.
+ */
+class HttpError extends Error {
+  /**
+     * @param {number} status
+     * @param {string} message
+     * @param {object} [headers]
+     */
+  constructor (status, message, headers = {}) {
+    super(message)
+    this.status = status
+    this.headers = headers
+  }
+}
+
+/**
+ * Parses an optional boolean query parameter.
+ * @param {string|null} value
+ * @returns {boolean|undefined}
+ */
+function parseBoolean (value) {
+  if (value === null) return undefined
+  if (value === 'true') return true
+  if (value === 'false') return false
+  throw new HttpError(400, `Expected true or false, got "${value}".`)
+}
+
+/**
+ * Parses an optional numeric query parameter.
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+function parseNumber (value) {
+  if (value === null) return undefined
+  const number = Number(value)
+  if (value === '' || !Number.isFinite(number)) {
+    throw new HttpError(400, `Expected a number, got "${value}".`)
+  }
+  return number
+}
+
+/**
+ * An admin API for a running tracker, built on Node's `http` module.
+ *
+ * All responses are JSON, and every request must carry the configured token
+ * as `Authorization: Bearer <token>`. Paths are relative to `prefix`:
+ *
+ *  - `GET /stats?top=10`: counts per category, noisiest keys, deferred backlog.
+ *  - `GET /records?category=&deferred=&minCount=&cursor=&limit=`: a page of records.
+ *  - `GET /records/:category/:id`: one record.
+ *  - `GET /records/:category/:id/history`: its latest occurrences, with `options.history`.
+ *  - `GET /deferred`: the deferred queue, soonest due first.
+ *  - `POST /records/:category/:id/flush`: make a deferred record due now.
+ *  - `POST /records/:category/:id/reset`: clear a record and its suppression.
+ *  - `PATCH /records/:category/:id/config`: merge the JSON body into a record's config.
+ *  - `PATCH /categories/:category/config`: the same, for every record of a category.
+ *
+ * In read-only mode, the POST and PATCH routes answer 403.
+ */
+class AdminServer {
+  /**
+     * @param {EventTracker} tracker - The tracker to inspect and control.
+     * @param {object} options
+     * @param {string} options.token - The bearer token requests must present.
+     * @param {boolean} [options.readOnly=false] - Refuse every request that would change state.
+     * @param {string} [options.prefix=''] - Path the routes are mounted under, e.g. '/admin/events'.
+     * @param {number} [options.bodyLimit=65536] - Max request body size, in bytes.
+     */
+  constructor (tracker, options = {}) {
+    if (typeof options.token !== 'string' || !options.token) {
+      throw new Error('AdminServer requires a token.')
+    }
+    this.tracker = tracker
+    this.token = Buffer.from(options.token)
+    this.readOnly = options.readOnly ?? false
+    this.prefix = (options.prefix ?? '').replace(/\/+$/, '')
+    this.bodyLimit = options.bodyLimit ?? DEFAULT_BODY_LIMIT
+    this.server = null
+    this.routes = [
+      { method: 'GET', pattern: /^\/stats$/, handler: (match, url) => this._stats(url) },
+      { method: 'GET', pattern: /^\/records$/, handler: (match, url) => this._listRecords(url) },
+      { method: 'GET', pattern: /^\/records\/([^/]+)\/([^/]+)$/, handler: match => this._getRecord(match) },
+      { method: 'GET', pattern: /^\/records\/([^/]+)\/([^/]+)\/history$/, handler: match => this._getHistory(match) },
+      { method: 'GET', pattern: /^\/deferred$/, handler: () => this._deferred() },
+      { method: 'POST', pattern: /^\/records\/([^/]+)\/([^/]+)\/flush$/, write: true, handler: match => this._flush(match) },
+      { method: 'POST', pattern: /^\/records\/([^/]+)\/([^/]+)\/reset$/, write: true, handler: match => this._reset(match) },
+      { method: 'PATCH', pattern: /^\/records\/([^/]+)\/([^/]+)\/config$/, write: true, body: true, handler: (match, url, body) => this._updateConfig(match, body) },
+      { method: 'PATCH', pattern: /^\/categories\/([^/]+)\/config$/, write: true, body: true, handler: (match, url, body) => this._updateCategoryConfig(match, body) }
+    ]
+  }
+
+  /**
+     * Handles a request if its path is under `prefix`, e.g. from an existing
+     * server's request handler:
+     *
+     *     http.createServer(async (req, res) => {
+     *       if (await admin.handle(req, res)) return
+     *       // ... the application's own routes
+     *     })
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @returns {Promise<boolean>} False, without responding, if the path is not under `prefix`.
+     */
+  async handle (req, res) {
+    try {
+      const url = this._parseUrl(req.url)
+      if (url.pathname !== this.prefix && !url.pathname.startsWith(`${this.prefix}/`)) return false
+      const path = url.pathname.slice(this.prefix.length) || '/'
+
+      this._authenticate(req)
+      const { route, match } = this._route(req.method, path)
+      if (route.write && this.readOnly) {
+        throw new HttpError(403, 'The admin API is read-only.')
+      }
+      const body = route.body ? await this._readBody(req) : undefined
+      this._send(res, 200, await route.handler(match, url, body))
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500
+      this._send(res, status, { error: error.message }, error.headers)
+    }
+    return true
+  }
+
+  /**
+     * Starts a standalone server answering only the admin routes.
+     * @param {number} [port=0] - 0 picks a free port; see `server.address()`.
+     * @param {string} [host] - Defaults to all interfaces, as with `server.listen`.
+     * @returns {Promise<http.Server>}
+     */
+  listen (port = 0, host) {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).then(
+        (handled) => {
+          if (!handled) this._send(res, 404, { error: 'Not found.' })
+        },
+        (error) => {
+          // handle() answers errors itself, so this one came from writing the response
+          res.destroy(error)
+        }
+      )
+    })
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject)
+        resolve(this.server)
+      })
+    })
+  }
+
+  /**
+     * Stops the standalone server, if one was started.
+     * @returns {Promise<void>}
+     */
+  close () {
+    const server = this.server
+    this.server = null
+    if (!server) return Promise.resolve()
+    return new Promise((resolve, reject) => server.close(error => error ? reject(error) : resolve()))
+  }
+
+  /**
+     * @param {string} path - The request target, as sent by the client.
+     * @returns {URL}
+     */
+  _parseUrl (path) {
+    try {
+      return new URL(path, 'http://localhost')
+    } catch (error) {
+      throw new HttpError(400, 'Malformed request URL.')
+    }
+  }
+
+  /**
+     * @param {http.IncomingMessage} req
+     */
+  _authenticate (req) {
+    const [scheme, token] = (req.headers.authorization ?? '').split(' ')
+    const presented = Buffer.from(token ?? '')
+    // Compared in constant time, so response times do not reveal how much of a guess was right
+    const valid = scheme === 'Bearer' && presented.length === this.token.length &&
+      crypto.timingSafeEqual(presented, this.token)
+    if (!valid) {
+      throw new HttpError(401, 'A valid bearer token is required.', { 'WWW-Authenticate': 'Bearer' })
+    }
+  }
+
+  /**
+     * @param {string} method
+     * @param {string} path
+     * @returns {{route: object, match: string[]}}
+     */
+  _route (method, path) {
+    const matching = this.routes
+      .map(route => ({ route, match: route.pattern.exec(path) }))
+      .filter(({ match }) => match)
+    if (!matching.length) {
+      throw new HttpError(404, 'Not found.')
+    }
+    const found = matching.find(({ route }) => route.method === method)
+    if (!found) {
+      const allowed = matching.map(({ route }) => route.method).join(', ')
+      throw new HttpError(405, `Method ${method} not allowed.`, { Allow: allowed })
+    }
+    try {
+      return { route: found.route, match: found.match.map(segment => segment && decodeURIComponent(segment)) }
+    } catch (error) {
+      throw new HttpError(400, 'Malformed path.')
+    }
+  }
+
+  /**
+     * Reads and parses a JSON object body.
+     * @param {http.IncomingMessage} req
+     * @returns {Promise<object>}
+     */
+  async _readBody (req) {
+    const chunks = []
+    let size = 0
+    for await (const chunk of req) {
+      size += chunk.length
+      if (size > this.bodyLimit) {
+        throw new HttpError(413, `Request body exceeds ${this.bodyLimit} bytes.`)
+      }
+      chunks.push(chunk)
+    }
+    let body
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+    } catch (error) {
+      throw new HttpError(400, 'Request body must be valid JSON.')
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object.')
+    }
+    return body
+  }
+
+  /**
+     * @param {http.ServerResponse} res
+     * @param {number} status
+     * @param {object} payload
+     * @param {object} [headers]
+     */
+  _send (res, status, payload, headers = {}) {
+    res.writeHead(status, { ...JSON_HEADERS, ...headers })
+    res.end(JSON.stringify(payload))
+  }
+
+  /**
+     * @param {URL} url
+     * @returns {Promise<import('../index.js').TrackerStats>}
+     */
+  async _stats (url) {
+    return this.tracker.getStats({ top: parseNumber(url.searchParams.get('top')) })
+  }
+
+  /**
+     * @param {URL} url
+     * @returns {Promise<{records: object[], cursor: string|null}>}
+     */
+  async _listRecords (url) {
+    const params = url.searchParams
+    return this.tracker.listRecords({
+      category: params.get('category') ?? undefined,
+      deferred: parseBoolean(params.get('deferred')),
+      minCount: parseNumber(params.get('minCount')),
+      cursor: params.get('cursor'),
+      limit: parseNumber(params.get('limit'))
+    })
+  }
+
+  /**
+     * @param {string[]} match - The path match: category and id.
+     * @returns {Promise<{record: object}>}
+     */
+  async _getRecord ([, category, id]) {
+    const record = await this.tracker.getRecord(category, id)
+    if (!record) {
+      throw new HttpError(404, `No record for ${category}/${id}.`)
+    }
+    return { record }
+  }
+
+  /**
+     * @param {string[]} match - The path match: category and id.
+     * @returns {Promise<{history: object[]}>}
+     */
+  async _getHistory ([, category, id]) {
+    if (!this.tracker.history) {
+      throw new HttpError(404, 'History is not enabled.')
+    }
+    return { history: await this.tracker.getHistory(category, id) }
+  }
+
+  /**
+     * @returns {Promise<{records: object[]}>}
+     */
+  async _deferred () {
+    const records = await this.tracker.getDeferredEvents()
+    return { records: records.sort((a, b) => a.scheduledSendAt - b.scheduledSendAt) }
+  }
+
+  /**
+     * @param {string[]} match - The path match: category and id.
+     * @returns {Promise<{flushed: boolean}>}
+     */
+  async _flush ([, category, id]) {
+    if (!(await this.tracker.flushDeferred(category, id))) {
+      throw new HttpError(404, `No deferred record for ${category}/${id}.`)
+    }
+    return { flushed: true }
+  }
+
+  /**
+     * @param {string[]} match - The path match: category and id.
+     * @returns {Promise<{reset: boolean}>}
+     */
+  async _reset ([, category, id]) {
+    return { reset: await this.tracker.reset(category, id) }
+  }
+
+  /**
+     * @param {string[]} match - The path match: category and id.
+     * @param {object} config - Fields merged into the record's config.
+     * @returns {Promise<{updated: number}>}
+     */
+  async _updateConfig ([, category, id], config) {
+    if (!(await this.tracker.updateConfig(category, id, config))) {
+      throw new HttpError(404, `No record for ${category}/${id}.`)
+    }
+    return { updated: 1 }
+  }
+
+  /**
+     * @param {string[]} match - The path match: category.
+     * @param {object} config - Fields merged into the config of each record.
+     * @returns {Promise<{updated: number}>}
+     */
+  async _updateCategoryConfig ([, category], config) {
+    return { updated: await this.tracker.updateCategoryConfig(category, config) }
+  }
+}
+
+AdminServer.HttpError = HttpError
+
+module.exports = AdminServer
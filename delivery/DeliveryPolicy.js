@@ -0,0 +1,147 @@
+const RuleSet = require('../rules/RuleSet')
+const { parseCron, nextCronTime } = require('./cron')
+const { assertTimeZone, wallClock, instantsAt, resolve, addDays } = require('./zonedTime')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ */
+
+/**
+ * @typedef {object} QuietHours
+ * @property {string} start - Wall-clock time ('HH:MM') quiet hours start at.
+ * @property {string} end - Wall-clock time they end at. Before `start` for quiet hours over midnight.
+ * @property {string} [days='*'] - The days quiet hours start on, as a cron day-of-week field, e.g.
+ * 'mon-fri' or 'sat,sun'.
+ */
+
+/**
+ * @typedef {object} DeliveryPolicyOptions
+ * @property {string|RegExp} [category='*'] - Glob (`*`, `?`) or regex of the categories the policy applies to.
+ * @property {string} [timezone='UTC'] - IANA time zone the schedule and quiet hours are read in.
+ * @property {string} [cron] - Cron expression (`minute hour day-of-month month day-of-week`, or a macro
+ * such as `@hourly`) deliveries are aligned to: a deferred record falls due at the first firing at or
+ * after the time its strategy deferred it to.
+ * @property {QuietHours} [quietHours] - Deferred records falling due during quiet hours are held until
+ * they end, unless they have seen an event of `bypassSeverity` or above.
+ * @property {string|null} [bypassSeverity] - Defaults to the tracker's highest severity. Null holds every record.
+ */
+
+// Enough to step over a few quiet-hours windows the schedule keeps firing into
+const MAX_STEPS = 32
+
+/**
+ * Parses a wall-clock time of day.
+ * @param {string} text - 'HH:MM'.
+ * @returns {number} Minutes since midnight.
+ */
+function parseTimeOfDay (text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text))
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day "${text}"; expected 'HH:MM'.`)
+  }
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+/**
+ * A calendar-aware delivery policy for the deferred records of some
+ * categories: it moves the `scheduledSendAt` their strategy (or quota)
+ * computed to the next firing of a cron schedule, e.g. the top of the hour,
+ * and past quiet hours.
+ *
+ * Times are wall-clock times of the policy's time zone, converted to exact
+ * instants across DST transitions (see `cron.js`). A quiet-hours end skipped
+ * by clocks going forward is taken to be the instant it would have been with
+ * the old offset, and one occurring twice is the first occurrence after the
+ * record would otherwise have fallen due.
+ */
+class DeliveryPolicy {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance, whose severities are used.
+     * @param {DeliveryPolicyOptions} [options={}]
+     */
+  constructor (tracker, options = {}) {
+    this.tracker = tracker
+    this.categoryPattern = RuleSet.compilePattern(options.category ?? '*')
+    this.timezone = options.timezone ?? 'UTC'
+    assertTimeZone(this.timezone)
+    this.cron = options.cron === undefined ? null : parseCron(options.cron)
+    this.quietHours = options.quietHours ? DeliveryPolicy._compileQuietHours(options.quietHours) : null
+    const levels = tracker.severities.levels
+    this.bypassSeverity = options.bypassSeverity === undefined ? levels[levels.length - 1] : options.bypassSeverity
+    tracker.severities.assert(this.bypassSeverity)
+  }
+
+  /**
+     * @param {QuietHours} quietHours
+     * @returns {{start: number, end: number, weekdays: Set<number>}}
+     */
+  static _compileQuietHours (quietHours) {
+    const start = parseTimeOfDay(quietHours.start)
+    const end = parseTimeOfDay(quietHours.end)
+    if (start === end) {
+      throw new Error('Quiet hours must start and end at different times.')
+    }
+    const { weekdays } = parseCron(`* * * * ${quietHours.days ?? '*'}`)
+    return { start, end, weekdays }
+  }
+
+  /**
+     * @param {string} category
+     * @returns {boolean}
+     */
+  matches (category) {
+    return this.categoryPattern.test(category)
+  }
+
+  /**
+     * Computes when a deferred record falls due under this policy.
+     * @param {number} at - When its strategy (or quota) deferred it to.
+     * @param {EventRecord} record
+     * @returns {number} The first time at or after `at` the schedule fires outside quiet hours. If it
+     * fires outside them in none of the next MAX_STEPS windows, when the first one it fires into ends.
+     */
+  schedule (at, record) {
+    const held = this.quietHours !== null && this.bypassSeverity !== null &&
+      this.tracker.severities.rank(record.maxSeverity) < this.tracker.severities.rank(this.bypassSeverity)
+    let time = at
+    let firstQuietEnd = null
+    for (let step = 0; step < MAX_STEPS; step++) {
+      let next = this.cron ? nextCronTime(this.cron, time, this.timezone) : time
+      const quietEnd = held ? this._quietUntil(next) : null
+      if (quietEnd !== null) {
+        firstQuietEnd = firstQuietEnd ?? quietEnd
+        next = quietEnd
+      }
+      if (next === time) return time
+      time = next
+    }
+    // The schedule only fires during quiet hours: rather than drift further out, deliver as they end
+    return firstQuietEnd ?? time
+  }
+
+  /**
+     * @param {number} instant
+     * @returns {number|null} When the quiet hours `instant` falls in end, or null if it falls in none.
+     */
+  _quietUntil (instant) {
+    const { start, end, weekdays } = this.quietHours
+    const wall = wallClock(instant, this.timezone)
+    const minute = wall.hour * 60 + wall.minute
+    let endDate = null
+    if (start < end) {
+      if (weekdays.has(wall.weekday) && minute >= start && minute < end) endDate = wall
+    } else if (minute >= start && weekdays.has(wall.weekday)) {
+      endDate = addDays(wall, 1)
+    } else if (minute < end && weekdays.has(addDays(wall, -1).weekday)) {
+      endDate = wall
+    }
+    if (endDate === null) return null
+
+    const endWall = { year: endDate.year, month: endDate.month, day: endDate.day, hour: Math.floor(end / 60), minute: end % 60 }
+    const later = instantsAt(endWall, this.timezone).find(candidate => candidate > instant)
+    return later ?? Math.max(resolve(endWall, this.timezone), instant)
+  }
+}
+
+module.exports = DeliveryPolicy
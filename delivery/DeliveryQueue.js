@@ -0,0 +1,256 @@
+const crypto = require('crypto')
+const { takeDigest, mergeSuppression } = require('./digest')
+
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ * @typedef {import('./digest').Digest} Digest
+ */
+
+/**
+ * @typedef {object} DeliveryState
+ * @property {string|null} leaseId - Identifies the current claim, or null between attempts.
+ * @property {number|null} leaseUntil - When the current claim expires and the record becomes claimable again.
+ * @property {string|null} owner - The `instanceId` of the tracker holding the current claim.
+ * @property {number} attempts - Delivery attempts so far, including the current one.
+ * @property {number} dueAt - When the record first fell due.
+ * @property {string|null} lastError - Message of the last failed attempt.
+ * @property {import('./digest').SuppressionStats|null} pending - Suppression stats handed out in the
+ * current claim's digest, merged back if the delivery fails or the lease expires.
+ */
+
+/**
+ * @typedef {object} Claim
+ * @property {string} key - The record's composite key.
+ * @property {string} leaseId - Must match the record's lease to acknowledge it.
+ * @property {number} claimedAt - When the claim was made.
+ * @property {number} attempt - The delivery attempt number (1-based).
+ * @property {EventRecord} record - A snapshot of the claimed record.
+ * @property {Digest} [digest] - The record's digest, in digest mode.
+ */
+
+/**
+ * @typedef {object} DeadLetter
+ * @property {string} id - Unique id of the dead letter.
+ * @property {string} key - The record's composite key.
+ * @property {EventRecord} record - The record as it was when delivery was given up.
+ * @property {Digest} [digest] - The undelivered digest, in digest mode.
+ * @property {string} error - Message of the last failed attempt.
+ * @property {number} attempts - How many attempts were made.
+ * @property {number} failedAt - When delivery was given up.
+ */
+
+const DEFAULT_LEASE_TIMEOUT_MS = 30 * 1000 // 30 seconds
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000 // 1 second
+const DEFAULT_RETRY_MAX_DELAY_MS = 5 * 60 * 1000 // 5 minutes
+const DEFAULT_RETRY_FACTOR = 2
+
+/**
+ * Leases due deferred records for delivery and settles them afterwards.
+ *
+ * A claimed record is not removed from storage: it is leased by pushing its
+ * `scheduledSendAt` to the end of a visibility timeout. It is only removed
+ * (or, in digest mode, rescheduled) once the delivery is acknowledged. A
+ * failed delivery is retried with exponential backoff, and a record that
+ * keeps failing is moved to the storage adapter's dead-letter store. If the
+ * process dies mid-delivery, the lease simply expires and the record is
+ * claimed again, so every record is delivered at least once.
+ */
+class DeliveryQueue {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}]
+     * @param {number} [options.leaseTimeout=30000] - How long (ms) a claimed record stays invisible to other claims.
+     * @param {object} [options.retry={}]
+     * @param {number} [options.retry.maxAttempts=5] - Attempts before a record is dead-lettered.
+     * @param {number} [options.retry.baseDelay=1000] - Delay (ms) before the first retry.
+     * @param {number} [options.retry.maxDelay=300000] - Upper bound (ms) for the retry delay.
+     * @param {number} [options.retry.factor=2] - Multiplier applied to the delay after each failed attempt.
+     */
+  constructor (tracker, options = {}) {
+    const retry = options.retry ?? {}
+    this.tracker = tracker
+    this.leaseTimeout = options.leaseTimeout ?? DEFAULT_LEASE_TIMEOUT_MS
+    this.maxAttempts = retry.maxAttempts ?? DEFAULT_MAX_ATTEMPTS
+    this.baseDelay = retry.baseDelay ?? DEFAULT_RETRY_BASE_DELAY_MS
+    this.maxDelay = retry.maxDelay ?? DEFAULT_RETRY_MAX_DELAY_MS
+    this.factor = retry.factor ?? DEFAULT_RETRY_FACTOR
+  }
+
+  /**
+     * The delay before retrying after the given number of failed attempts.
+     * @param {number} attempts
+     * @returns {number} The delay in ms.
+     */
+  retryDelay (attempts) {
+    return Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempts - 1))
+  }
+
+  /**
+     * Claims every deferred record that is due and not leased by someone else.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<Claim[]>}
+     */
+  async claimDue (now = Date.now()) {
+    const candidates = await this.tracker.storage.findDueDeferred(now)
+    const claims = []
+    for (const candidate of candidates) {
+      const { claim } = await this.tracker._updateRecord(candidate.key, async (record) => this._claim(record, now))
+      if (claim) {
+        claims.push(claim)
+      }
+    }
+    return claims
+  }
+
+  /**
+     * Leases a single record, if it is still due and unclaimed.
+     * @param {EventRecord|undefined} record
+     * @param {number} now
+     * @returns {{record?: EventRecord|null, claim?: Claim}}
+     */
+  _claim (record, now) {
+    if (!record || !record.deferred || !record.scheduledSendAt || record.scheduledSendAt > now) {
+      return {} // Already handled, e.g. by another process
+    }
+    const previous = record.delivery
+    if (previous && previous.leaseUntil && previous.leaseUntil > now) {
+      return {} // Leased by another delivery whose schedule the strategy has since moved
+    }
+
+    const digestMode = this.tracker.digest
+    if (previous && previous.pending) {
+      // An earlier claim expired without being settled, so its digest was never confirmed
+      mergeSuppression(record, previous.pending, this.tracker.digestSampleSize)
+    }
+    if (digestMode && !(record.suppression && record.suppression.suppressedCount > 0)) {
+      return { record: null } // The flood is over and there is nothing new to report
+    }
+
+    const digest = digestMode ? takeDigest(record) : undefined
+    const delivery = {
+      leaseId: crypto.randomBytes(16).toString('hex'),
+      leaseUntil: now + this.leaseTimeout,
+      owner: this.tracker.instanceId,
+      attempts: (previous ? previous.attempts : 0) + 1,
+      dueAt: previous ? previous.dueAt : record.scheduledSendAt,
+      lastError: previous ? previous.lastError : null,
+      pending: digest ? digest.record.suppression : null
+    }
+    record.delivery = delivery
+    record.scheduledSendAt = delivery.leaseUntil
+
+    const claim = {
+      key: record.key,
+      leaseId: delivery.leaseId,
+      claimedAt: now,
+      attempt: delivery.attempts,
+      record: { ...record },
+      digest
+    }
+    return { record, claim }
+  }
+
+  /**
+     * Acknowledges a successful delivery. The record is removed, or in digest
+     * mode rescheduled one `deferInterval` after the claim (or as its delivery
+     * policy has it).
+     * @param {Claim} claim
+     * @returns {Promise<boolean>} False if the lease had already expired and the record was re-claimed.
+     */
+  async ack (claim) {
+    const { acked } = await this.tracker._updateRecord(claim.key, async (record) => {
+      if (!record || !record.delivery || record.delivery.leaseId !== claim.leaseId) {
+        return {}
+      }
+      delete record.delivery
+      if (!record.deferred) {
+        return { record, acked: true } // Let through again by its strategy meanwhile; keep its state
+      }
+      if (!this.tracker.digest) {
+        return { record: null, acked: true }
+      }
+      record.scheduledSendAt = this.tracker._scheduleDelivery(record, claim.claimedAt + record.config.deferInterval)
+      return { record, acked: true }
+    })
+    return Boolean(acked)
+  }
+
+  /**
+     * Records a failed delivery. The record is rescheduled with exponential
+     * backoff, or moved to the dead-letter store once it has used up its attempts.
+     * @param {Claim} claim
+     * @param {Error} error - The delivery error.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<{retryAt?: number, deadLetter?: DeadLetter}>} Empty if the lease had already expired.
+     */
+  async nack (claim, error, now = Date.now()) {
+    const lastError = error && error.message ? error.message : String(error)
+    const result = await this.tracker._updateRecord(claim.key, async (record) => {
+      if (!record || !record.delivery || record.delivery.leaseId !== claim.leaseId) {
+        return {}
+      }
+      const { attempts, dueAt, pending } = record.delivery
+      if (pending) {
+        mergeSuppression(record, pending, this.tracker.digestSampleSize)
+      }
+
+      if (attempts >= this.maxAttempts) {
+        delete record.delivery
+        const deadLetter = {
+          id: claim.leaseId,
+          key: claim.key,
+          record,
+          digest: claim.digest,
+          error: lastError,
+          attempts,
+          failedAt: now
+        }
+        return { record: null, deadLetter }
+      }
+
+      record.delivery = { leaseId: null, leaseUntil: null, owner: null, attempts, dueAt, lastError, pending: null }
+      record.deferred = true // Keep it in the deferred index until it is delivered
+      record.scheduledSendAt = now + this.retryDelay(attempts)
+      return { record, retryAt: record.scheduledSendAt }
+    })
+
+    if (result.deadLetter) {
+      await this.addDeadLetter(result.deadLetter)
+    }
+    return { retryAt: result.retryAt, deadLetter: result.deadLetter }
+  }
+
+  /**
+     * Stores a dead letter through the storage adapter, if it supports it.
+     * @param {DeadLetter} deadLetter
+     * @returns {Promise<void>}
+     */
+  async addDeadLetter (deadLetter) {
+    if (typeof this.tracker.storage.addDeadLetter === 'function') {
+      await this.tracker.storage.addDeadLetter(deadLetter)
+    }
+  }
+
+  /**
+     * Lists the dead letters held by the storage adapter.
+     * @returns {Promise<DeadLetter[]>}
+     */
+  async getDeadLetters () {
+    if (typeof this.tracker.storage.getDeadLetters !== 'function') return []
+    return this.tracker.storage.getDeadLetters()
+  }
+
+  /**
+     * Removes a dead letter.
+     * @param {string} id
+     * @returns {Promise<boolean>} True if it existed.
+     */
+  async deleteDeadLetter (id) {
+    if (typeof this.tracker.storage.deleteDeadLetter !== 'function') return false
+    return this.tracker.storage.deleteDeadLetter(id)
+  }
+}
+
+module.exports = DeliveryQueue
@@ -0,0 +1,61 @@
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+const PROCESSOR_LOCK_NAME = 'processor'
+
+/**
+ * Elects a single processing instance among trackers sharing a storage adapter.
+ *
+ * Leadership is a lock with a time to live in the storage adapter. The leader
+ * renews it on every processor cycle; if it dies or stalls, the lock expires
+ * and the next instance to run a cycle takes over.
+ */
+class LeaderElection {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} options
+     * @param {string} options.instanceId - Identifies this instance as the lock owner.
+     * @param {number} options.ttl - How long (ms) leadership lasts without renewal.
+     */
+  constructor (tracker, options) {
+    const { storage } = tracker
+    if (typeof storage.acquireLock !== 'function' || typeof storage.renewLock !== 'function' || typeof storage.releaseLock !== 'function') {
+      throw new Error('Leader coordination requires a storage adapter implementing acquireLock/renewLock/releaseLock.')
+    }
+    this.tracker = tracker
+    this.instanceId = options.instanceId
+    this.ttl = options.ttl
+    this.isLeader = false
+  }
+
+  /**
+     * Renews leadership if held, or tries to acquire it otherwise.
+     * Emits `leader_elected` and `leadership_lost` on the tracker when the state changes.
+     * @returns {Promise<boolean>} True if this instance is the leader.
+     */
+  async ensure () {
+    const { storage } = this.tracker
+    if (this.isLeader && !(await storage.renewLock(PROCESSOR_LOCK_NAME, this.instanceId, this.ttl))) {
+      this.isLeader = false
+      this.tracker.emit('leadership_lost', { instanceId: this.instanceId })
+    }
+    if (!this.isLeader && await storage.acquireLock(PROCESSOR_LOCK_NAME, this.instanceId, this.ttl)) {
+      this.isLeader = true
+      this.tracker.emit('leader_elected', { instanceId: this.instanceId })
+    }
+    return this.isLeader
+  }
+
+  /**
+     * Gives up leadership so another instance can take over immediately.
+     * @returns {Promise<void>}
+     */
+  async resign () {
+    if (!this.isLeader) return
+    this.isLeader = false
+    await this.tracker.storage.releaseLock(PROCESSOR_LOCK_NAME, this.instanceId)
+  }
+}
+
+module.exports = LeaderElection
@@ -0,0 +1,123 @@
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms, so longer waits are chained
+const MAX_TIMER_DELAY_MS = 2147483647
+
+/**
+ * Arms a single timer for the earliest `scheduledSendAt` in storage, so that
+ * deferred records are delivered when they fall due rather than on the next
+ * polling tick.
+ *
+ * The timer is re-armed whenever this process defers a record earlier than
+ * the armed time and after every delivery. Records deferred by other
+ * processes sharing the storage are only noticed by `rearm()`, which the
+ * tracker still calls every `processingInterval` as a fallback.
+ */
+class Scheduler {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}]
+     * @param {number} [options.tolerance=0] - How late (ms) a record may be delivered. The timer fires this
+     * long after the earliest due time, so records falling due within the tolerance are delivered together.
+     */
+  constructor (tracker, options = {}) {
+    this.tracker = tracker
+    this.tolerance = options.tolerance ?? 0
+    this.timerId = null
+    this.armedAt = null
+    this.stopped = true
+  }
+
+  /**
+     * Starts scheduling from the current contents of the storage.
+     * @returns {Promise<void>}
+     */
+  async start () {
+    this.stopped = false
+    await this.rearm()
+  }
+
+  /**
+     * Clears the timer. A pending `rearm()` will not arm it again.
+     */
+  stop () {
+    this.stopped = true
+    this._clear()
+  }
+
+  /**
+     * Re-reads the earliest due time from storage and arms the timer for it.
+     * @param {boolean} [skipOverdue=false] - Leave the timer unarmed if the earliest record is already
+     * overdue. Used right after a delivery, when anything still overdue is being delivered elsewhere
+     * (leased by another instance, or held by the leader) and would otherwise make the timer spin;
+     * the fallback polling re-arms it later.
+     * @returns {Promise<void>}
+     */
+  async rearm (skipOverdue = false) {
+    if (this.stopped) return
+    const nextDueAt = await this._nextDueAt()
+    this._clear()
+    if (nextDueAt === null || (skipOverdue && nextDueAt + this.tolerance <= Date.now())) return
+    this._arm(nextDueAt)
+  }
+
+  /**
+     * Tells the scheduler a record is now due at `scheduledSendAt`, e.g. because
+     * it was just deferred. Arms the timer earlier if needed.
+     * @param {number|null} scheduledSendAt
+     */
+  notify (scheduledSendAt) {
+    if (this.stopped || !scheduledSendAt) return
+    if (this.armedAt === null || scheduledSendAt + this.tolerance < this.armedAt) {
+      this._clear()
+      this._arm(scheduledSendAt)
+    }
+  }
+
+  /**
+     * @param {number} dueAt - The earliest due time.
+     */
+  _arm (dueAt) {
+    const fireAt = dueAt + this.tolerance
+    const delay = Math.min(Math.max(0, fireAt - Date.now()), MAX_TIMER_DELAY_MS)
+    this.armedAt = fireAt
+    this.timerId = setTimeout(() => this._fire(), delay)
+  }
+
+  _clear () {
+    if (this.timerId) {
+      clearTimeout(this.timerId)
+    }
+    this.timerId = null
+    this.armedAt = null
+  }
+
+  async _fire () {
+    this.timerId = null
+    this.armedAt = null
+    try {
+      await this.tracker.deliverDueEvents()
+      await this.rearm(true)
+    } catch (error) {
+      this.tracker.emit('error', error)
+    }
+  }
+
+  /**
+     * Finds the earliest `scheduledSendAt` among deferred records.
+     * @returns {Promise<number|null>}
+     */
+  async _nextDueAt () {
+    const { storage } = this.tracker
+    if (typeof storage.nextDueAt === 'function') {
+      return storage.nextDueAt()
+    }
+    const deferred = await this.tracker.getDeferredEvents()
+    const times = deferred.map(record => record.scheduledSendAt).filter(Boolean)
+    return times.length ? Math.min(...times) : null
+  }
+}
+
+module.exports = Scheduler
@@ -0,0 +1,225 @@
+const { wallClock, instantsAt, resolve, offsetAt, addDays } = require('./zonedTime')
+
+/**
+ * Five-field cron expressions (`minute hour day-of-month month day-of-week`),
+ * evaluated in an IANA time zone.
+ *
+ * Fields take `*`, values, ranges (`1-5`), steps (`*\/15`, `8-18/2`) and
+ * lists of those (`0,30`). Months and weekdays may be given by their English
+ * three-letter names, and weekday 7 is Sunday like 0. As in Vixie cron, if
+ * both day fields are restricted, a day matching either of them matches. The
+ * macros `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` are also
+ * understood.
+ *
+ * Times are wall-clock times of the zone: `0 9 * * *` is 09:00 local time on
+ * both sides of a DST transition. A time skipped when clocks go forward fires
+ * at the instant it would have had with the old offset (02:30 becomes 03:30),
+ * and a time occurring twice when clocks go back matches both times.
+ */
+
+/**
+ * @typedef {object} CronSchedule
+ * @property {string} expression
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} days
+ * @property {Set<number>} months
+ * @property {Set<number>} weekdays - 0 for Sunday.
+ * @property {boolean} anyDay - Whether the day-of-month field is `*`.
+ * @property {boolean} anyWeekday - Whether the day-of-week field is `*`.
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+}
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// A schedule can match as rarely as every 29 February falling on a given weekday, once in 28 years
+const MAX_SEARCH_DAYS = 366 * 28
+
+/**
+ * @param {string} value
+ * @param {object} field
+ * @param {string} expression
+ * @returns {number}
+ */
+function parseValue (value, field, expression) {
+  const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1
+  const number = named !== -1 ? named + field.min : (/^\d+$/.test(value) ? Number(value) : NaN)
+  if (!(number >= field.min && number <= field.max)) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}".`)
+  }
+  return number
+}
+
+/**
+ * @param {string} text
+ * @param {object} field
+ * @param {string} expression
+ * @returns {Set<number>}
+ */
+function parseField (text, field, expression) {
+  const values = new Set()
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in "${part}" of cron expression "${expression}".`)
+    }
+    let from = field.min
+    let to = field.max
+    if (range !== '*') {
+      const [start, end] = range.split('-')
+      from = parseValue(start, field, expression)
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression)
+      if (from > to) {
+        throw new Error(`Invalid range "${range}" in cron expression "${expression}".`)
+      }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value)
+    }
+  }
+  return values
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression
+ * @returns {CronSchedule}
+ */
+function parseCron (expression) {
+  const source = MACROS[String(expression).trim().toLowerCase()] ?? String(expression).trim()
+  const texts = source.split(/\s+/)
+  if (texts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week.`)
+  }
+  const [minutes, hours, days, months, weekdays] = texts.map((text, index) => parseField(text, FIELDS[index], expression))
+  if (weekdays.delete(7)) {
+    weekdays.add(0)
+  }
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: texts[2] === '*',
+    anyWeekday: texts[4] === '*'
+  }
+}
+
+/**
+ * @param {CronSchedule} cron
+ * @param {{month: number, day: number, weekday: number}} date
+ * @returns {boolean}
+ */
+function matchesDate (cron, date) {
+  if (!cron.months.has(date.month)) return false
+  const day = cron.days.has(date.day)
+  const weekday = cron.weekdays.has(date.weekday)
+  if (cron.anyDay) return weekday
+  if (cron.anyWeekday) return day
+  return day || weekday
+}
+
+/**
+ * Lists the wall-clock times a schedule matches on a date, in order.
+ * @param {CronSchedule} cron
+ * @param {{year: number, month: number, day: number}} date
+ * @returns {Array<{year: number, month: number, day: number, hour: number, minute: number}>}
+ */
+function timesOn (cron, date) {
+  const times = []
+  for (let hour = 0; hour < 24; hour++) {
+    if (!cron.hours.has(hour)) continue
+    for (let minute = 0; minute < 60; minute++) {
+      if (cron.minutes.has(minute)) {
+        times.push({ year: date.year, month: date.month, day: date.day, hour, minute })
+      }
+    }
+  }
+  return times
+}
+
+/**
+ * The instants a matching wall-clock time fires at: every instant showing
+ * it, or for a time skipped by a transition, the instant it resolves to.
+ * @param {object} wall
+ * @param {string} timeZone
+ * @returns {number[]}
+ */
+function firingsAt (wall, timeZone) {
+  const instants = instantsAt(wall, timeZone)
+  return instants.length > 0 ? instants : [resolve(wall, timeZone)]
+}
+
+/**
+ * How much the zone's offset changes around an instant, which bounds how far
+ * wall-clock order and firing order can disagree there.
+ * @param {number} instant
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function shiftAround (instant, timeZone) {
+  return Math.abs(offsetAt(instant + DAY_MS, timeZone) - offsetAt(instant - DAY_MS, timeZone))
+}
+
+/**
+ * Finds the first time a schedule fires at or after an instant.
+ * @param {CronSchedule} cron
+ * @param {number} after - Timestamp (ms); a firing exactly at it counts.
+ * @param {string} [timeZone='UTC']
+ * @returns {number} The firing's timestamp (ms).
+ */
+function nextCronTime (cron, after, timeZone = 'UTC') {
+  const start = wallClock(after, timeZone)
+  // Around a transition, a wall-clock time slightly before the current one may still fire after `after`
+  const floor = Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute) - shiftAround(after, timeZone)
+  let best = null
+  let horizon = Infinity // Wall-clock time past which no candidate can fire earlier than `best`
+
+  for (let offset = -1; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = addDays(start, offset)
+    if (Date.UTC(date.year, date.month - 1, date.day) > horizon) break
+    if (Date.UTC(date.year, date.month - 1, date.day + 1) <= floor || !matchesDate(cron, date)) continue
+
+    for (const wall of timesOn(cron, date)) {
+      const local = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute)
+      if (local < floor) continue
+      if (local > horizon) break
+      for (const instant of firingsAt(wall, timeZone)) {
+        if (instant >= after && (best === null || instant < best)) {
+          best = instant
+          // A later wall-clock time can only fire earlier if the offset grew by more than the gap between them
+          horizon = local + shiftAround(best, timeZone)
+        }
+      }
+    }
+  }
+  if (best === null) {
+    throw new Error(`Cron expression "${cron.expression}" never fires.`)
+  }
+  return best
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime
+}
@@ -0,0 +1,187 @@
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../severity/SeverityScale')} SeverityScale
+ */
+
+/**
+ * @typedef {object} SuppressionStats
+ * @property {number} suppressedCount - Occurrences suppressed since the last delivery.
+ * @property {number|null} firstSuppressedAt - Timestamp of the first of those occurrences.
+ * @property {number|null} lastSuppressedAt - Timestamp of the last of those occurrences.
+ * @property {object[]} samples - Up to `sampleSize` distinct details objects seen among them.
+ * @property {string[]} sampleHashes - Hashes of `samples`, used to keep them distinct.
+ */
+
+/**
+ * @typedef {object} Digest
+ * @property {string} key - The record's composite key.
+ * @property {string} category
+ * @property {string} id
+ * @property {object} details - The details the record was created with.
+ * @property {number} suppressedCount - Occurrences suppressed since the last delivery.
+ * @property {number|null} firstSuppressedAt
+ * @property {number|null} lastSuppressedAt
+ * @property {object[]} samples - A sample of the distinct details among the suppressed occurrences.
+ * @property {number} totalCount - The record's total count in its current window.
+ * @property {string|null} maxSeverity - The highest severity among the record's events.
+ * @property {number|null} maxPriority - The highest priority among the record's events.
+ * @property {EventRecord} record - The record as it was when the digest was taken.
+ * @property {import('./history').HistoryEntry[]} [history] - The record's latest occurrences, with
+ * `options.history`.
+ */
+
+/**
+ * @typedef {object} CategorySummary
+ * @property {string} category
+ * @property {number} keys - Number of distinct keys with suppressed occurrences.
+ * @property {number} suppressedCount - Suppressed occurrences across those keys.
+ * @property {number|null} firstSuppressedAt
+ * @property {number|null} lastSuppressedAt
+ * @property {string|null} maxSeverity - The highest severity among the digests.
+ * @property {Digest[]} digests - Highest severity first, then highest priority.
+ */
+
+/**
+ * @typedef {object} DigestSummary
+ * @property {number} generatedAt - When the summary was built.
+ * @property {number} suppressedCount - Suppressed occurrences across all categories.
+ * @property {CategorySummary[]} categories - One entry per category, in order of first appearance.
+ */
+
+/**
+ * Creates empty suppression stats.
+ * @returns {SuppressionStats}
+ */
+function createSuppressionStats () {
+  return {
+    suppressedCount: 0,
+    firstSuppressedAt: null,
+    lastSuppressedAt: null,
+    samples: [],
+    sampleHashes: []
+  }
+}
+
+/**
+ * Counts a suppressed occurrence on a record.
+ * @param {EventRecord} record - The record to update in place.
+ * @param {object} details - The details of the suppressed occurrence.
+ * @param {string} detailsHash - A hash identifying `details`.
+ * @param {number} now - The occurrence timestamp.
+ * @param {number} sampleSize - Max distinct details samples to keep.
+ */
+function recordSuppression (record, details, detailsHash, now, sampleSize) {
+  const stats = record.suppression ?? createSuppressionStats()
+  stats.suppressedCount += 1
+  stats.firstSuppressedAt = stats.firstSuppressedAt ?? now
+  stats.lastSuppressedAt = now
+  if (stats.samples.length < sampleSize && !stats.sampleHashes.includes(detailsHash)) {
+    stats.samples.push(details)
+    stats.sampleHashes.push(detailsHash)
+  }
+  record.suppression = stats
+}
+
+/**
+ * Adds previously taken suppression stats back onto a record, e.g. when the
+ * digest they were delivered in failed and has to be sent again.
+ * @param {EventRecord} record - The record to update in place.
+ * @param {SuppressionStats} stats - The stats to merge back.
+ * @param {number} sampleSize - Max distinct details samples to keep.
+ */
+function mergeSuppression (record, stats, sampleSize) {
+  const current = record.suppression ?? createSuppressionStats()
+  const samples = [...stats.samples]
+  const sampleHashes = [...stats.sampleHashes]
+  current.samples.forEach((sample, index) => {
+    if (samples.length < sampleSize && !sampleHashes.includes(current.sampleHashes[index])) {
+      samples.push(sample)
+      sampleHashes.push(current.sampleHashes[index])
+    }
+  })
+  record.suppression = {
+    suppressedCount: stats.suppressedCount + current.suppressedCount,
+    firstSuppressedAt: stats.firstSuppressedAt ?? current.firstSuppressedAt,
+    lastSuppressedAt: current.lastSuppressedAt ?? stats.lastSuppressedAt,
+    samples,
+    sampleHashes
+  }
+}
+
+/**
+ * Builds the digest of a record and resets its suppression stats, so that
+ * the next digest only covers occurrences after this one.
+ * @param {EventRecord} record - The record to update in place.
+ * @returns {Digest}
+ */
+function takeDigest (record) {
+  const stats = record.suppression ?? createSuppressionStats()
+  const digest = {
+    key: record.key,
+    category: record.category,
+    id: record.id,
+    details: record.details,
+    suppressedCount: stats.suppressedCount,
+    firstSuppressedAt: stats.firstSuppressedAt,
+    lastSuppressedAt: stats.lastSuppressedAt,
+    samples: stats.samples,
+    totalCount: record.count,
+    maxSeverity: record.maxSeverity ?? null,
+    maxPriority: record.maxPriority ?? null,
+    record: { ...record, suppression: stats }
+  }
+  record.suppression = createSuppressionStats()
+  return digest
+}
+
+/**
+ * Groups digests per category into a single summary payload.
+ * @param {Digest[]} digests
+ * @param {number} now - The summary timestamp.
+ * @param {SeverityScale} severities - Ranks the digests' severities.
+ * @returns {DigestSummary}
+ */
+function summarizeDigests (digests, now, severities) {
+  const byCategory = new Map()
+  for (const digest of digests) {
+    let summary = byCategory.get(digest.category)
+    if (!summary) {
+      summary = {
+        category: digest.category,
+        keys: 0,
+        suppressedCount: 0,
+        firstSuppressedAt: null,
+        lastSuppressedAt: null,
+        maxSeverity: null,
+        digests: []
+      }
+      byCategory.set(digest.category, summary)
+    }
+    summary.keys += 1
+    summary.suppressedCount += digest.suppressedCount
+    summary.firstSuppressedAt = Math.min(summary.firstSuppressedAt ?? Infinity, digest.firstSuppressedAt)
+    summary.lastSuppressedAt = Math.max(summary.lastSuppressedAt ?? -Infinity, digest.lastSuppressedAt)
+    summary.maxSeverity = severities.max(summary.maxSeverity, digest.maxSeverity)
+    summary.digests.push(digest)
+  }
+
+  const categories = [...byCategory.values()]
+  const priority = digest => digest.maxPriority ?? -Infinity
+  for (const summary of categories) {
+    summary.digests.sort((a, b) => severities.rank(b.maxSeverity) - severities.rank(a.maxSeverity) ||
+      (priority(a) === priority(b) ? 0 : (priority(b) > priority(a) ? 1 : -1)))
+  }
+  return {
+    generatedAt: now,
+    suppressedCount: categories.reduce((total, summary) => total + summary.suppressedCount, 0),
+    categories
+  }
+}
+
+module.exports = {
+  createSuppressionStats,
+  recordSuppression,
+  mergeSuppression,
+  takeDigest,
+  summarizeDigests
+}
@@ -0,0 +1,48 @@
+/**
+ * @typedef {object} HistoryEntry
+ * @property {number} at - When the occurrence was tracked.
+ * @property {'immediate'|'deferred'|'ignored'} outcome
+ * @property {string} [severity] - The occurrence's severity, if it had one.
+ * @property {number} [priority] - Its priority, if it had one.
+ * @property {string} [reason] - Why it was not let through, or the strategy's reason (see `trackEvent`).
+ * @property {string} [layer] - The limit that held it back: 'key', 'category' or 'global'.
+ * @property {*} [details] - The occurrence's details, or their JSON cut to `detailsLimit` characters
+ * (ending in '…') if longer.
+ */
+
+/**
+ * Keeps details small enough to store with every occurrence.
+ * @param {*} details
+ * @param {number} limit - Max length of their JSON, in characters.
+ * @returns {*} The details themselves if their JSON fits, or its first `limit` characters.
+ */
+function trimDetails (details, limit) {
+  if (details === undefined) return undefined
+  const json = JSON.stringify(details)
+  if (json === undefined || json.length <= limit) return details
+  return `${json.slice(0, limit)}…`
+}
+
+/**
+ * Builds the history entry of a tracked occurrence.
+ * @param {object} eventData - The occurrence, as prepared by the tracker.
+ * @param {{outcome: string, reason?: string, layer?: string}} result - Its outcome.
+ * @param {number} at - When it was tracked.
+ * @param {number} detailsLimit - See `trimDetails`.
+ * @returns {HistoryEntry}
+ */
+function createHistoryEntry (eventData, result, at, detailsLimit) {
+  const entry = { at, outcome: result.outcome }
+  if (eventData.severity) entry.severity = eventData.severity
+  if (eventData.priority !== null && eventData.priority !== undefined) entry.priority = eventData.priority
+  if (result.reason) entry.reason = result.reason
+  if (result.outcome !== 'immediate') entry.layer = result.layer ?? 'key'
+  const details = trimDetails(eventData.details, detailsLimit)
+  if (details !== undefined) entry.details = details
+  return entry
+}
+
+module.exports = {
+  trimDetails,
+  createHistoryEntry
+}
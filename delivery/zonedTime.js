@@ -0,0 +1,140 @@
+/**
+ * Wall-clock arithmetic in IANA time zones, using only `Intl`.
+ *
+ * A wall-clock time is `{year, month, day, hour, minute}` (month 1-12) as
+ * read on a clock in the zone. Around DST transitions a wall-clock time can
+ * occur twice (clocks going back) or not at all (clocks going forward);
+ * `instantsAt` returns every instant showing it, and `resolve` picks one the
+ * way RFC 5545 and Temporal's 'compatible' disambiguation do: the earlier of
+ * two, and for a skipped time, the instant it would have been with the
+ * offset in effect before the transition (so 02:30 becomes 03:30).
+ */
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+const formatters = new Map()
+
+/**
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor (timeZone) {
+  let formatter = formatters.get(timeZone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+    formatters.set(timeZone, formatter)
+  }
+  return formatter
+}
+
+/**
+ * Throws unless `timeZone` is an IANA time zone name known to the runtime.
+ * @param {string} timeZone
+ */
+function assertTimeZone (timeZone) {
+  try {
+    formatterFor(timeZone)
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timeZone}".`)
+  }
+}
+
+/**
+ * Reads the wall clock of a zone at an instant.
+ * @param {number} instant - Timestamp (ms).
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ * `weekday` is 0 for Sunday.
+ */
+function wallClock (instant, timeZone) {
+  const fields = {}
+  for (const { type, value } of formatterFor(timeZone).formatToParts(instant)) {
+    if (type !== 'literal') fields[type] = Number(value)
+  }
+  const { year, month, day, hour, minute, second } = fields
+  return { year, month, day, hour, minute, second, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() }
+}
+
+/**
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wall
+ * @returns {number} The wall-clock time read as if it were UTC.
+ */
+function naive (wall) {
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute)
+}
+
+/**
+ * The zone's offset from UTC at an instant, to the minute.
+ * @param {number} instant
+ * @param {string} timeZone
+ * @returns {number} Milliseconds to add to UTC to get the wall-clock time.
+ */
+function offsetAt (instant, timeZone) {
+  const minute = Math.floor(instant / MINUTE_MS) * MINUTE_MS
+  return naive(wallClock(minute, timeZone)) - minute
+}
+
+/**
+ * Every instant at which the zone's clocks show a wall-clock time.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wall
+ * @param {string} timeZone
+ * @returns {number[]} Ascending; two around clocks going back, none in a skipped interval.
+ */
+function instantsAt (wall, timeZone) {
+  const local = naive(wall)
+  // Transitions are at least a day apart, so the offsets either side of this one bracket it
+  const offsets = new Set([offsetAt(local - DAY_MS, timeZone), offsetAt(local, timeZone), offsetAt(local + DAY_MS, timeZone)])
+  return [...offsets]
+    .map(offset => local - offset)
+    .filter(instant => naive(wallClock(instant, timeZone)) === local)
+    .sort((a, b) => a - b)
+    .filter((instant, index, instants) => index === 0 || instant !== instants[index - 1])
+}
+
+/**
+ * The instant a wall-clock time stands for, disambiguated as described above.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wall
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function resolve (wall, timeZone) {
+  const instants = instantsAt(wall, timeZone)
+  if (instants.length > 0) return instants[0]
+  const local = naive(wall)
+  return local - offsetAt(local - DAY_MS, timeZone)
+}
+
+/**
+ * Adds days to a calendar date.
+ * @param {{year: number, month: number, day: number}} date
+ * @param {number} days
+ * @returns {{year: number, month: number, day: number, weekday: number}}
+ */
+function addDays (date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days))
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay()
+  }
+}
+
+module.exports = {
+  assertTimeZone,
+  wallClock,
+  offsetAt,
+  instantsAt,
+  resolve,
+  addDays
+}
@@ -0,0 +1,181 @@
+const crypto = require('crypto')
+
+/**
+ * @typedef {object} FingerprintOptions
+ * @property {string[]} [include] - Details paths to keep; everything else is ignored. Defaults to all.
+ * @property {string[]} [exclude] - Details paths to ignore, e.g. volatile timestamps or request ids.
+ * @property {Object<string, function(*): *|Array<function(*): *>>} [normalizers] - Maps a details
+ * path to one or more functions that normalize the value found there before hashing.
+ * @property {function(object, string, string): *} [fn] - A fully custom fingerprint function, called
+ * with `(details, category, id)`. Its result (a string, or any value to be hashed) replaces the
+ * include/exclude/normalizers selection.
+ *
+ * Paths use dot notation (`error.message`). A `*` segment matches any single
+ * key (including array indexes) and a `**` segment matches any number of keys,
+ * so `**.timestamp` matches a `timestamp` field at any depth.
+ */
+
+/**
+ * Serializes a value to JSON with object keys sorted at every depth, so that
+ * equal values always produce the same string.
+ * @param {*} value
+ * @param {Set<object>} [ancestors] - Objects on the current path, to detect cycles.
+ * @returns {string|undefined} Undefined for values JSON cannot represent (e.g. functions).
+ */
+function stableStringify (value, ancestors = new Set()) {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON()
+  }
+  if (!value || typeof value !== 'object') {
+    return JSON.stringify(value)
+  }
+  if (ancestors.has(value)) {
+    throw new TypeError('Cannot fingerprint event details containing a circular reference.')
+  }
+
+  ancestors.add(value)
+  let json
+  if (Array.isArray(value)) {
+    json = `[${value.map(item => stableStringify(item, ancestors) ?? 'null').join(',')}]`
+  } else {
+    const members = []
+    for (const key of Object.keys(value).sort()) {
+      const member = stableStringify(value[key], ancestors)
+      if (member !== undefined) {
+        members.push(`${JSON.stringify(key)}:${member}`)
+      }
+    }
+    json = `{${members.join(',')}}`
+  }
+  ancestors.delete(value)
+  return json
+}
+
+/**
+ * Whether a path matches a pattern exactly.
+ * @param {string[]} pattern
+ * @param {string[]} path
+ * @param {number} [p=0] - Position in the pattern.
+ * @param {number} [s=0] - Position in the path.
+ * @returns {boolean}
+ */
+function matchesPath (pattern, path, p = 0, s = 0) {
+  if (p === pattern.length) return s === path.length
+  if (pattern[p] === '**') {
+    return matchesPath(pattern, path, p + 1, s) || (s < path.length && matchesPath(pattern, path, p, s + 1))
+  }
+  if (s === path.length) return false
+  return (pattern[p] === '*' || pattern[p] === path[s]) && matchesPath(pattern, path, p + 1, s + 1)
+}
+
+/**
+ * Whether a path could be extended into one that matches a pattern.
+ * @param {string[]} pattern
+ * @param {string[]} path
+ * @param {number} [p=0] - Position in the pattern.
+ * @param {number} [s=0] - Position in the path.
+ * @returns {boolean}
+ */
+function leadsToPath (pattern, path, p = 0, s = 0) {
+  if (s === path.length) return true
+  if (p === pattern.length) return false
+  if (pattern[p] === '**') return true
+  return (pattern[p] === '*' || pattern[p] === path[s]) && leadsToPath(pattern, path, p + 1, s + 1)
+}
+
+/**
+ * Computes the fingerprint (details hash) that decides whether two events
+ * with the same category and id are "the same" event.
+ */
+class Fingerprinter {
+  /**
+     * @param {FingerprintOptions|function(object, string, string): *} [options={}] - Fingerprint options,
+     * or a custom fingerprint function as a shorthand for `{ fn }`.
+     */
+  constructor (options = {}) {
+    if (typeof options === 'function') {
+      options = { fn: options }
+    }
+    const toPath = path => String(path).split('.')
+    this.include = options.include ? options.include.map(toPath) : null
+    this.exclude = (options.exclude ?? []).map(toPath)
+    this.normalizers = Object.entries(options.normalizers ?? {}).map(([path, fns]) => ({
+      path: toPath(path),
+      fns: [].concat(fns)
+    }))
+    this.fn = options.fn ?? null
+  }
+
+  /**
+     * Builds the subset of the details that the fingerprint is computed from,
+     * with include/exclude selection and normalizers applied.
+     * @param {*} details
+     * @returns {*}
+     */
+  select (details) {
+    return this._selectValue(details, [], this.include === null)
+  }
+
+  /**
+     * @param {*} value
+     * @param {string[]} path - Path of `value` within the details.
+     * @param {boolean} included - Whether an ancestor already matched an include pattern.
+     * @param {Set<object>} [ancestors] - Objects on the current path, to detect cycles.
+     * @returns {*} The selected value, or undefined if nothing under it is selected.
+     */
+  _selectValue (value, path, included, ancestors = new Set()) {
+    if (path.length > 0) {
+      if (this.exclude.some(pattern => matchesPath(pattern, path))) return undefined
+      included = included || this.include.some(pattern => matchesPath(pattern, path))
+    }
+
+    if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+      if (ancestors.has(value)) {
+        throw new TypeError('Cannot fingerprint event details containing a circular reference.')
+      }
+      ancestors.add(value)
+      const selected = Array.isArray(value) ? [] : {}
+      let empty = true
+      for (const key of Object.keys(value)) {
+        const childPath = [...path, key]
+        if (!included && !this.include.some(pattern => leadsToPath(pattern, childPath))) continue
+        const child = this._selectValue(value[key], childPath, included, ancestors)
+        if (child !== undefined) {
+          selected[key] = child
+          empty = false
+        }
+      }
+      ancestors.delete(value)
+      return empty && path.length > 0 && !included ? undefined : selected
+    }
+
+    if (!included) return undefined
+    for (const { path: pattern, fns } of this.normalizers) {
+      if (matchesPath(pattern, path)) {
+        value = fns.reduce((normalized, fn) => fn(normalized), value)
+      }
+    }
+    return value
+  }
+
+  /**
+     * Computes the fingerprint of an event.
+     * @param {object} details - The event details.
+     * @param {string} [category]
+     * @param {string} [id]
+     * @returns {string} A SHA256 hex digest, or '' for events without details.
+     */
+  hash (details, category, id) {
+    if (this.fn) {
+      const custom = this.fn(details, category, id)
+      const source = typeof custom === 'string' ? custom : stableStringify(custom) ?? ''
+      return crypto.createHash('sha256').update(source).digest('hex')
+    }
+    if (!details || typeof details !== 'object') return ''
+    return crypto.createHash('sha256').update(stableStringify(this.select(details))).digest('hex')
+  }
+}
+
+Fingerprinter.stableStringify = stableStringify
+
+module.exports = Fingerprinter
@@ -0,0 +1,33 @@
+/**
+ * Built-in value normalizers for fingerprinting event details.
+ *
+ * A normalizer receives a single details value and returns the value to
+ * fingerprint in its place. Non-string values are passed through unchanged.
+ */
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi
+const HEX_PATTERN = /\b(?:0x[0-9a-f]+|[0-9a-f]{16,})\b/gi
+const NUMBER_PATTERN = /\d+(?:\.\d+)?/g
+const WHITESPACE_PATTERN = /\s+/g
+
+/**
+ * Wraps a string transform so it leaves non-string values alone.
+ * @param {function(string): string} transform
+ * @returns {function(*): *}
+ */
+function forStrings (transform) {
+  return value => typeof value === 'string' ? transform(value) : value
+}
+
+module.exports = {
+  /** Replaces every number with `#`, e.g. "timeout after 3000ms" -> "timeout after #ms". */
+  stripNumbers: forStrings(value => value.replace(NUMBER_PATTERN, '#')),
+  /** Replaces UUIDs with `<uuid>`. */
+  stripUuids: forStrings(value => value.replace(UUID_PATTERN, '<uuid>')),
+  /** Replaces `0x` literals and long hex strings (ids, hashes, addresses) with `<hex>`. */
+  stripHex: forStrings(value => value.replace(HEX_PATTERN, '<hex>')),
+  /** Lower-cases the value. */
+  lowercase: forStrings(value => value.toLowerCase()),
+  /** Trims the value and collapses runs of whitespace into one space. */
+  collapseWhitespace: forStrings(value => value.trim().replace(WHITESPACE_PATTERN, ' '))
+}
@@ -0,0 +1,308 @@
+const crypto = require('crypto')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+/**
+ * @typedef {object} IncidentOptions
+ * @property {string|string[]|function(object): (string|null|undefined)} [groupBy='category'] - What makes
+ * events related: one or more fields of the event (`category`, `id`, `severity` or a `details.` path such
+ * as `details.code`), or a function of the event `{category, id, details, severity}` returning its group.
+ * Events missing a field, or for which the function returns null or undefined, are not grouped.
+ * @property {number} [window=60000] - How close together (ms) events of `minMembers` distinct keys must
+ * occur to open an incident.
+ * @property {number} [minMembers=2] - Distinct keys (category and id) needed to open an incident.
+ * @property {number} [quietPeriod=300000] - An incident resolves once none of its group's events
+ * occurred for this long (ms).
+ * @property {number} [checkInterval=10000] - How often (ms) to look for incidents to resolve.
+ * @property {number} [maxMembers=100] - Max members listed per incident; further keys are not counted.
+ */
+
+/**
+ * @typedef {object} IncidentMember
+ * @property {string} key - The member's composite key.
+ * @property {string} category
+ * @property {string} id
+ * @property {number} count - Its events counted by the incident.
+ * @property {number} firstSeenAt
+ * @property {number} lastSeenAt
+ */
+
+/**
+ * @typedef {object} Incident
+ * @property {string} id - Random, unique per incident.
+ * @property {string} group - The group its events share.
+ * @property {'pending'|'open'|'resolved'} status - Pending until `minMembers` keys occurred within `window`.
+ * @property {number} firstEventAt
+ * @property {number} lastEventAt
+ * @property {number|null} openedAt
+ * @property {number|null} resolvedAt - When the quiet period ended, once resolved.
+ * @property {number} memberCount - Distinct keys involved.
+ * @property {number} eventCount - Events counted, across all members.
+ * @property {IncidentMember[]} members
+ * @property {boolean} truncated - Whether `maxMembers` was reached, so that further keys went uncounted.
+ */
+
+const DEFAULT_WINDOW_MS = 60 * 1000
+const DEFAULT_MIN_MEMBERS = 2
+const DEFAULT_QUIET_PERIOD_MS = 5 * 60 * 1000
+const DEFAULT_CHECK_INTERVAL_MS = 10 * 1000
+const DEFAULT_MAX_MEMBERS = 100
+
+const KEY_PREFIX = 'incident:'
+
+/**
+ * Reads a dotted path from an object.
+ * @param {object} object
+ * @param {string} path
+ * @returns {*}
+ */
+function lookup (object, path) {
+  return path.split('.').reduce((value, segment) => value === undefined || value === null ? undefined : value[segment], object)
+}
+
+/**
+ * Groups related events, e.g. many ids of a category failing with the same
+ * `details.code`, into incidents, emitting `incident_opened` when enough
+ * distinct keys of a group occur within `window`, `incident_updated` as
+ * further keys join it, and `incident_resolved` once the group has been
+ * quiet for `quietPeriod`.
+ *
+ * Incidents live in the state keyspace of the tracker's storage, one entry
+ * per group, so processes sharing it share their incidents. Like quota
+ * state, they take no `maxKeys` slot and are never evicted. Each entry is
+ * indexed by the time of its group's last event, so the sweep for quiet
+ * incidents only reads those.
+ */
+class IncidentGrouper {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance, which emits the incident events.
+     * @param {IncidentOptions} [options={}]
+     */
+  constructor (tracker, options = {}) {
+    this.tracker = tracker
+    this.groupOf = IncidentGrouper.compileGroupBy(options.groupBy ?? 'category')
+    this.window = options.window ?? DEFAULT_WINDOW_MS
+    this.minMembers = options.minMembers ?? DEFAULT_MIN_MEMBERS
+    this.quietPeriod = options.quietPeriod ?? DEFAULT_QUIET_PERIOD_MS
+    this.checkInterval = options.checkInterval ?? DEFAULT_CHECK_INTERVAL_MS
+    this.maxMembers = options.maxMembers ?? DEFAULT_MAX_MEMBERS
+    if (this.minMembers < 1 || this.minMembers > this.maxMembers) {
+      throw new Error('minMembers must be between 1 and maxMembers.')
+    }
+    this.checkIntervalId = null
+  }
+
+  /**
+     * Compiles the `groupBy` option into a function of the event.
+     * @param {string|string[]|function} groupBy
+     * @returns {function(object): (string|null)}
+     */
+  static compileGroupBy (groupBy) {
+    if (typeof groupBy === 'function') {
+      return event => {
+        const group = groupBy(event)
+        return group === undefined || group === null ? null : String(group)
+      }
+    }
+    const fields = [].concat(groupBy)
+    if (fields.length === 0 || !fields.every(field => typeof field === 'string')) {
+      throw new TypeError('groupBy must be a field, an array of fields or a function.')
+    }
+    return event => {
+      const values = fields.map(field => lookup(event, field))
+      if (values.some(value => value === undefined || value === null)) return null
+      return values.length === 1 ? String(values[0]) : JSON.stringify(values)
+    }
+  }
+
+  /**
+     * The state key of a group's incident.
+     * @param {string} group
+     * @returns {string}
+     */
+  static keyFor (group) {
+    return `${KEY_PREFIX}${crypto.createHash('sha256').update(group).digest('hex')}`
+  }
+
+  /**
+     * Whether a state key belongs to an incident.
+     * @param {string} key
+     * @returns {boolean}
+     */
+  static isIncidentKey (key) {
+    return key.startsWith(KEY_PREFIX)
+  }
+
+  /**
+     * Starts looking for incidents to resolve every `checkInterval`.
+     */
+  start () {
+    if (this.checkIntervalId) return
+    this.checkIntervalId = setInterval(() => {
+      this.tracker._whilePending(this.resolveQuiet()).catch(error => this.tracker.emit('error', error))
+    }, this.checkInterval)
+  }
+
+  stop () {
+    if (this.checkIntervalId) {
+      clearInterval(this.checkIntervalId)
+      this.checkIntervalId = null
+    }
+  }
+
+  /**
+     * Counts a tracked event towards its group's incident.
+     * @param {object} eventData - The event, as prepared by the tracker.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<Incident|null>} The group's incident, or null if the event belongs to no group.
+     */
+  async observe (eventData, now = Date.now()) {
+    const { compositeKey, category, id, details, severity } = eventData
+    const group = this.groupOf({ category, id, details, severity })
+    if (group === null) return null
+
+    const { incident, events } = await this.tracker.storage.updateState(IncidentGrouper.keyFor(group), async (stored) => {
+      const events = []
+      let incident = IncidentGrouper._copy(stored)
+      if (incident && incident.status === 'open' && now - incident.lastEventAt > this.quietPeriod) {
+        // Resolved while no sweep ran; a new incident starts with this event
+        events.push(['incident_resolved', this._resolved(incident)])
+        incident = undefined
+      }
+      incident = incident ?? IncidentGrouper._create(group, now)
+
+      if (incident.status === 'pending') {
+        incident.members = incident.members.filter(member => now - member.lastSeenAt <= this.window)
+        incident.memberCount = incident.members.length
+        incident.eventCount = incident.members.reduce((total, member) => total + member.count, 0)
+        incident.firstEventAt = incident.members.length ? Math.min(...incident.members.map(member => member.firstSeenAt)) : now
+      }
+      incident.eventCount += 1
+      incident.lastEventAt = now
+
+      let member = incident.members.find(existing => existing.key === compositeKey)
+      if (member) {
+        member.count += 1
+        member.lastSeenAt = now
+      } else if (incident.members.length < this.maxMembers) {
+        member = { key: compositeKey, category, id, count: 1, firstSeenAt: now, lastSeenAt: now }
+        incident.members.push(member)
+        incident.memberCount += 1
+        if (incident.status === 'open') {
+          events.push(['incident_updated', incident])
+        }
+      } else {
+        incident.truncated = true
+      }
+
+      if (incident.status === 'pending' && incident.memberCount >= this.minMembers) {
+        incident.status = 'open'
+        incident.openedAt = now
+        events.push(['incident_opened', incident])
+      }
+      return { state: incident, expiresAt: this._expiresAt(incident), score: incident.lastEventAt, incident, events }
+    })
+
+    for (const [name, payload] of events) {
+      this.tracker.emit(name, IncidentGrouper._copy(payload))
+    }
+    return IncidentGrouper._copy(incident)
+  }
+
+  /**
+     * Resolves the open incidents whose group has been quiet for `quietPeriod`,
+     * emitting `incident_resolved` for each and deleting it.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<Incident[]>} The incidents resolved.
+     */
+  async resolveQuiet (now = Date.now()) {
+    const quiet = await this.list({ status: 'open', quietSince: now - this.quietPeriod })
+    const resolved = []
+    for (const { group } of quiet) {
+      const { incident } = await this.tracker.storage.updateState(IncidentGrouper.keyFor(group), async (current) => {
+        if (!current || current.status !== 'open' || now - current.lastEventAt <= this.quietPeriod) {
+          return {} // Resolved by another process, or active again
+        }
+        return { state: null, incident: this._resolved(IncidentGrouper._copy(current)) }
+      })
+      if (incident) {
+        resolved.push(incident)
+        this.tracker.emit('incident_resolved', IncidentGrouper._copy(incident))
+      }
+    }
+    return resolved
+  }
+
+  /**
+     * Reads the stored incidents.
+     * @param {object} [query={}]
+     * @param {'pending'|'open'} [query.status] - Only incidents with this status.
+     * @param {number} [query.quietSince] - Only incidents with no event after this timestamp.
+     * @returns {Promise<Incident[]>}
+     */
+  async list (query = {}) {
+    const found = await this.tracker.storage.findStates(query.quietSince ?? Infinity)
+    return found
+      .filter(({ key, state }) => IncidentGrouper.isIncidentKey(key) &&
+        (query.status === undefined || state.status === query.status) &&
+        (query.quietSince === undefined || state.lastEventAt < query.quietSince))
+      .map(({ state }) => state)
+  }
+
+  /**
+     * @param {Incident} incident - Updated in place.
+     * @returns {Incident}
+     */
+  _resolved (incident) {
+    incident.status = 'resolved'
+    incident.resolvedAt = incident.lastEventAt + this.quietPeriod
+    return incident
+  }
+
+  /**
+     * When an incident is dropped from storage. A pending incident expires
+     * with its window; an open one is kept until resolved, and for
+     * `expireTime` more in case no process is left to resolve it.
+     * @param {Incident} incident
+     * @returns {number}
+     */
+  _expiresAt (incident) {
+    const lifetime = incident.status === 'open' ? this.quietPeriod + this.tracker.expireTime : this.window
+    return incident.lastEventAt + lifetime
+  }
+
+  /**
+     * @param {string} group
+     * @param {number} now
+     * @returns {Incident}
+     */
+  static _create (group, now) {
+    return {
+      id: crypto.randomBytes(8).toString('hex'),
+      group,
+      status: 'pending',
+      firstEventAt: now,
+      lastEventAt: now,
+      openedAt: null,
+      resolvedAt: null,
+      memberCount: 0,
+      eventCount: 0,
+      members: [],
+      truncated: false
+    }
+  }
+
+  /**
+     * @param {Incident} incident
+     * @returns {Incident} A copy safe to modify, or to hand to listeners.
+     */
+  static _copy (incident) {
+    return incident && { ...incident, members: incident.members.map(member => ({ ...member })) }
+  }
+}
+
+IncidentGrouper.KEY_PREFIX = KEY_PREFIX
+
+module.exports = IncidentGrouper
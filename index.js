@@ -1,13 +1,50 @@
 const crypto = require('crypto')
 const EventEmitter = require('events')
+const { performance } = require('perf_hooks')
 const InMemoryAdapter = require('./storage/InMemoryAdapter')
 const RedisAdapter = require('./storage/RedisAdapter')
+const FileAdapter = require('./storage/FileAdapter')
+const BaseStorageAdapter = require('./storage/BaseStorageAdapter')
+const conformance = require('./storage/conformance')
+const { assertPolicy } = require('./storage/eviction')
+const { serializeValue, deserializeValue } = require('./storage/serialization')
 const SimpleCounterStrategy = require('./strategies/SimpleCounterStrategy')
 const TokenBucketStrategy = require('./strategies/TokenBucketStrategy')
+const FixedWindowStrategy = require('./strategies/FixedWindowStrategy')
+const SlidingWindowLogStrategy = require('./strategies/SlidingWindowLogStrategy')
+const SlidingWindowCounterStrategy = require('./strategies/SlidingWindowCounterStrategy')
+const AdaptiveStrategy = require('./strategies/AdaptiveStrategy')
+const BaseStrategy = require('./strategies/BaseStrategy')
+const RuleSet = require('./rules/RuleSet')
+const SeverityScale = require('./severity/SeverityScale')
+const QuotaSet = require('./quotas/QuotaSet')
+const IncidentGrouper = require('./incidents/IncidentGrouper')
+const { recordSuppression, summarizeDigests } = require('./delivery/digest')
+const { createHistoryEntry } = require('./delivery/history')
+const DeliveryQueue = require('./delivery/DeliveryQueue')
+const DeliveryPolicy = require('./delivery/DeliveryPolicy')
+const LeaderElection = require('./delivery/LeaderElection')
+const Scheduler = require('./delivery/Scheduler')
+const Fingerprinter = require('./fingerprint/Fingerprinter')
+const normalizers = require('./fingerprint/normalizers')
+const TrackerMetrics = require('./metrics/TrackerMetrics')
+const AdminServer = require('./admin/AdminServer')
+const SinkRouter = require('./sinks/SinkRouter')
+const BaseSink = require('./sinks/BaseSink')
+const WebhookSink = require('./sinks/WebhookSink')
+const ConsoleSink = require('./sinks/ConsoleSink')
+const EmailSink = require('./sinks/EmailSink')
 
 const DEFAULT_LIMIT = 5
 const DEFAULT_DEFER_INTERVAL_MS = 60 * 60 * 1000 // 1 hour
 const DEFAULT_EXPIRE_TIME_MS = 24 * 60 * 60 * 1000 // 24 hours
+const DEFAULT_DIGEST_SAMPLE_SIZE = 5
+const DEFAULT_STATS_TOP = 10
+const DEFAULT_HISTORY_SIZE = 20
+const DEFAULT_HISTORY_DETAILS_LIMIT = 512
+const SCAN_PAGE_SIZE = 500
+const DEFAULT_CLOSE_TIMEOUT_MS = 30 * 1000
+const DEFAULT_CLOSE_SIGNALS = ['SIGTERM', 'SIGINT']
 
 /**
  * @typedef {object} EventRecord
@@ -15,7 +52,7 @@ const DEFAULT_EXPIRE_TIME_MS = 24 * 60 * 60 * 1000 // 24 hours
  * @property {string} category - High-level grouping of the event.
  * @property {string} id - Specific identifier within the category.
  * @property {object} details - The original event details object.
- * @property {string} detailsHash - SHA256 hash of the sorted event details.
+ * @property {string} detailsHash - Fingerprint of the event details (see `options.fingerprint`).
  * @property {number} count - Current count of this event in the window.
  * @property {number} lastEventTime - Timestamp of the last recorded event.
  * @property {number} expiresAt - Timestamp when this record is considered expired.
@@ -23,6 +60,28 @@ const DEFAULT_EXPIRE_TIME_MS = 24 * 60 * 60 * 1000 // 24 hours
  * @property {number|null} scheduledSendAt - Timestamp for next processing attempt.
  * @property {object} config - A snapshot of the tracker/strategy config for this record.
  * @property {object} [strategyData] - State used by the throttling strategy (e.g., token count).
+ * @property {string|null} [rule] - Name of the routing rule the record is throttled by, if any.
+ * @property {import('./delivery/digest').SuppressionStats} [suppression] - Occurrences deferred or
+ * ignored since the record was last delivered.
+ * @property {import('./delivery/DeliveryQueue').DeliveryState} [delivery] - Lease and retry state while
+ * the record is being delivered.
+ * @property {string} [maxSeverity] - The highest severity among the record's events, if any had one.
+ * @property {number} [maxPriority] - The highest priority among the record's events, if any had one.
+ * @property {import('./delivery/history').HistoryEntry[]} [history] - The record's latest occurrences, oldest
+ * first. Only attached to records handed out for delivery, with `options.history`; not stored on the record.
+ */
+
+/**
+ * @typedef {object} TrackerStats
+ * @property {number} generatedAt - When the stats were computed.
+ * @property {number} keys - Tracked records.
+ * @property {Object<string, {keys: number, events: number, deferred: number}>} categories - Records, events
+ * counted and deferred records, per category.
+ * @property {Array<{key: string, category: string, id: string, count: number, deferred: boolean}>} topKeys - The
+ * records that counted the most events, noisiest first.
+ * @property {{deferred: number, overdue: number, oldestDeferredAt: number|null, oldestAge: number|null}} backlog -
+ * Deferred records, how many of them are past their `scheduledSendAt`, and when the longest-held one was first
+ * suppressed (and how many ms ago).
  */
 class EventTracker extends EventEmitter {
   /**
@@ -31,10 +90,72 @@ class EventTracker extends EventEmitter {
      * @param {number} [options.deferInterval] - Time (ms) to wait before reprocessing.
      * @param {number} [options.expireTime] - Time (ms) after which a record is stale.
      * @param {number} [options.maxKeys=0] - Max number of unique keys to track (0 for unlimited).
-     * @param {object} [options.storage] - A storage adapter instance. Defaults to InMemoryAdapter.
+     * @param {'lru'|'lfu'|'priority'} [options.eviction] - Make room for new keys at `maxKeys` (or over
+     * `maxMemory`) by evicting existing records under this policy. Without it, new keys are ignored with
+     * `key_limit_reached`. See `storage/eviction`.
+     * @param {number} [options.maxMemory=0] - Budget (bytes) for the records held by the storage adapter, as
+     * estimated by its `memoryUsage()`. Requires `eviction`. 0 for unlimited.
+     * @param {import('./fingerprint/Fingerprinter').FingerprintOptions|function} [options.fingerprint] - Which
+     * parts of the details decide whether two events are the same. Defaults to all of them.
+     * @param {function(string, string, object=): string} [options.keyFunction] - Builds the string a record's
+     * composite key is hashed from. Defaults to `${category}:${id}`. `details` is not available to it
+     * when it is called by APIs that only take a category and id, such as `updateConfig`.
+     * @param {object} [options.storage] - A storage adapter instance (InMemoryAdapter, FileAdapter, RedisAdapter
+     * or a custom one). Defaults to InMemoryAdapter.
+     * @param {string} [options.namespace] - Isolates this tracker's records, deferred queue, dead letters and
+     * processor lock from other trackers sharing the storage backend, e.g. one per tenant. Requires a storage
+     * adapter implementing `withNamespace()`, such as the RedisAdapter. `maxKeys` then counts the keys of the
+     * namespace only.
      * @param {BaseStrategy} [options.strategy] - A throttling strategy instance. Defaults to SimpleCounterStrategy.
-     * @param {function(EventRecord[]): Promise<void>} [options.onDeferredEventDue] - Async callback for processing due events.
+     * @param {import('./rules/RuleSet').Rule[]} [options.rules] - Routing rules selecting a strategy per
+     * category/id pattern. Events matching no rule use `options.strategy`.
+     * @param {string[]} [options.severities=['debug', 'info', 'warning', 'error', 'critical']] - The
+     * severity levels events may be tracked with, lowest first. See `trackEvent`.
+     * @param {Object<string, number>} [options.severityLimits] - Limits of their own for events of some
+     * severities, e.g. `{ critical: 50 }`, honoured by SimpleCounterStrategy and the window strategies (counting
+     * them separately) and TokenBucketStrategy (giving them a bucket of that size). Strategy and rule options may
+     * override it.
+     * @param {import('./quotas/QuotaSet').QuotaOptions} [options.quotas] - Budgets per category and across all
+     * events, checked after an event's own key lets it through. See `QuotaSet`.
+     * @param {boolean|import('./incidents/IncidentGrouper').IncidentOptions} [options.incidents=false] - Group
+     * related events into incidents, emitting `incident_opened`, `incident_updated` and `incident_resolved`.
+     * Requires a storage adapter implementing `listRecords()`. See `IncidentGrouper`.
+     * @param {import('./delivery/DeliveryPolicy').DeliveryPolicyOptions[]} [options.deliveryPolicies] - Calendar-aware
+     * schedules for deferred records per category: cron-aligned delivery times and quiet hours in an IANA time
+     * zone. A record follows the first policy matching its category. See `DeliveryPolicy`.
+     * @param {function(EventRecord[]|import('./delivery/digest').DigestSummary): Promise<void>} [options.onDeferredEventDue] - Async
+     * callback for processing due events. Receives the due records, or a digest summary if `options.digest` is enabled.
+     * @param {import('./sinks/SinkRouter').SinkRoute[]} [options.sinks] - Routes immediate events and due digests
+     * to notification sinks per category. Digests are only routed when `onDeferredEventDue` is not set.
+     * @param {boolean|object} [options.digest=false] - Deliver due records as per-category digests of the
+     * occurrences suppressed since the last delivery, and keep suppressing (with periodic digests) while a flood lasts.
+     * @param {number} [options.digest.sampleSize=5] - Max distinct details samples kept per record.
+     * @param {boolean|object} [options.history=false] - Keep the latest occurrences of every record (when,
+     * with which outcome and details), attached to its deliveries and readable with `getHistory`. Requires
+     * a storage adapter implementing `appendHistory()`/`getHistory()`.
+     * @param {number} [options.history.size=20] - How many occurrences to keep per record.
+     * @param {number} [options.history.detailsLimit=512] - Max length (characters of JSON) of the details
+     * kept per occurrence; longer details are cut.
      * @param {number} [options.processingInterval=10000] - How often (ms) to check for due events if a callback is used.
+     * In 'timer' scheduling mode, how often to re-read the earliest due time to notice records deferred by other processes.
+     * @param {'interval'|'timer'} [options.scheduling='interval'] - With 'interval', due events are polled for every
+     * `processingInterval`. With 'timer', a timer is armed for the earliest `scheduledSendAt`, so records are
+     * delivered when they fall due.
+     * @param {number} [options.schedulingTolerance=0] - In 'timer' mode, how late (ms) a record may be delivered so
+     * that records falling due close together are delivered in one batch.
+     * @param {number} [options.leaseTimeout=30000] - How long (ms) a record being delivered stays claimed. If
+     * `onDeferredEventDue` neither resolves nor rejects in time, the record is delivered again.
+     * @param {object} [options.retry] - Retry policy for failed deliveries: `maxAttempts` (5), `baseDelay`
+     * (1000 ms), `maxDelay` (5 minutes) and `factor` (2). Records that fail `maxAttempts` times are dead-lettered.
+     * @param {'claim'|'leader'} [options.coordination='claim'] - How processors sharing a storage adapter split
+     * the work. With 'claim', every instance processes and each due record is claimed atomically by exactly one
+     * of them. With 'leader', only the instance holding the processor lock processes; the others take over
+     * when it stops renewing it.
+     * @param {number} [options.leaderTimeout] - How long (ms) leadership lasts without renewal. Defaults to three
+     * processing intervals.
+     * @param {string} [options.instanceId] - Identifies this tracker in leases and leader locks. Random by default.
+     * @param {boolean|object} [options.metrics=false] - Keep built-in metrics, exposed as `tracker.metrics`. An
+     * object is passed to `TrackerMetrics` as its options.
      */
   constructor (options = {}) {
     super()
@@ -42,36 +163,184 @@ class EventTracker extends EventEmitter {
     this.deferInterval = options.deferInterval ?? DEFAULT_DEFER_INTERVAL_MS
     this.expireTime = options.expireTime ?? DEFAULT_EXPIRE_TIME_MS
     this.maxKeys = options.maxKeys ?? 0
+    this.maxMemory = options.maxMemory ?? 0
+    this.eviction = options.eviction ?? null
+    this.lastPurgeAt = 0
+    this.severities = new SeverityScale(options.severities)
+    this.severityLimits = options.severityLimits ?? null
+    Object.keys(this.severityLimits ?? {}).forEach(severity => this.severities.assert(severity))
+    this.deliveryPolicies = (options.deliveryPolicies ?? []).map(policy => new DeliveryPolicy(this, policy))
+    this.namespace = options.namespace ?? null
     this.storage = options.storage ?? new InMemoryAdapter()
+    BaseStorageAdapter.assertAdapter(this.storage)
+    const capabilities = BaseStorageAdapter.capabilitiesOf(this.storage)
+    // The default adapter is private to this tracker, so it needs no namespace
+    if (this.namespace !== null && options.storage) {
+      if (!capabilities.namespaces) {
+        throw new Error('A namespace requires a storage adapter implementing withNamespace.')
+      }
+      this.storage = this.storage.withNamespace(this.namespace)
+    }
+    if (this.eviction) {
+      assertPolicy(this.eviction)
+      if (!capabilities.eviction) {
+        throw new Error('Eviction requires a storage adapter implementing evict/purgeExpired.')
+      }
+    }
+    if (this.maxMemory > 0 && !(this.eviction && capabilities.memoryUsage)) {
+      throw new Error('maxMemory requires an eviction policy and a storage adapter implementing memoryUsage.')
+    }
     this.strategy = options.strategy ?? new SimpleCounterStrategy(this)
+    this.rules = new RuleSet(this, options.rules)
+    this.quotas = new QuotaSet(this, options.quotas)
+    if (this.quotas.layers.length && !capabilities.state) {
+      throw new Error('quotas require a storage adapter implementing getState/updateState/deleteState/findStates.')
+    }
+    this.incidents = options.incidents
+      ? new IncidentGrouper(this, options.incidents === true ? {} : options.incidents)
+      : null
+    if (this.incidents && !capabilities.state) {
+      throw new Error('incidents require a storage adapter implementing getState/updateState/deleteState/findStates.')
+    }
+    this.fingerprinter = new Fingerprinter(options.fingerprint)
+    this.keyFunction = options.keyFunction ?? null
+    this.digest = Boolean(options.digest)
+    this.digestSampleSize = options.digest?.sampleSize ?? DEFAULT_DIGEST_SAMPLE_SIZE
+    this.history = options.history
+      ? {
+          size: options.history.size ?? DEFAULT_HISTORY_SIZE,
+          detailsLimit: options.history.detailsLimit ?? DEFAULT_HISTORY_DETAILS_LIMIT
+        }
+      : null
+    if (this.history && !capabilities.history) {
+      throw new Error('history requires a storage adapter implementing appendHistory/getHistory.')
+    }
+
+    this.delivery = new DeliveryQueue(this, { leaseTimeout: options.leaseTimeout, retry: options.retry })
 
-    this.onDeferredEventDue = options.onDeferredEventDue
+    this.sinks = new SinkRouter(this, options.sinks)
+    this.onDeferredEventDue = options.onDeferredEventDue ??
+      (this.sinks.handles('digest') ? payload => this.sinks.deliverDeferred(payload) : undefined)
     this.processingIntervalMs = options.processingInterval ?? 10000
     this.processingIntervalId = null
+    this.processorRunning = false
+    this.pending = new Set() // In-flight trackEvent(s) and delivery calls, awaited by close()
+    this.closing = false
+    this.closePromise = null
+    this.signalHandler = null
+
+    this.instanceId = options.instanceId ?? crypto.randomBytes(8).toString('hex')
+    this.coordination = options.coordination ?? 'claim'
+    if (this.coordination !== 'claim' && this.coordination !== 'leader') {
+      throw new Error(`Unknown coordination mode "${this.coordination}"; expected 'claim' or 'leader'.`)
+    }
+    this.scheduling = options.scheduling ?? 'interval'
+    if (this.scheduling !== 'interval' && this.scheduling !== 'timer') {
+      throw new Error(`Unknown scheduling mode "${this.scheduling}"; expected 'interval' or 'timer'.`)
+    }
+    this.scheduler = this.scheduling === 'timer'
+      ? new Scheduler(this, { tolerance: options.schedulingTolerance })
+      : null
+    this.leaderElection = this.coordination === 'leader'
+      ? new LeaderElection(this, {
+        instanceId: this.instanceId,
+        ttl: options.leaderTimeout ?? this.processingIntervalMs * 3
+      })
+      : null
+
+    this.metrics = options.metrics
+      ? new TrackerMetrics(this, options.metrics === true ? {} : options.metrics)
+      : null
 
     if (typeof this.onDeferredEventDue === 'function') {
       this.startProcessor()
     }
+    if (this.incidents) {
+      this.incidents.start()
+    }
   }
 
   startProcessor () {
-    if (this.processingIntervalId) return
-    this.processingIntervalId = setInterval(async () => {
-      try {
-        const dueEvents = await this.processDeferredEvents()
-        if (dueEvents.length > 0) {
-          await this.onDeferredEventDue(dueEvents)
+    if (this.processingIntervalId || this.closing) return
+    if (this.scheduler) {
+      this.scheduler.start().catch(error => this.emit('error', error))
+      // Fallback for records deferred by other processes sharing the storage
+      this.processingIntervalId = setInterval(() => {
+        this.scheduler.rearm().catch(error => this.emit('error', error))
+      }, this.processingIntervalMs)
+      return
+    }
+    this.processingIntervalId = setInterval(() => this.deliverDueEvents(), this.processingIntervalMs)
+  }
+
+  /**
+     * Delivers the currently due deferred records to `onDeferredEventDue` with
+     * at-least-once semantics: records are claimed, handed to the callback, and
+     * only removed once it resolves. If it rejects, they are retried with
+     * backoff and eventually dead-lettered. Called by the background processor;
+     * a call made while a previous one is still running is skipped.
+     * @returns {Promise<void>}
+     */
+  deliverDueEvents () {
+    return this._whilePending(this._deliverDueEvents())
+  }
+
+  async _deliverDueEvents () {
+    if (this.processorRunning) return
+    this.processorRunning = true
+    try {
+      if (this.leaderElection && !(await this.leaderElection.ensure())) return
+
+      const claims = await this.delivery.claimDue()
+      if (claims.length === 0) return
+      await this._deliverClaims(claims)
+    } catch (error) {
+      this.emit('error', error)
+    } finally {
+      this.processorRunning = false
+    }
+  }
+
+  /**
+     * Hands claimed records to `onDeferredEventDue`, then acknowledges them,
+     * or schedules them for a retry if it rejects.
+     * @param {import('./delivery/DeliveryQueue').Claim[]} claims
+     * @returns {Promise<void>} Rejects with the callback's error if the delivery failed.
+     */
+  async _deliverClaims (claims) {
+    await this._attachHistory(claims)
+    const payload = this.digest
+      ? this.summarize(claims.map(claim => claim.digest))
+      : claims.map(claim => claim.record)
+    try {
+      await this.onDeferredEventDue(payload)
+    } catch (error) {
+      for (const claim of claims) {
+        const { retryAt, deadLetter } = await this.delivery.nack(claim, error)
+        if (this.scheduler) {
+          this.scheduler.notify(retryAt)
+        }
+        if (deadLetter) {
+          this.emit('dead_letter', deadLetter)
+        } else if (retryAt) {
+          this.emit('delivery_failed', { key: claim.key, attempt: claim.attempt, retryAt, error })
         }
-      } catch (error) {
-        this.emit('error', error)
       }
-    }, this.processingIntervalMs)
+      throw error
+    }
+
+    for (const claim of claims) {
+      if (await this.delivery.ack(claim)) {
+        this._emitProcessed(claim)
+      } else {
+        this.emit('lease_expired', { key: claim.key, leaseId: claim.leaseId })
+      }
+    }
   }
 
   static generateDetailsHash (details) {
     if (!details || typeof details !== 'object') return ''
-    const sortedKeys = Object.keys(details).sort()
-    const detailsString = JSON.stringify(details, sortedKeys)
+    const detailsString = Fingerprinter.stableStringify(details)
     return crypto.createHash('sha256').update(detailsString).digest('hex')
   }
 
@@ -80,42 +349,758 @@ class EventTracker extends EventEmitter {
     return crypto.createHash('sha256').update(composite).digest('hex')
   }
 
-  async trackEvent (category, id, details) {
-    const compositeKey = EventTracker.generateCompositeKey(category, id)
-    const detailsHash = EventTracker.generateDetailsHash(details)
+  /**
+     * Computes the composite key of an event stream, honouring `options.keyFunction`.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details]
+     * @returns {string}
+     */
+  getCompositeKey (category, id, details) {
+    if (!this.keyFunction) return EventTracker.generateCompositeKey(category, id)
+    const composite = String(this.keyFunction(category, id, details))
+    return crypto.createHash('sha256').update(composite).digest('hex')
+  }
+
+  /**
+     * Tracks an occurrence of an event and decides whether to let it through.
+     *
+     * An event of a higher severity than any its record has seen so far is
+     * an escalation: it is let through immediately, whatever the limits and
+     * quotas, and `escalated` is emitted. Events without a severity rank as
+     * the lowest level.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details]
+     * @param {object} [options={}]
+     * @param {string} [options.severity] - One of `options.severities`. Unlike a value in `details`, it does
+     * not change the event's fingerprint.
+     * @param {number} [options.priority] - Recorded as the record's `maxPriority`; digests list the records
+     * of a category by severity, then priority, highest first.
+     * @returns {Promise<{type: string, data?: EventRecord, reason?: string, layer?: string, incident?: string}>}
+     * `incident` is the id of the open incident the event belongs to, with `options.incidents`.
+     */
+  async trackEvent (category, id, details, options = {}) {
+    this._assertOpen()
+    return this._whilePending(this._trackEvent(category, id, details, options))
+  }
+
+  async _trackEvent (category, id, details, options) {
+    const startedAt = performance.now()
+    const { eventData, rule } = this._prepareEvent(category, id, details, options)
+    const { compositeKey } = eventData
+
+    await this._makeRoom(compositeKey)
+    let result = await this._updateRecord(compositeKey, record => this._applyStrategy(record, eventData, rule))
+    if (result.record) {
+      await this._enforceMemoryBudget(compositeKey)
+    }
+    if (result.outcome === 'immediate' && !result.escalation && this.quotas.layers.length) {
+      result = await this._applyQuotas(eventData, result)
+    }
+    if (this.history && result.record) {
+      await this._appendHistory(compositeKey, [createHistoryEntry(eventData, result, Date.now(), this.history.detailsLimit)], result.record)
+    }
+    // An event ignored for want of a key slot was never tracked, so it joins no incident either
+    if (this.incidents && result.record) {
+      const incident = await this.incidents.observe(eventData)
+      if (incident && incident.status === 'open') {
+        result = { ...result, incident: incident.id }
+      }
+    }
+
+    return this._settleEvent(eventData, result, performance.now() - startedAt)
+  }
+
+  /**
+     * Counts an event its key let through against the category and global
+     * quotas. If one is over budget, the key's record is deferred until the
+     * quota is expected to have room again, so the event is delivered later
+     * like any other suppressed occurrence.
+     * @param {object} eventData
+     * @param {{outcome: string, record: EventRecord}} result - The key layer's result.
+     * @returns {Promise<{outcome: string, layer?: string, record: EventRecord}>}
+     */
+  async _applyQuotas (eventData, result) {
+    const exceeded = await this.quotas.check(eventData.category)
+    if (!exceeded) return result
+
     const now = Date.now()
-    let record = await this.storage.get(compositeKey)
+    const sampleHash = EventTracker.generateDetailsHash(eventData.details)
+    return this._updateRecord(eventData.compositeKey, async (record) => {
+      // Recreated if it was delivered or evicted in between, since this occurrence still has to be
+      record = record ?? deserializeValue(serializeValue(result.record))
+      if (!record.deferred) {
+        const reopensAt = exceeded.record.scheduledSendAt
+        record.deferred = true
+        const dueAt = reopensAt > now ? reopensAt : now + (record.config?.deferInterval ?? this.deferInterval)
+        record.scheduledSendAt = this._scheduleDelivery(record, dueAt)
+      }
+      recordSuppression(record, eventData.details, sampleHash, now, this.digestSampleSize)
+      return { outcome: 'deferred', layer: exceeded.layer, record }
+    })
+  }
+
+  /**
+     * Tracks a batch of events. The outcomes are the ones calling `trackEvent`
+     * for each event in turn would produce, returned in the same order, and the
+     * same events are emitted.
+     *
+     * Events for the same key are applied to its record one after the other in
+     * memory, and every record involved is read and written once, through the
+     * storage adapter's `updateMany()` (or `mGet()`/`mSet()`). With Redis, the
+     * whole batch costs a couple of round-trips instead of two per event.
+     *
+     * With an eviction policy, records may have to be evicted between two
+     * events, and with quotas or incidents every event is also counted against
+     * records shared with other keys, so in these cases the events are tracked
+     * one at a time instead.
+     * @param {Array<{category: string, id: string, details?: object, severity?: string, priority?: number}>} events -
+     * See `trackEvent` for `severity` and `priority`.
+     * @returns {Promise<Array<{type: string, data?: EventRecord, reason?: string}>>} One outcome per event.
+     */
+  async trackEvents (events) {
+    this._assertOpen()
+    return this._whilePending(this._trackEvents(events))
+  }
+
+  async _trackEvents (events) {
+    if (!Array.isArray(events)) {
+      throw new Error('trackEvents expects an array of { category, id, details } events.')
+    }
+    if (this.eviction || this.quotas.layers.length || this.incidents) {
+      const outcomes = []
+      for (const { category, id, details, severity, priority } of events) {
+        outcomes.push(await this._trackEvent(category, id, details, { severity, priority }))
+      }
+      return outcomes
+    }
+    if (!events.length) return []
+
+    const startedAt = performance.now()
+    const prepared = events.map(({ category, id, details, severity, priority }) =>
+      this._prepareEvent(category, id, details, { severity, priority }))
+    const keys = [...new Set(prepared.map(({ eventData }) => eventData.compositeKey))]
+    if (this.maxKeys > 0) {
+      const size = await this.storage.size()
+      if (size >= this.maxKeys) {
+        await this._purgeExpired(size)
+      }
+    }
+
+    const { outcomes } = await this._updateRecords(keys, async (records) => {
+      const current = new Map(keys.map((key, index) => [key, records[index]]))
+      const pending = new Map(keys.map(key => [key, 0]))
+      for (const { eventData } of prepared) {
+        pending.set(eventData.compositeKey, pending.get(eventData.compositeKey) + 1)
+      }
+      // New keys written earlier in the batch count towards maxKeys for later events
+      let stored = null
+      let added = 0
+      const size = async () => {
+        stored = stored ?? await this.storage.size()
+        return stored + added
+      }
+
+      const outcomes = []
+      const written = new Set()
+      for (const { eventData, rule } of prepared) {
+        const key = eventData.compositeKey
+        pending.set(key, pending.get(key) - 1)
+        const record = current.get(key)
+        const outcome = await this._applyStrategy(record, eventData, rule, { size })
+        if (outcome.record) {
+          if (!record) added++
+          written.add(key)
+          // Strategies update records in place, so later events get a copy and this outcome keeps its own
+          current.set(key, pending.get(key) > 0 ? deserializeValue(serializeValue(outcome.record)) : outcome.record)
+        }
+        outcomes.push(outcome)
+      }
+
+      return { outcomes, records: keys.map(key => written.has(key) ? current.get(key) : undefined) }
+    })
+
+    if (this.history) {
+      const histories = new Map()
+      const now = Date.now()
+      outcomes.forEach((outcome, index) => {
+        if (!outcome.record) return
+        const { eventData } = prepared[index]
+        const key = eventData.compositeKey
+        const history = histories.get(key) ?? { entries: [], record: null }
+        history.entries.push(createHistoryEntry(eventData, outcome, now, this.history.detailsLimit))
+        history.record = outcome.record
+        histories.set(key, history)
+      })
+      for (const [key, { entries, record }] of histories) {
+        await this._appendHistory(key, entries, record)
+      }
+    }
+
+    const duration = (performance.now() - startedAt) / events.length
+    return outcomes.map((outcome, index) => this._settleEvent(prepared[index].eventData, outcome, duration))
+  }
+
+  /**
+     * Matches an event against the rules and computes its key and fingerprint.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details]
+     * @param {{severity?: string, priority?: number}} [options={}] - See `trackEvent`.
+     * @returns {{eventData: object, rule: object|null}}
+     */
+  _prepareEvent (category, id, details, options = {}) {
+    const severity = options.severity ?? null
+    const priority = options.priority ?? null
+    this.severities.assert(severity)
+    if (priority !== null && !Number.isFinite(priority)) {
+      throw new Error(`Expected a number as priority, got ${priority}.`)
+    }
+    const rule = this.rules.match(category, id, details)
+    if (rule) {
+      this.emit('rule_matched', { rule: rule.name, category, id, details })
+    }
+
+    const compositeKey = this.getCompositeKey(category, id, details)
+    const fingerprinter = rule?.fingerprinter ?? this.fingerprinter
+    const detailsHash = fingerprinter.hash(details, category, id)
+    return { eventData: { compositeKey, category, id, details, detailsHash, severity, priority }, rule }
+  }
 
+  /**
+     * Emits the events for a tracked event's outcome and builds the value returned to the caller.
+     * @param {object} eventData
+     * @param {{outcome: string, reason?: string, layer?: string, escalation?: object, record?: EventRecord}} result - The
+     * strategy result. `layer` names the quota that deferred the event, if it was not its own key.
+     * @param {number} duration - Time (ms) spent tracking the event.
+     * @returns {{type: string, data?: EventRecord, reason?: string, layer?: string, incident?: string}}
+     */
+  _settleEvent (eventData, result, duration) {
+    const { category, id, details } = eventData
+    const { outcome, reason, record: updatedRecord } = result
+    const layer = outcome === 'immediate' ? null : (result.layer ?? 'key')
+    if (!updatedRecord) {
+      this.emit(outcome, { reason, category, id, details })
+    } else {
+      if (this.scheduler && updatedRecord.deferred) {
+        this.scheduler.notify(updatedRecord.scheduledSendAt)
+      }
+      this.emit('tracked', updatedRecord)
+      if (result.escalation) {
+        this.emit('escalated', { category, id, ...result.escalation, record: updatedRecord })
+      }
+      this.emit(outcome, updatedRecord)
+      if (outcome === 'immediate' && this.sinks.handles('immediate')) {
+        this._whilePending(this.sinks.notifyImmediate(updatedRecord, eventData.severity))
+      }
+    }
+    this.emit('track_completed', {
+      category,
+      id,
+      outcome,
+      reason: reason ?? (outcome === 'ignored' ? 'already_deferred' : null),
+      layer,
+      duration
+    })
+
+    if (!updatedRecord) return { type: outcome, reason, layer, incident: result.incident }
+    const settled = { type: outcome, data: updatedRecord }
+    if (reason) settled.reason = reason // Set by strategies explaining their decision, e.g. AdaptiveStrategy
+    if (layer) settled.layer = layer
+    if (result.incident) settled.incident = result.incident
+    return settled
+  }
+
+  /**
+     * Makes room for `key` if it is new and the store is at `maxKeys`: expired
+     * records are purged first, then, with an eviction policy, enough records
+     * are evicted. Otherwise the key is turned away by `_applyStrategy`.
+     * @param {string} key - The composite key about to be written.
+     * @returns {Promise<void>}
+     */
+  async _makeRoom (key) {
+    if (this.maxKeys <= 0) return
+    let size = await this.storage.size()
+    if (size < this.maxKeys || await this.storage.get(key)) return
+
+    size = await this._purgeExpired(size)
+    if (!this.eviction || size < this.maxKeys) return
+    const evicted = await this.storage.evict(this.eviction, size - this.maxKeys + 1, { exclude: key })
+    this._emitEvicted(evicted, 'max_keys')
+  }
+
+  /**
+     * Purges expired records from a full store. Purging can be a full scan, so
+     * while the store stays full it runs at most once a second.
+     * @param {number} size - The current number of stored records.
+     * @returns {Promise<number>} The number of stored records afterwards.
+     */
+  async _purgeExpired (size) {
+    if (typeof this.storage.purgeExpired !== 'function' || Date.now() - this.lastPurgeAt < 1000) return size
+    this.lastPurgeAt = Date.now()
+    return await this.storage.purgeExpired() > 0 ? this.storage.size() : size
+  }
+
+  /**
+     * Evicts records until the storage adapter's memory estimate is within `maxMemory`.
+     * @param {string} key - The composite key just written, which is kept.
+     * @returns {Promise<void>}
+     */
+  async _enforceMemoryBudget (key) {
+    if (this.maxMemory <= 0 || await this.storage.memoryUsage() <= this.maxMemory) return
+    await this.storage.purgeExpired()
+    while (await this.storage.memoryUsage() > this.maxMemory) {
+      const evicted = await this.storage.evict(this.eviction, 1, { exclude: key })
+      if (!evicted.length) return // Nothing left that the policy allows evicting
+      this._emitEvicted(evicted, 'max_memory')
+    }
+  }
+
+  /**
+     * @param {EventRecord[]} records
+     * @param {'max_keys'|'max_memory'} reason
+     */
+  _emitEvicted (records, reason) {
+    for (const record of records) {
+      const { key, category, id } = record
+      this.emit('evicted', { key, category, id, policy: this.eviction, reason, record })
+    }
+  }
+
+  /**
+     * Runs the throttling strategy against the current stored record.
+     * This may be invoked more than once per event when the storage adapter
+     * retries a contended update, so it must not have side effects.
+     * @param {EventRecord|undefined} record - The currently stored record.
+     * @param {object} eventData - The raw data for the incoming event.
+     * @param {object} [rule] - The routing rule matched by the event, if any.
+     * @param {object} [options={}]
+     * @param {function(): Promise<number>} [options.size] - Counts the stored records against `maxKeys`.
+     * Defaults to the storage adapter's `size()`.
+     * @returns {Promise<{outcome: string, reason?: string, escalation?: {from: string|null, to: string}, record?: EventRecord}>}
+     * `escalation` is set if the event was let through for its severity.
+     */
+  async _applyStrategy (record, eventData, rule, options = {}) {
+    const now = Date.now()
+    const ruleName = rule ? rule.name : null
     const isExpired = record && now > record.expiresAt
-    const detailsChanged = record && record.detailsHash !== detailsHash
+    const detailsChanged = record && record.detailsHash !== eventData.detailsHash
+    // A record's config and strategyData only make sense to the strategy that created them
+    const ruleChanged = record && (record.rule ?? null) !== ruleName
+    // Overwriting a stored record does not take up another key, even if it starts over
+    const isNewKey = !record
 
-    if (isExpired || detailsChanged) {
+    if (isExpired || detailsChanged || ruleChanged) {
       record = undefined // Treat as a new event
     }
 
-    if (!record && this.maxKeys > 0 && await this.storage.size() >= this.maxKeys) {
-      this.emit('ignored', { reason: 'key_limit_reached', category, id, details })
-      return { type: 'ignored', reason: 'key_limit_reached' }
+    const size = options.size ?? (() => this.storage.size())
+    if (isNewKey && this.maxKeys > 0 && await size() >= this.maxKeys) {
+      return { outcome: 'ignored', reason: 'key_limit_reached' }
     }
 
-    const eventData = { compositeKey, category, id, details, detailsHash }
-    const { outcome, record: updatedRecord } = await this.strategy.track(record, eventData)
+    // Escalations are judged against the severities seen before this event
+    const previousSeverity = record ? record.maxSeverity ?? null : null
+    const escalated = Boolean(record) && this.severities.rank(eventData.severity) > this.severities.rank(previousSeverity)
 
-    await this.storage.set(compositeKey, updatedRecord)
-    this.emit('tracked', updatedRecord)
-    this.emit(outcome, updatedRecord)
+    const strategy = rule ? rule.strategy : this.strategy
+    // Strategies update the record in place, so the time and flag are kept rather than the record
+    const previousSendAt = record ? record.scheduledSendAt : null
+    const wasDeferred = record ? record.deferred : false
+    const result = await strategy.track(record, eventData)
+    result.record.rule = ruleName
+    if (eventData.severity !== null) {
+      result.record.maxSeverity = this.severities.max(result.record.maxSeverity, eventData.severity)
+    }
+    if (eventData.priority !== null) {
+      result.record.maxPriority = Math.max(result.record.maxPriority ?? -Infinity, eventData.priority)
+    }
+    if (result.record.deferred && result.record.scheduledSendAt !== null && result.record.scheduledSendAt !== previousSendAt) {
+      // A time the strategy left alone was scheduled when it was set
+      result.record.scheduledSendAt = this._scheduleDelivery(result.record, result.record.scheduledSendAt)
+    }
+    if (escalated) {
+      // Let through whatever the strategy decided; the record stays deferred if it was, for the others
+      if (!wasDeferred && result.record.deferred) {
+        // Nothing is held back if the strategy only deferred the event let through
+        BaseStrategy.release(result.record, BaseStrategy.pool(result.record.config ?? {}, eventData.severity))
+      }
+      result.outcome = 'immediate'
+      result.reason = 'escalated'
+      result.escalation = { from: previousSeverity, to: eventData.severity }
+    }
+    if (result.outcome === 'deferred' || result.outcome === 'ignored') {
+      // Samples are kept distinct by their full details, not just by the fields fingerprinted
+      const sampleHash = EventTracker.generateDetailsHash(eventData.details)
+      recordSuppression(result.record, eventData.details, sampleHash, now, this.digestSampleSize)
+    }
+    return result
+  }
 
-    return { type: outcome, data: updatedRecord }
+  /**
+     * Applies the delivery policy of a deferred record's category, if any.
+     * @param {EventRecord} record
+     * @param {number} at - When its strategy or quota would have it fall due.
+     * @returns {number} When it falls due.
+     */
+  _scheduleDelivery (record, at) {
+    const policy = this.deliveryPolicies.find(candidate => candidate.matches(record.category))
+    return policy ? policy.schedule(at, record) : at
   }
 
-  async processDeferredEvents () {
+  /**
+     * Atomically reads, modifies and writes a record through the storage adapter.
+     * Falls back to a plain get/set (or delete) for adapters without `update()`.
+     * @param {string} key - The composite key of the event.
+     * @param {function(EventRecord|undefined): Promise<{record?: EventRecord|null}>} updater - See
+     * `InMemoryAdapter#update`. A `record` of null deletes the stored record.
+     * @returns {Promise<object>} The updater result.
+     */
+  async _updateRecord (key, updater) {
+    if (typeof this.storage.update === 'function') {
+      // The adapter runs the whole read-modify-write atomically (and may retry it).
+      return this.storage.update(key, updater)
+    }
+    const result = await updater(await this.storage.get(key))
+    if (result && result.record) {
+      await this.storage.set(key, result.record)
+    } else if (result && result.record === null) {
+      await this.storage.delete(key)
+    }
+    return result
+  }
+
+  /**
+     * Atomically reads, modifies and writes several records, as `_updateRecord` does for one.
+     * Falls back to `mGet()`/`mSet()`, then to plain gets and sets, for adapters without `updateMany()`.
+     * @param {string[]} keys - Distinct composite keys.
+     * @param {function(Array<EventRecord|undefined>): Promise<{records: Array<EventRecord|null|undefined>}>} updater -
+     * See `InMemoryAdapter#updateMany`.
+     * @returns {Promise<object>} The updater result.
+     */
+  async _updateRecords (keys, updater) {
+    if (typeof this.storage.updateMany === 'function') {
+      return this.storage.updateMany(keys, updater)
+    }
+    const records = typeof this.storage.mGet === 'function'
+      ? await this.storage.mGet(keys)
+      : await Promise.all(keys.map(key => this.storage.get(key)))
+    const result = await updater(records)
+    const entries = BaseStorageAdapter.changedEntries(keys, result)
+    if (typeof this.storage.mSet === 'function') {
+      await this.storage.mSet(entries)
+    } else {
+      for (const [key, record] of entries) {
+        await (record ? this.storage.set(key, record) : this.storage.delete(key))
+      }
+    }
+    return result
+  }
+
+  /**
+     * Appends occurrences to a record's history, kept as long as the record.
+     * @param {string} key
+     * @param {import('./delivery/history').HistoryEntry[]} entries - Oldest first.
+     * @param {EventRecord} record - The record as written for the last of them.
+     * @returns {Promise<void>}
+     */
+  async _appendHistory (key, entries, record) {
+    await this.storage.appendHistory(key, entries, { size: this.history.size, expiresAt: record.expiresAt })
+  }
+
+  /**
+     * Attaches the history of each claimed record to the record and digest handed out for delivery.
+     * @param {import('./delivery/DeliveryQueue').Claim[]} claims
+     * @returns {Promise<void>}
+     */
+  async _attachHistory (claims) {
+    if (!this.history) return
+    for (const claim of claims) {
+      const history = await this.storage.getHistory(claim.key)
+      claim.record.history = history
+      if (claim.digest) {
+        claim.digest.history = history
+      }
+    }
+  }
+
+  /**
+     * Reads the latest occurrences of an event stream: when each was tracked,
+     * whether it was let through or held back and why, and its (trimmed) details.
+     * Requires a storage adapter implementing `getHistory()`.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details] - Only needed if `options.keyFunction` uses it.
+     * @returns {Promise<import('./delivery/history').HistoryEntry[]>} Oldest first. Empty if the stream has
+     * no record, or `options.history` is off.
+     */
+  async getHistory (category, id, details) {
+    if (typeof this.storage.getHistory !== 'function') {
+      throw new Error('Reading history requires a storage adapter implementing getHistory.')
+    }
+    return this.storage.getHistory(this.getCompositeKey(category, id, details))
+  }
+
+  /**
+     * Reads the record of an event stream, e.g. to see why its events are being held back.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details] - Only needed if `options.keyFunction` uses it.
+     * @returns {Promise<EventRecord|undefined>} The record, or undefined if nothing is tracked for the stream.
+     */
+  async getRecord (category, id, details) {
+    return this.storage.get(this.getCompositeKey(category, id, details))
+  }
+
+  /**
+     * Pages through the tracked records in key order.
+     * Requires a storage adapter implementing `listRecords()`.
+     * @param {object} [query={}]
+     * @param {string} [query.category] - Only records of this category.
+     * @param {boolean} [query.deferred] - Only records that are (or are not) deferred.
+     * @param {number} [query.minCount] - Only records that counted at least this many events.
+     * @param {string|null} [query.cursor] - The cursor returned with the previous page.
+     * @param {number} [query.limit=100] - How many records to return at most.
+     * @returns {Promise<{records: EventRecord[], cursor: string|null}>} The page, and the cursor of the next
+     * one, or null once there are no more records.
+     */
+  async listRecords (query = {}) {
+    if (typeof this.storage.listRecords !== 'function') {
+      throw new Error('Listing records requires a storage adapter implementing listRecords.')
+    }
+    const { category, deferred, minCount } = query
+    return this.storage.listRecords({
+      cursor: query.cursor ?? null,
+      limit: query.limit,
+      filter: record => (category === undefined || record.category === category) &&
+        (deferred === undefined || Boolean(record.deferred) === deferred) &&
+        (minCount === undefined || record.count >= minCount)
+    })
+  }
+
+  /**
+     * Calls `fn` with every record matching `query`, one page at a time.
+     * @param {object} query - See `listRecords`, without `cursor` and `limit`.
+     * @param {function(EventRecord): Promise<void>|void} fn
+     * @returns {Promise<void>}
+     */
+  async _forEachRecord (query, fn) {
+    let cursor = null
+    do {
+      const page = await this.listRecords({ ...query, cursor, limit: SCAN_PAGE_SIZE })
+      for (const record of page.records) {
+        await fn(record)
+      }
+      cursor = page.cursor
+    } while (cursor !== null)
+  }
+
+  /**
+     * Summarizes what the tracker holds. This reads every record, so it is
+     * meant for dashboards and on-call tooling rather than hot paths.
+     * @param {object} [options={}]
+     * @param {number} [options.top=10] - How many of the noisiest keys to report.
+     * @returns {Promise<TrackerStats>}
+     */
+  async getStats (options = {}) {
+    const top = options.top ?? DEFAULT_STATS_TOP
     const now = Date.now()
-    const dueEvents = await this.storage.findDueDeferred(now)
-    for (const event of dueEvents) {
-      await this.storage.delete(event.key)
-      this.emit('processed', event)
+    const stats = {
+      generatedAt: now,
+      keys: 0,
+      categories: {},
+      topKeys: [],
+      backlog: { deferred: 0, overdue: 0, oldestDeferredAt: null, oldestAge: null }
     }
-    return dueEvents
+
+    await this._forEachRecord({}, (record) => {
+      stats.keys++
+      const category = stats.categories[record.category] ?? { keys: 0, events: 0, deferred: 0 }
+      stats.categories[record.category] = category
+      category.keys++
+      category.events += record.count
+
+      if (record.deferred) {
+        category.deferred++
+        stats.backlog.deferred++
+        if (record.scheduledSendAt && record.scheduledSendAt <= now) {
+          stats.backlog.overdue++
+        }
+        // Deferred since its first suppressed occurrence
+        const deferredAt = record.suppression?.firstSuppressedAt ?? record.lastEventTime
+        if (stats.backlog.oldestDeferredAt === null || deferredAt < stats.backlog.oldestDeferredAt) {
+          stats.backlog.oldestDeferredAt = deferredAt
+        }
+      }
+
+      if (top > 0 && (stats.topKeys.length < top || record.count > stats.topKeys[stats.topKeys.length - 1].count)) {
+        const { key, category, id, count, deferred } = record
+        stats.topKeys.push({ key, category, id, count, deferred })
+        stats.topKeys.sort((a, b) => b.count - a.count)
+        stats.topKeys.length = Math.min(stats.topKeys.length, top)
+      }
+    })
+
+    if (stats.backlog.oldestDeferredAt !== null) {
+      stats.backlog.oldestAge = now - stats.backlog.oldestDeferredAt
+    }
+    return stats
+  }
+
+  /**
+     * Clears an event stream's record, and with it any suppression or
+     * pending deferred delivery, so its next event starts a fresh count.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details] - Only needed if `options.keyFunction` uses it.
+     * @returns {Promise<boolean>} True if there was a record to clear.
+     */
+  async reset (category, id, details) {
+    return this._resetKey(this.getCompositeKey(category, id, details))
+  }
+
+  /**
+     * Clears every record of a category, as `reset` does for one, along with the category's quota.
+     * Requires a storage adapter implementing `listRecords()`.
+     * @param {string} category
+     * @returns {Promise<number>} The number of records cleared.
+     */
+  async resetCategory (category) {
+    let cleared = 0
+    await this._forEachRecord({ category }, async (record) => {
+      if (await this._resetKey(record.key)) cleared++
+    })
+    await this.quotas.reset(category)
+    return cleared
+  }
+
+  /**
+     * Deletes every record, quota state and dead letter the tracker stored,
+     * e.g. to purge a tenant: with a namespace, the other namespaces sharing
+     * the backend are left untouched. Unlike `resetCategory`, no `reset`
+     * event is emitted per record. Requires a storage adapter implementing `clear()`.
+     * @returns {Promise<number>} The number of records deleted.
+     */
+  async clear () {
+    if (typeof this.storage.clear !== 'function') {
+      throw new Error('Clearing requires a storage adapter implementing clear.')
+    }
+    const cleared = await this.storage.clear()
+    this.emit('cleared', { namespace: this.namespace, records: cleared })
+    return cleared
+  }
+
+  /**
+     * @param {string} key
+     * @returns {Promise<boolean>} True if there was a record to clear.
+     */
+  async _resetKey (key) {
+    const { removed } = await this._updateRecord(key, async (record) => ({ record: record ? null : undefined, removed: record }))
+    if (!removed) return false
+    this.emit('reset', { key, category: removed.category, id: removed.id, record: removed })
+    return true
+  }
+
+  /**
+     * Makes a deferred record due now instead of at its `scheduledSendAt`. If
+     * `onDeferredEventDue` is set, delivery is started right away; otherwise
+     * the record is returned by the next `processDeferredEvents` call.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} [details] - Only needed if `options.keyFunction` uses it.
+     * @returns {Promise<boolean>} False if the stream has no deferred record.
+     */
+  async flushDeferred (category, id, details) {
+    const now = Date.now()
+    const { flushed } = await this._updateRecord(this.getCompositeKey(category, id, details), async (record) => {
+      if (!record || !record.deferred) return { flushed: false }
+      // A record being delivered keeps its lease, and is simply not claimed again until it ends
+      record.scheduledSendAt = now
+      return { record, flushed: true }
+    })
+    if (!flushed) return false
+
+    if (this.scheduler) {
+      this.scheduler.notify(now)
+    } else if (typeof this.onDeferredEventDue === 'function') {
+      await this.deliverDueEvents()
+    }
+    return true
+  }
+
+  /**
+     * Reads the incidents currently stored: open ones, and pending ones whose
+     * group has not yet reached `minMembers` keys.
+     * @param {object} [query={}] - See `IncidentGrouper#list`.
+     * @returns {Promise<import('./incidents/IncidentGrouper').Incident[]>}
+     */
+  async getIncidents (query = {}) {
+    if (!this.incidents) {
+      throw new Error('Incidents are not enabled; set options.incidents.')
+    }
+    return this.incidents.list(query)
+  }
+
+  /**
+     * Reads the state of the quotas an event of `category` is counted against.
+     * @param {string} category
+     * @returns {Promise<Object<string, EventRecord|null>>} The `category` and `global` quota records, for
+     * the layers configured. A layer's record is null until it counts an event, and again once it expires.
+     */
+  async getQuotaStates (category) {
+    return this.quotas.states(category)
+  }
+
+  /**
+     * Fetches and clears all currently due deferred records.
+     *
+     * In digest mode the records are not cleared but digested instead: each
+     * due record with occurrences suppressed since its last delivery yields a
+     * digest, has its suppression stats reset and is rescheduled one
+     * `deferInterval` later, so an ongoing flood keeps producing periodic
+     * digests. A due record with nothing new to report is deleted, and its
+     * next occurrence starts a fresh count.
+     *
+     * Records are settled as soon as they are returned, so the caller is
+     * responsible for not losing them. `onDeferredEventDue` gets at-least-once
+     * delivery instead (see `deliverDueEvents`).
+     * @returns {Promise<EventRecord[]|import('./delivery/digest').Digest[]>} The due records, or their digests in digest mode.
+     */
+  async processDeferredEvents () {
+    const claims = await this.delivery.claimDue()
+    await this._attachHistory(claims)
+    const processed = []
+    for (const claim of claims) {
+      if (await this.delivery.ack(claim)) {
+        processed.push(this.digest ? claim.digest : claim.record)
+        this._emitProcessed(claim)
+      }
+    }
+    return processed
+  }
+
+  /**
+     * Emits `processed` and `delivery_lag` for an acknowledged claim.
+     * @param {import('./delivery/DeliveryQueue').Claim} claim
+     */
+  _emitProcessed (claim) {
+    const deliveredAt = Date.now()
+    const { dueAt } = claim.record.delivery
+    this.emit('processed', claim.record)
+    this.emit('delivery_lag', { key: claim.key, dueAt, deliveredAt, lag: deliveredAt - dueAt })
+  }
+
+  /**
+     * Groups digests per category into one summary payload, as passed to
+     * `onDeferredEventDue` in digest mode.
+     * @param {import('./delivery/digest').Digest[]} digests
+     * @returns {import('./delivery/digest').DigestSummary}
+     */
+  summarize (digests) {
+    const summary = summarizeDigests(digests, Date.now(), this.severities)
+    this.emit('digest', summary)
+    return summary
   }
 
   /**
@@ -124,40 +1109,351 @@ class EventTracker extends EventEmitter {
      * @param {string} category
      * @param {string} id
      * @param {object} newConfig - The configuration fields to update.
+     * @param {object} [details] - Only needed if `options.keyFunction` uses it.
      * @returns {Promise<boolean>} - True if the record was found and updated.
      */
-  async updateConfig (category, id, newConfig) {
-    const compositeKey = EventTracker.generateCompositeKey(category, id)
-    const record = await this.storage.get(compositeKey)
-    if (!record) return false
+  async updateConfig (category, id, newConfig, details) {
+    return this._updateConfigKey(this.getCompositeKey(category, id, details), newConfig)
+  }
+
+  /**
+     * Updates the configuration of every record of a category, as `updateConfig` does for one.
+     * Requires a storage adapter implementing `listRecords()`.
+     * @param {string} category
+     * @param {object} newConfig - The configuration fields to update.
+     * @returns {Promise<number>} The number of records updated.
+     */
+  async updateCategoryConfig (category, newConfig) {
+    let updated = 0
+    await this._forEachRecord({ category }, async (record) => {
+      if (await this._updateConfigKey(record.key, newConfig)) updated++
+    })
+    return updated
+  }
 
-    record.config = { ...record.config, ...newConfig }
-    await this.storage.set(compositeKey, record)
-    this.emit('config_updated', record)
+  /**
+     * Merges fields into a stored record's config, atomically with concurrent `trackEvent` calls.
+     * @param {string} key
+     * @param {object} newConfig
+     * @returns {Promise<boolean>} True if there was a record to update.
+     */
+  async _updateConfigKey (key, newConfig) {
+    const { updated } = await this._updateRecord(key, async (record) => {
+      if (!record) return {}
+      record.config = { ...record.config, ...newConfig }
+      return { record, updated: record }
+    })
+    if (!updated) return false
+    this.emit('config_updated', updated)
     return true
   }
 
+  /**
+     * Adds a routing rule. It applies to every subsequent `trackEvent` call,
+     * including for keys that have not been seen yet.
+     * @param {import('./rules/RuleSet').Rule} rule
+     * @returns {string} The rule name.
+     */
+  addRule (rule) {
+    const name = this.rules.add(rule)
+    this.emit('rule_added', { rule: name })
+    return name
+  }
+
+  /**
+     * Removes a routing rule by name. Records it created fall back to the next
+     * matching rule (or the default strategy) on their next event.
+     * @param {string} name
+     * @returns {boolean} True if a rule was removed.
+     */
+  removeRule (name) {
+    const removed = this.rules.remove(name)
+    if (removed) {
+      this.emit('rule_removed', { rule: name })
+    }
+    return removed
+  }
+
+  /**
+     * Lists the routing rules in evaluation order.
+     * @returns {import('./rules/RuleSet').Rule[]}
+     */
+  listRules () {
+    return this.rules.list()
+  }
+
+  /**
+     * Lists the records whose delivery was given up on after `retry.maxAttempts` failures.
+     * @returns {Promise<import('./delivery/DeliveryQueue').DeadLetter[]>}
+     */
+  async getDeadLetters () {
+    return this.delivery.getDeadLetters()
+  }
+
+  /**
+     * Delivers dead letters to `onDeferredEventDue` again, one at a time.
+     * Each one that is delivered successfully is removed from the dead-letter store.
+     * @param {string[]} [ids] - The dead letters to replay. Defaults to all of them.
+     * @returns {Promise<{replayed: string[], failed: Array<{id: string, error: Error}>}>}
+     */
+  async replayDeadLetters (ids) {
+    if (typeof this.onDeferredEventDue !== 'function') {
+      throw new Error('Dead letters can only be replayed when an onDeferredEventDue callback is configured.')
+    }
+    const deadLetters = await this.delivery.getDeadLetters()
+    const replayed = []
+    const failed = []
+    for (const deadLetter of deadLetters) {
+      if (ids && !ids.includes(deadLetter.id)) continue
+      try {
+        await this.onDeferredEventDue(this.digest && deadLetter.digest
+          ? this.summarize([deadLetter.digest])
+          : [deadLetter.record])
+        await this.delivery.deleteDeadLetter(deadLetter.id)
+        replayed.push(deadLetter.id)
+        this.emit('dead_letter_replayed', deadLetter)
+      } catch (error) {
+        failed.push({ id: deadLetter.id, error })
+      }
+    }
+    return { replayed, failed }
+  }
+
+  /**
+     * Discards a dead letter without delivering it.
+     * @param {string} id
+     * @returns {Promise<boolean>} True if it existed.
+     */
+  async discardDeadLetter (id) {
+    return this.delivery.deleteDeadLetter(id)
+  }
+
   async getDeferredEvents () {
-    if (typeof this.storage.findAllDeferred === 'function') {
-      return this.storage.findAllDeferred()
+    return this.storage.findAllDeferred()
+  }
+
+  /**
+     * Shuts the tracker down gracefully. New `trackEvent(s)` calls are refused
+     * from the start; calls already running, including a delivery in
+     * progress, are waited for. With `flush`, every record still deferred is
+     * then made due and delivered in one final batch (a single summary in
+     * digest mode) instead of waiting for its scheduled time. Finally the
+     * tracker is destroyed.
+     *
+     * Calling it again returns the same promise.
+     * @param {object} [options={}]
+     * @param {boolean} [options.flush=false] - Deliver the remaining deferred records before closing.
+     * @param {number} [options.timeout=30000] - Max time (ms) to wait for in-flight calls and the
+     * flush. Once it elapses, the tracker is destroyed regardless and `timedOut` is set.
+     * @returns {Promise<{drained: boolean, flushed: number, timedOut: boolean, records?: Array}>}
+     * `flushed` counts the records delivered by the flush. Without `onDeferredEventDue`, they are
+     * returned in `records` instead, as from `processDeferredEvents`.
+     */
+  close (options = {}) {
+    if (!this.closePromise) {
+      this.closePromise = this._close(options)
     }
-    const now = Date.now() + this.deferInterval * 365
-    return this.storage.findDueDeferred(now)
+    return this.closePromise
   }
 
-  destroy () {
+  async _close (options) {
+    const flush = options.flush ?? false
+    const timeout = options.timeout ?? DEFAULT_CLOSE_TIMEOUT_MS
+    const result = { drained: false, flushed: 0, timedOut: false }
+    this.closing = true
+    this.emit('closing', { flush, timeout })
+    this._stopProcessor()
+
+    let timer
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), timeout)
+    })
+    try {
+      result.timedOut = await Promise.race([this._drain(flush, result).then(() => false), expired])
+    } finally {
+      clearTimeout(timer)
+      this._removeSignalHandler()
+      await this._release()
+      this.emit('closed', result)
+      this.removeAllListeners()
+    }
+    return result
+  }
+
+  /**
+     * Waits for in-flight calls, then runs the final flush if asked to.
+     * @param {boolean} flush
+     * @param {object} result - Filled in as the steps complete.
+     */
+  async _drain (flush, result) {
+    while (this.pending.size > 0) {
+      await Promise.allSettled([...this.pending])
+    }
+    result.drained = true
+    if (!flush) return
+
+    const now = Date.now()
+    for (const record of await this.storage.findAllDeferred()) {
+      await this._updateRecord(record.key, async (current) => {
+        if (!current || !current.deferred || current.scheduledSendAt <= now) return {}
+        return { record: { ...current, scheduledSendAt: now } }
+      })
+    }
+
+    if (typeof this.onDeferredEventDue !== 'function') {
+      result.records = await this.processDeferredEvents()
+      result.flushed = result.records.length
+      return
+    }
+    const claims = await this.delivery.claimDue()
+    if (claims.length > 0) {
+      await this._deliverClaims(claims)
+      result.flushed = claims.length
+    }
+  }
+
+  /**
+     * Closes the tracker when the process receives one of `signals`, so a
+     * deployment's SIGTERM lets in-flight events settle (and optionally the
+     * deferred backlog go out) before exiting. Once closed, the signal is
+     * raised again if nothing else handles it, so the process still exits
+     * as it would have.
+     * @param {object} [options={}] - Passed to `close()`, plus:
+     * @param {string[]} [options.signals=['SIGTERM', 'SIGINT']]
+     * @returns {function(): void} Removes the handlers.
+     */
+  closeOnSignals (options = {}) {
+    const { signals = DEFAULT_CLOSE_SIGNALS, ...closeOptions } = options
+    this._removeSignalHandler()
+    const handler = (signal) => {
+      this._removeSignalHandler()
+      this.close(closeOptions)
+        .catch(() => {
+          process.exitCode = 1
+        })
+        .finally(() => {
+          if (process.listenerCount(signal) === 0) {
+            process.kill(process.pid, signal)
+          }
+        })
+    }
+    for (const signal of signals) {
+      process.on(signal, handler)
+    }
+    this.signalHandler = { signals, handler }
+    return () => this._removeSignalHandler()
+  }
+
+  _removeSignalHandler () {
+    if (!this.signalHandler) return
+    const { signals, handler } = this.signalHandler
+    for (const signal of signals) {
+      process.removeListener(signal, handler)
+    }
+    this.signalHandler = null
+  }
+
+  _assertOpen () {
+    if (this.closing) {
+      throw new Error('The tracker is closing and no longer accepts events.')
+    }
+  }
+
+  /**
+     * Registers an in-flight call for `close()` to wait for.
+     * @param {Promise} promise
+     * @returns {Promise} The same promise.
+     */
+  _whilePending (promise) {
+    this.pending.add(promise)
+    const settle = () => this.pending.delete(promise)
+    promise.then(settle, settle)
+    return promise
+  }
+
+  _stopProcessor () {
     if (this.processingIntervalId) {
       clearInterval(this.processingIntervalId)
+      this.processingIntervalId = null
+    }
+    if (this.scheduler) {
+      this.scheduler.stop()
+    }
+    if (this.incidents) {
+      this.incidents.stop()
+    }
+  }
+
+  /**
+     * Releases leadership and the storage adapter.
+     * @returns {Promise<void>}
+     */
+  async _release () {
+    const released = []
+    if (this.leaderElection) {
+      // Best effort: if this fails, the lock simply expires
+      released.push(this.leaderElection.resign().catch(() => {}))
     }
     if (this.storage && typeof this.storage.destroy === 'function') {
-      this.storage.destroy()
+      released.push(this.storage.destroy())
+    }
+    await Promise.all(released)
+  }
+
+  /**
+     * Stops the tracker immediately, without waiting for in-flight calls.
+     * See `close()` for a graceful shutdown.
+     * @returns {Promise<void>} Resolves once the storage adapter is released (the FileAdapter writes a
+     * final snapshot). A failure doing so is emitted as 'error' rather than rejecting.
+     */
+  destroy () {
+    this._stopProcessor()
+    this._removeSignalHandler()
+    if (this.leaderElection) {
+      // Best effort: if this fails, the lock simply expires
+      this.leaderElection.resign().catch(() => {})
     }
-    this.removeAllListeners()
+    const released = this.storage && typeof this.storage.destroy === 'function'
+      ? new Promise(resolve => resolve(this.storage.destroy()))
+      : Promise.resolve()
+    // Listeners are kept until then, so that a failing final write reaches them
+    return released
+      .catch(error => {
+        if (this.listenerCount('error') > 0) this.emit('error', error)
+      })
+      .then(() => {
+        this.removeAllListeners()
+      })
   }
 }
 
 module.exports = EventTracker
 module.exports.InMemoryAdapter = InMemoryAdapter
 module.exports.RedisAdapter = RedisAdapter
+module.exports.FileAdapter = FileAdapter
+module.exports.BaseStorageAdapter = BaseStorageAdapter
+module.exports.conformance = conformance
 module.exports.SimpleCounterStrategy = SimpleCounterStrategy
 module.exports.TokenBucketStrategy = TokenBucketStrategy
+module.exports.FixedWindowStrategy = FixedWindowStrategy
+module.exports.SlidingWindowLogStrategy = SlidingWindowLogStrategy
+module.exports.SlidingWindowCounterStrategy = SlidingWindowCounterStrategy
+module.exports.AdaptiveStrategy = AdaptiveStrategy
+module.exports.BaseStrategy = BaseStrategy
+module.exports.RuleSet = RuleSet
+module.exports.SeverityScale = SeverityScale
+module.exports.QuotaSet = QuotaSet
+module.exports.IncidentGrouper = IncidentGrouper
+module.exports.Fingerprinter = Fingerprinter
+module.exports.normalizers = normalizers
+module.exports.DeliveryQueue = DeliveryQueue
+module.exports.DeliveryPolicy = DeliveryPolicy
+module.exports.LeaderElection = LeaderElection
+module.exports.Scheduler = Scheduler
+module.exports.TrackerMetrics = TrackerMetrics
+module.exports.AdminServer = AdminServer
+module.exports.SinkRouter = SinkRouter
+module.exports.BaseSink = BaseSink
+module.exports.WebhookSink = WebhookSink
+module.exports.ConsoleSink = ConsoleSink
+module.exports.EmailSink = EmailSink
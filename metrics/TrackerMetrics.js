@@ -0,0 +1,167 @@
+const { Counter, Gauge, Histogram, renderPrometheus } = require('./instruments')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ * @typedef {import('./instruments').MetricFamily} MetricFamily
+ */
+
+const DEFAULT_PREFIX = 'event_tracker_'
+// In seconds, as Prometheus convention has it
+const DEFAULT_TRACK_DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+const DEFAULT_DELIVERY_LAG_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600]
+
+/**
+ * Subscribes to a tracker's events and keeps the counters, gauges and
+ * histograms most services end up building themselves:
+ *
+ *  - `events_total{category,outcome,reason,layer}`: every `trackEvent` outcome, and for events not
+ *    sent immediately, whether their own key or a category/global quota held them back.
+ *  - `processed_total{category}`, `delivery_failures_total`, `dead_letters_total`: delivery outcomes.
+ *  - `evicted_total{category,reason}`: records evicted to stay within `maxKeys` or `maxMemory`.
+ *  - `active_keys` and `deferred_backlog{category}`: read from storage on collection.
+ *  - `track_duration_seconds`: `trackEvent` latency.
+ *  - `delivery_lag_seconds`: how late records were delivered compared to when they fell due.
+ *
+ * Render them with `prometheus()` for a scrape endpoint, or `snapshot()` for JSON.
+ */
+class TrackerMetrics {
+  /**
+     * @param {EventTracker} tracker - The tracker to observe.
+     * @param {object} [options={}]
+     * @param {string} [options.prefix='event_tracker_'] - Prepended to every metric name.
+     * @param {number[]} [options.trackDurationBuckets] - Histogram buckets (seconds) for `trackEvent` latency.
+     * @param {number[]} [options.deliveryLagBuckets] - Histogram buckets (seconds) for delivery lag.
+     */
+  constructor (tracker, options = {}) {
+    const prefix = options.prefix ?? DEFAULT_PREFIX
+    this.tracker = tracker
+
+    this.events = new Counter({
+      name: `${prefix}events_total`,
+      help: 'Tracked events by category, outcome, reason and the layer that deferred or ignored them.',
+      labelNames: ['category', 'outcome', 'reason', 'layer']
+    })
+    this.processed = new Counter({
+      name: `${prefix}processed_total`,
+      help: 'Deferred records delivered or cleared, by category.',
+      labelNames: ['category']
+    })
+    this.deliveryFailures = new Counter({
+      name: `${prefix}delivery_failures_total`,
+      help: 'Failed delivery attempts that were scheduled for a retry.'
+    })
+    this.deadLetters = new Counter({
+      name: `${prefix}dead_letters_total`,
+      help: 'Records moved to the dead-letter store.'
+    })
+    this.evicted = new Counter({
+      name: `${prefix}evicted_total`,
+      help: 'Records evicted to make room, by category and reason.',
+      labelNames: ['category', 'reason']
+    })
+    this.activeKeys = new Gauge({
+      name: `${prefix}active_keys`,
+      help: 'Records currently held by the storage adapter.'
+    })
+    this.deferredBacklog = new Gauge({
+      name: `${prefix}deferred_backlog`,
+      help: 'Deferred records waiting for delivery, by category.',
+      labelNames: ['category']
+    })
+    this.trackDuration = new Histogram({
+      name: `${prefix}track_duration_seconds`,
+      help: 'Time taken by trackEvent.',
+      buckets: options.trackDurationBuckets ?? DEFAULT_TRACK_DURATION_BUCKETS
+    })
+    this.deliveryLag = new Histogram({
+      name: `${prefix}delivery_lag_seconds`,
+      help: 'Delay between a record falling due and its successful delivery.',
+      buckets: options.deliveryLagBuckets ?? DEFAULT_DELIVERY_LAG_BUCKETS
+    })
+
+    this.listeners = {
+      track_completed: ({ category, outcome, reason, layer, duration }) => {
+        this.events.inc({ category, outcome, reason, layer })
+        this.trackDuration.observe({}, duration / 1000)
+      },
+      processed: (record) => this.processed.inc({ category: record.category }),
+      delivery_failed: () => this.deliveryFailures.inc(),
+      dead_letter: () => this.deadLetters.inc(),
+      evicted: ({ category, reason }) => this.evicted.inc({ category, reason }),
+      delivery_lag: ({ lag }) => this.deliveryLag.observe({}, lag / 1000)
+    }
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      tracker.on(event, listener)
+    }
+  }
+
+  /**
+     * Refreshes the storage gauges and returns every metric.
+     * @returns {Promise<MetricFamily[]>}
+     */
+  async collect () {
+    const [size, deferred] = await Promise.all([
+      this.tracker.storage.size(),
+      this.tracker.getDeferredEvents()
+    ])
+    this.activeKeys.set({}, size)
+    this.deferredBacklog.reset()
+    const backlog = new Map()
+    for (const record of deferred) {
+      backlog.set(record.category, (backlog.get(record.category) ?? 0) + 1)
+    }
+    for (const [category, count] of backlog) {
+      this.deferredBacklog.set({ category }, count)
+    }
+
+    return [
+      this.events,
+      this.processed,
+      this.deliveryFailures,
+      this.deadLetters,
+      this.evicted,
+      this.activeKeys,
+      this.deferredBacklog,
+      this.trackDuration,
+      this.deliveryLag
+    ].map(metric => metric.collect())
+  }
+
+  /**
+     * Renders every metric in the Prometheus text exposition format.
+     * @returns {Promise<string>}
+     */
+  async prometheus () {
+    return renderPrometheus(await this.collect())
+  }
+
+  /**
+     * Returns every metric as a JSON-serializable object.
+     * @returns {Promise<{generatedAt: number, metrics: MetricFamily[]}>}
+     */
+  async snapshot () {
+    return { generatedAt: Date.now(), metrics: await this.collect() }
+  }
+
+  /**
+     * Zeroes the counters and histograms.
+     */
+  reset () {
+    for (const metric of [this.events, this.processed, this.deliveryFailures, this.deadLetters, this.evicted, this.trackDuration, this.deliveryLag]) {
+      metric.reset()
+    }
+  }
+
+  /**
+     * Stops observing the tracker.
+     */
+  detach () {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.tracker.removeListener(event, listener)
+    }
+  }
+}
+
+TrackerMetrics.PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+module.exports = TrackerMetrics
@@ -0,0 +1,230 @@
+/**
+ * Minimal counter, gauge and histogram instruments, and a renderer for the
+ * Prometheus text exposition format. Collected metric families are plain
+ * objects, so they double as a JSON snapshot.
+ */
+
+/**
+ * @typedef {object} Sample
+ * @property {object} labels - Label names to values.
+ * @property {number} [value] - The value, for counters and gauges.
+ * @property {number} [count] - Number of observations, for histograms.
+ * @property {number} [sum] - Sum of observations, for histograms.
+ * @property {{le: string, count: number}[]} [buckets] - Cumulative observation counts per upper bound, for histograms.
+ */
+
+/**
+ * @typedef {object} MetricFamily
+ * @property {string} name - The metric name.
+ * @property {string} help - A description of the metric.
+ * @property {'counter'|'gauge'|'histogram'} type
+ * @property {Sample[]} samples
+ */
+
+/**
+ * Builds a stable map key from a set of label values.
+ * @param {string[]} labelNames
+ * @param {object} labels
+ * @returns {string}
+ */
+function labelKey (labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''))
+}
+
+/**
+ * Keeps only the declared labels, stringifying their values.
+ * @param {string[]} labelNames
+ * @param {object} labels
+ * @returns {object}
+ */
+function pickLabels (labelNames, labels) {
+  const picked = {}
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name])
+  }
+  return picked
+}
+
+/**
+ * A monotonically increasing value per label set.
+ */
+class Counter {
+  /**
+     * @param {object} options
+     * @param {string} options.name
+     * @param {string} options.help
+     * @param {string[]} [options.labelNames=[]]
+     */
+  constructor (options) {
+    this.name = options.name
+    this.help = options.help
+    this.labelNames = options.labelNames ?? []
+    this.values = new Map()
+  }
+
+  /**
+     * @param {object} [labels={}]
+     * @param {number} [amount=1]
+     */
+  inc (labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels)
+    const entry = this.values.get(key)
+    if (entry) {
+      entry.value += amount
+    } else {
+      this.values.set(key, { labels: pickLabels(this.labelNames, labels), value: amount })
+    }
+  }
+
+  reset () {
+    this.values.clear()
+  }
+
+  /**
+     * @returns {MetricFamily}
+     */
+  collect () {
+    return {
+      name: this.name,
+      help: this.help,
+      type: 'counter',
+      samples: [...this.values.values()].map(({ labels, value }) => ({ labels: { ...labels }, value }))
+    }
+  }
+}
+
+/**
+ * A value per label set that can go up and down.
+ */
+class Gauge extends Counter {
+  /**
+     * @param {object} [labels={}]
+     * @param {number} value
+     */
+  set (labels, value) {
+    this.values.set(labelKey(this.labelNames, labels), { labels: pickLabels(this.labelNames, labels), value })
+  }
+
+  /**
+     * @returns {MetricFamily}
+     */
+  collect () {
+    return { ...super.collect(), type: 'gauge' }
+  }
+}
+
+/**
+ * Counts observations per label set into cumulative buckets.
+ */
+class Histogram {
+  /**
+     * @param {object} options
+     * @param {string} options.name
+     * @param {string} options.help
+     * @param {number[]} options.buckets - Upper bounds of the buckets, in ascending order.
+     * @param {string[]} [options.labelNames=[]]
+     */
+  constructor (options) {
+    this.name = options.name
+    this.help = options.help
+    this.buckets = [...options.buckets].sort((a, b) => a - b)
+    this.labelNames = options.labelNames ?? []
+    this.values = new Map()
+  }
+
+  /**
+     * @param {object} labels
+     * @param {number} value
+     */
+  observe (labels, value) {
+    const key = labelKey(this.labelNames, labels)
+    let entry = this.values.get(key)
+    if (!entry) {
+      entry = { labels: pickLabels(this.labelNames, labels), count: 0, sum: 0, counts: this.buckets.map(() => 0) }
+      this.values.set(key, entry)
+    }
+    entry.count += 1
+    entry.sum += value
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index] += 1
+    })
+  }
+
+  reset () {
+    this.values.clear()
+  }
+
+  /**
+     * @returns {MetricFamily}
+     */
+  collect () {
+    return {
+      name: this.name,
+      help: this.help,
+      type: 'histogram',
+      samples: [...this.values.values()].map(entry => {
+        const buckets = this.buckets.map((bound, index) => ({ le: formatNumber(bound), count: entry.counts[index] }))
+        buckets.push({ le: '+Inf', count: entry.count })
+        return { labels: { ...entry.labels }, count: entry.count, sum: entry.sum, buckets }
+      })
+    }
+  }
+}
+
+/**
+ * Formats a number the way Prometheus expects it.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber (value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  if (Number.isNaN(value)) return 'NaN'
+  return String(value)
+}
+
+/**
+ * Renders a label set, e.g. `{category="db",outcome="deferred"}`.
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels (labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return `${name}="${escaped}"`
+  })
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Renders metric families in the Prometheus text exposition format (v0.0.4).
+ * @param {MetricFamily[]} families
+ * @returns {string}
+ */
+function renderPrometheus (families) {
+  const lines = []
+  for (const family of families) {
+    const help = family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+    lines.push(`# HELP ${family.name} ${help}`)
+    lines.push(`# TYPE ${family.name} ${family.type}`)
+    for (const sample of family.samples) {
+      if (family.type !== 'histogram') {
+        lines.push(`${family.name}${formatLabels(sample.labels)} ${formatNumber(sample.value)}`)
+        continue
+      }
+      for (const { le, count } of sample.buckets) {
+        lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le })} ${count}`)
+      }
+      lines.push(`${family.name}_sum${formatLabels(sample.labels)} ${formatNumber(sample.sum)}`)
+      lines.push(`${family.name}_count${formatLabels(sample.labels)} ${sample.count}`)
+    }
+  }
+  return lines.join('\n') + '\n'
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  renderPrometheus
+}
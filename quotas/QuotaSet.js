@@ -0,0 +1,160 @@
+const crypto = require('crypto')
+const BaseStrategy = require('../strategies/BaseStrategy')
+const SimpleCounterStrategy = require('../strategies/SimpleCounterStrategy')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ */
+
+/**
+ * @typedef {object} QuotaDefinition
+ * @property {typeof BaseStrategy} [strategy=SimpleCounterStrategy] - The strategy class enforcing the quota.
+ *
+ * Any other property (e.g. `limit`, `windowSize`, `bucketSize`, `refillRate`,
+ * `deferInterval`, `expireTime`) is passed to the strategy constructor as an option.
+ */
+
+/**
+ * @typedef {object} QuotaOptions
+ * @property {QuotaDefinition} [category] - A budget shared by all the events of a category. Every
+ * category gets its own state.
+ * @property {QuotaDefinition} [global] - A single budget shared by every event.
+ */
+
+/**
+ * The layers an event is checked against after its own key, in order.
+ */
+const QUOTA_LAYERS = ['category', 'global']
+
+const KEY_PREFIX = 'quota:'
+
+/**
+ * Layered limits above the per-key one: a budget per category and a global
+ * budget, each enforced by its own strategy on a record of its own.
+ *
+ * Layer records live in the storage adapter's state keyspace, so processes
+ * sharing it share their quotas. Being apart from the event records, they
+ * take no `maxKeys` slot, are never evicted, and a layer over budget is not
+ * something to deliver.
+ */
+class QuotaSet {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance, passed to layer strategies.
+     * @param {QuotaOptions} [quotas={}]
+     */
+  constructor (tracker, quotas = {}) {
+    this.tracker = tracker
+    this.layers = []
+    for (const name of Object.keys(quotas)) {
+      if (!QUOTA_LAYERS.includes(name)) {
+        throw new Error(`Unknown quota layer "${name}"; expected one of ${QUOTA_LAYERS.join(', ')}.`)
+      }
+    }
+    for (const name of QUOTA_LAYERS) {
+      if (quotas[name]) {
+        this.layers.push(this._compile(name, quotas[name]))
+      }
+    }
+  }
+
+  /**
+     * @param {string} name
+     * @param {QuotaDefinition} definition
+     * @returns {{name: string, strategy: BaseStrategy}}
+     */
+  _compile (name, definition) {
+    const { strategy: StrategyClass = SimpleCounterStrategy, ...options } = definition
+    if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof BaseStrategy)) {
+      throw new TypeError(`The ${name} quota must reference a strategy class extending BaseStrategy.`)
+    }
+    return { name, strategy: new StrategyClass(this.tracker, options) }
+  }
+
+  /**
+     * The state key of a layer's record.
+     * @param {string} layer
+     * @param {string} category
+     * @returns {string}
+     */
+  static keyFor (layer, category) {
+    if (layer === 'global') return `${KEY_PREFIX}global`
+    return `${KEY_PREFIX}${layer}:${crypto.createHash('sha256').update(String(category)).digest('hex')}`
+  }
+
+  /**
+     * Counts an event against each layer in turn, stopping at the first one
+     * over budget. Layers before it have counted the event.
+     *
+     * A layer over budget is released once its `scheduledSendAt` has passed,
+     * as a deferred record is by its delivery: its record is dropped and the
+     * next event starts a fresh budget.
+     * @param {string} category - The event's category.
+     * @returns {Promise<{layer: string, record: EventRecord}|null>} The layer that is over budget,
+     * with its record, or null if every layer let the event through.
+     */
+  async check (category) {
+    for (const layer of this.layers) {
+      const key = QuotaSet.keyFor(layer.name, category)
+      const eventData = QuotaSet._eventData(layer.name, key, category)
+      const { outcome, state } = await this.tracker.storage.updateState(key, async (current) => {
+        const now = Date.now()
+        if (current && (now > current.expiresAt || (current.deferred && current.scheduledSendAt <= now))) {
+          current = undefined
+        }
+        const { outcome, record } = await layer.strategy.track(current, eventData)
+        return { outcome, state: record, expiresAt: record.expiresAt }
+      })
+      if (outcome !== 'immediate') {
+        return { layer: layer.name, record: state }
+      }
+    }
+    return null
+  }
+
+  /**
+     * Reads the current state of every layer an event of `category` is checked against.
+     * @param {string} category
+     * @returns {Promise<Object<string, EventRecord|null>>} Each configured layer's record, keyed by layer
+     * name, or null for a layer that has not counted anything yet (or whose record expired).
+     */
+  async states (category) {
+    const states = {}
+    for (const layer of this.layers) {
+      const record = await this.tracker.storage.getState(QuotaSet.keyFor(layer.name, category))
+      states[layer.name] = record ?? null
+    }
+    return states
+  }
+
+  /**
+     * Clears a category's quota, if one is configured, so its next event starts a fresh budget.
+     * @param {string} category
+     * @returns {Promise<void>}
+     */
+  async reset (category) {
+    if (this.layers.some(layer => layer.name === 'category')) {
+      await this.tracker.storage.deleteState(QuotaSet.keyFor('category', category))
+    }
+  }
+
+  /**
+     * @param {string} layer
+     * @param {string} key
+     * @param {string} category
+     * @returns {object} The event data a layer strategy builds its record from.
+     */
+  static _eventData (layer, key, category) {
+    return {
+      compositeKey: key,
+      category: layer === 'global' ? '*' : category,
+      id: '*',
+      details: undefined,
+      detailsHash: ''
+    }
+  }
+}
+
+QuotaSet.QUOTA_LAYERS = QUOTA_LAYERS
+
+module.exports = QuotaSet
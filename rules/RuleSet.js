@@ -0,0 +1,176 @@
+const BaseStrategy = require('../strategies/BaseStrategy')
+const SimpleCounterStrategy = require('../strategies/SimpleCounterStrategy')
+const Fingerprinter = require('../fingerprint/Fingerprinter')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+/**
+ * @typedef {object} Rule
+ * @property {string} [name] - Unique rule name. Generated if omitted.
+ * @property {string|RegExp} [category='*'] - Glob (`*`, `?`) or regex the category must match.
+ * @property {string|RegExp} [id='*'] - Glob (`*`, `?`) or regex the id must match.
+ * @property {function(object): boolean|object} [details] - A predicate called with the event details,
+ * or an object whose fields must all match the details (values may be primitives, RegExps or predicates).
+ * @property {typeof BaseStrategy} [strategy=SimpleCounterStrategy] - The strategy class to throttle matches with.
+ * @property {number} [priority=0] - Rules with a higher priority are evaluated first.
+ * @property {import('../fingerprint/Fingerprinter').FingerprintOptions|function} [fingerprint] - Overrides the
+ * tracker's fingerprint options for matching events.
+ *
+ * Any other property (e.g. `limit`, `bucketSize`, `refillRate`, `windowSize`,
+ * `deferInterval`, `expireTime`) is passed to the strategy constructor as an option.
+ */
+
+const RULE_FIELDS = ['name', 'category', 'id', 'details', 'strategy', 'priority', 'fingerprint']
+
+/**
+ * Compiles a glob or RegExp into a RegExp.
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+function compilePattern (pattern) {
+  if (pattern instanceof RegExp) return pattern
+  if (typeof pattern !== 'string') {
+    throw new TypeError('Rule category/id patterns must be glob strings or RegExp instances.')
+  }
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*'
+      if (char === '?') return '.'
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Tests a single expected value against an actual details field.
+ * @param {*} expected - A primitive, RegExp or predicate.
+ * @param {*} actual
+ * @returns {boolean}
+ */
+function matchesValue (expected, actual) {
+  if (typeof expected === 'function') return Boolean(expected(actual))
+  if (expected instanceof RegExp) return actual !== undefined && actual !== null && expected.test(String(actual))
+  return expected === actual
+}
+
+/**
+ * Compiles a rule's `details` condition into a predicate.
+ * @param {function|object|undefined} condition
+ * @returns {function(object): boolean}
+ */
+function compileDetailsMatcher (condition) {
+  if (condition === undefined) return () => true
+  if (typeof condition === 'function') return details => Boolean(condition(details))
+  if (condition && typeof condition === 'object') {
+    const entries = Object.entries(condition)
+    return details => Boolean(details) && entries.every(([field, expected]) => matchesValue(expected, details[field]))
+  }
+  throw new TypeError('Rule details conditions must be a predicate function or an object.')
+}
+
+/**
+ * An ordered table of routing rules that select a throttling strategy (and its
+ * parameters) per category/id pattern and details condition.
+ */
+class RuleSet {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance, passed to rule strategies.
+     * @param {Rule[]} [rules=[]] - Initial rules.
+     */
+  constructor (tracker, rules = []) {
+    this.tracker = tracker
+    this.rules = []
+    this.nextRuleNumber = 1
+    for (const rule of rules) {
+      this.add(rule)
+    }
+  }
+
+  /**
+     * Adds a rule. Rules are evaluated by descending priority, then insertion order.
+     * @param {Rule} rule
+     * @returns {string} The rule name.
+     */
+  add (rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new TypeError('A rule must be an object.')
+    }
+    const name = rule.name ?? `rule-${this.nextRuleNumber++}`
+    if (this.rules.some(compiled => compiled.name === name)) {
+      throw new Error(`A rule named "${name}" already exists.`)
+    }
+
+    const StrategyClass = rule.strategy ?? SimpleCounterStrategy
+    if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof BaseStrategy)) {
+      throw new TypeError(`Rule "${name}" must reference a strategy class extending BaseStrategy.`)
+    }
+
+    const options = {}
+    for (const [field, value] of Object.entries(rule)) {
+      if (!RULE_FIELDS.includes(field)) options[field] = value
+    }
+
+    const compiled = {
+      name,
+      priority: rule.priority ?? 0,
+      definition: { ...rule, name },
+      categoryPattern: compilePattern(rule.category ?? '*'),
+      idPattern: compilePattern(rule.id ?? '*'),
+      detailsMatcher: compileDetailsMatcher(rule.details),
+      strategy: new StrategyClass(this.tracker, options),
+      fingerprinter: rule.fingerprint ? new Fingerprinter(rule.fingerprint) : null
+    }
+
+    // Insert after every rule of equal or higher priority to keep the order stable
+    const index = this.rules.findIndex(existing => existing.priority < compiled.priority)
+    if (index === -1) {
+      this.rules.push(compiled)
+    } else {
+      this.rules.splice(index, 0, compiled)
+    }
+    return name
+  }
+
+  /**
+     * Removes a rule by name.
+     * @param {string} name
+     * @returns {boolean} True if a rule was removed.
+     */
+  remove (name) {
+    const index = this.rules.findIndex(compiled => compiled.name === name)
+    if (index === -1) return false
+    this.rules.splice(index, 1)
+    return true
+  }
+
+  /**
+     * Lists the rule definitions in evaluation order.
+     * @returns {Rule[]}
+     */
+  list () {
+    return this.rules.map(compiled => ({ ...compiled.definition }))
+  }
+
+  /**
+     * Finds the first rule matching an event.
+     * @param {string} category
+     * @param {string} id
+     * @param {object} details
+     * @returns {{name: string, strategy: BaseStrategy, fingerprinter: Fingerprinter|null, definition: Rule}|undefined}
+     */
+  match (category, id, details) {
+    return this.rules.find(compiled =>
+      compiled.categoryPattern.test(String(category)) &&
+      compiled.idPattern.test(String(id)) &&
+      compiled.detailsMatcher(details)
+    )
+  }
+}
+
+RuleSet.compilePattern = compilePattern
+
+module.exports = RuleSet
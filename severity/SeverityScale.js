@@ -0,0 +1,57 @@
+/**
+ * The default severity levels, lowest first.
+ */
+const DEFAULT_LEVELS = ['debug', 'info', 'warning', 'error', 'critical']
+
+/**
+ * An ordered set of severity levels. Events tracked without a severity rank
+ * as the lowest level.
+ */
+class SeverityScale {
+  /**
+     * @param {string[]} [levels=['debug', 'info', 'warning', 'error', 'critical']] - Distinct level
+     * names, lowest first.
+     */
+  constructor (levels = DEFAULT_LEVELS) {
+    if (!Array.isArray(levels) || levels.length === 0 || !levels.every(level => typeof level === 'string')) {
+      throw new Error('Severity levels must be a non-empty array of names.')
+    }
+    if (new Set(levels).size !== levels.length) {
+      throw new Error('Severity levels must be distinct.')
+    }
+    this.levels = [...levels]
+  }
+
+  /**
+     * Throws unless `severity` is one of the levels, or null/undefined.
+     * @param {string|null|undefined} severity
+     */
+  assert (severity) {
+    if (severity !== undefined && severity !== null && !this.levels.includes(severity)) {
+      throw new Error(`Unknown severity "${severity}"; expected one of ${this.levels.join(', ')}.`)
+    }
+  }
+
+  /**
+     * @param {string|null|undefined} severity
+     * @returns {number} The level's position, 0 for the lowest level and for no severity.
+     */
+  rank (severity) {
+    return Math.max(0, this.levels.indexOf(severity))
+  }
+
+  /**
+     * @param {string|null|undefined} a
+     * @param {string|null|undefined} b
+     * @returns {string|null} The higher of two severities, or null if neither is set.
+     */
+  max (a, b) {
+    if (a === undefined || a === null) return b ?? null
+    if (b === undefined || b === null) return a
+    return this.rank(b) > this.rank(a) ? b : a
+  }
+}
+
+SeverityScale.DEFAULT_LEVELS = DEFAULT_LEVELS
+
+module.exports = SeverityScale
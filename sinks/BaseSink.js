@@ -0,0 +1,171 @@
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../delivery/digest').CategorySummary} CategorySummary
+ */
+
+/**
+ * @typedef {object} Notification
+ * @property {string} id - Identifies the notification across redeliveries, so a sink that already
+ * delivered it can skip it.
+ * @property {'immediate'|'digest'} type - An event let through immediately, or deferred records
+ * falling due.
+ * @property {string} category
+ * @property {string|null} severity - The event's severity, or for `digest` notifications the highest
+ * among `records`.
+ * @property {number} generatedAt
+ * @property {string} title - A one-line, human-readable summary.
+ * @property {string} text - A human-readable body.
+ * @property {EventRecord} [record] - For `immediate` notifications, the event's record.
+ * @property {EventRecord[]} [records] - For `digest` notifications, the due records of the category.
+ * @property {number} [suppressedCount] - For `digest` notifications, the occurrences suppressed
+ * across `records`.
+ * @property {CategorySummary} [summary] - For `digest` notifications in digest mode, the category's
+ * summary.
+ */
+
+const DEFAULT_CONCURRENCY = 4
+const DEFAULT_TIMEOUT_MS = 10 * 1000
+const DEFAULT_RETRIES = 2
+const DEFAULT_RETRY_DELAY_MS = 500
+const DEFAULT_DEDUPE_SIZE = 1000
+
+/**
+ * Base class for notification sinks: transports that forward tracked events
+ * to people or other systems.
+ *
+ * Subclasses implement `deliver()`. `send()` wraps it with what every
+ * transport needs: at most `concurrency` deliveries at a time, a `timeout`
+ * per attempt, `retries` with exponential backoff, and deduplication of the
+ * last `dedupeSize` notification ids, so a digest delivered again after
+ * another sink failed is not sent twice.
+ */
+class BaseSink {
+  /**
+     * @param {object} [options={}]
+     * @param {string} [options.name] - Identifies the sink in events and errors. Defaults to the class name.
+     * @param {number} [options.concurrency=4] - Max deliveries in progress at once.
+     * @param {number} [options.timeout=10000] - Max time (ms) for one delivery attempt.
+     * @param {number} [options.retries=2] - Attempts made after a failed one.
+     * @param {number} [options.retryDelay=500] - Delay (ms) before the first retry, doubled for each next one.
+     * @param {number} [options.dedupeSize=1000] - How many delivered notification ids to remember.
+     */
+  constructor (options = {}) {
+    this.name = options.name ?? this.constructor.name
+    this.concurrency = options.concurrency ?? DEFAULT_CONCURRENCY
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS
+    this.retries = options.retries ?? DEFAULT_RETRIES
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY_MS
+    this.dedupeSize = options.dedupeSize ?? DEFAULT_DEDUPE_SIZE
+    this.active = 0
+    this.queue = []
+    this.inFlight = new Map()
+    this.delivered = new Set() // In insertion order, oldest first
+  }
+
+  /**
+     * Delivers a notification, unless this sink already did.
+     * @param {Notification} notification
+     * @returns {Promise<boolean>} False if the notification was a duplicate.
+     * Rejects with the last attempt's error once retries are used up.
+     */
+  send (notification) {
+    if (this.delivered.has(notification.id)) return Promise.resolve(false)
+    let sending = this.inFlight.get(notification.id)
+    if (!sending) {
+      sending = this._send(notification).finally(() => this.inFlight.delete(notification.id))
+      this.inFlight.set(notification.id, sending)
+    }
+    return sending
+  }
+
+  async _send (notification) {
+    await this._acquire()
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await this._attempt(notification)
+          break
+        } catch (error) {
+          // Errors flagged as permanent (e.g. a 4xx answer) would fail again
+          if (attempt >= this.retries || error.retryable === false) throw error
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt))
+        }
+      }
+    } finally {
+      this._release()
+    }
+    this._remember(notification.id)
+    return true
+  }
+
+  /**
+     * Runs one delivery attempt, giving up on it after `timeout` ms.
+     * @param {Notification} notification
+     * @returns {Promise<void>}
+     */
+  async _attempt (notification) {
+    // A plain callback list rather than an AbortSignal, which Node 14 lacks
+    const listeners = []
+    let timeoutError = null
+    const onTimeout = (listener) => {
+      if (timeoutError) {
+        listener(timeoutError)
+      } else {
+        listeners.push(listener)
+      }
+    }
+    let timer
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timeoutError = new Error(`Sink "${this.name}" timed out after ${this.timeout} ms.`)
+        reject(timeoutError)
+        for (const listener of listeners) listener(timeoutError)
+      }, this.timeout)
+    })
+    try {
+      await Promise.race([this.deliver(notification, { onTimeout }), timedOut])
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  _acquire () {
+    if (this.active < this.concurrency) {
+      this.active++
+      return Promise.resolve()
+    }
+    return new Promise(resolve => this.queue.push(resolve))
+  }
+
+  _release () {
+    const next = this.queue.shift()
+    if (next) {
+      next() // The slot passes straight to the next delivery
+    } else {
+      this.active--
+    }
+  }
+
+  _remember (id) {
+    this.delivered.add(id)
+    if (this.delivered.size > this.dedupeSize) {
+      this.delivered.delete(this.delivered.values().next().value)
+    }
+  }
+
+  /**
+     * Performs a single delivery attempt.
+     * This method must be implemented by all subclasses.
+     * @param {Notification} notification
+     * @param {{onTimeout: function(Error): void}} context - `onTimeout(listener)` registers a function
+     * called with the timeout error once the attempt has timed out, e.g. to destroy its socket. It is
+     * called right away if the attempt timed out already.
+     * @returns {Promise<void>} Rejects if the delivery failed. Set `retryable` to false on the error
+     * to skip the remaining retries.
+     */
+  async deliver (notification, context) {
+    throw new Error('Sink.deliver() must be implemented by subclasses.')
+  }
+}
+
+module.exports = BaseSink
@@ -0,0 +1,42 @@
+const BaseSink = require('./BaseSink')
+const { render } = require('./template')
+
+/**
+ * Writes notifications to a stream: as JSON lines for a log pipeline to
+ * pick up, or as plain text for a terminal.
+ */
+class ConsoleSink extends BaseSink {
+  /**
+     * @param {object} [options={}] - Also accepts the `BaseSink` options.
+     * @param {import('stream').Writable} [options.stream=process.stdout]
+     * @param {'json'|'text'} [options.format='json'] - JSON lines, or each notification's title and text.
+     * @param {function|string|object} [options.template] - Renders what is written instead, see `template.render`.
+     */
+  constructor (options = {}) {
+    super(options)
+    this.stream = options.stream ?? process.stdout
+    this.format = options.format ?? 'json'
+    this.template = options.template
+    if (this.format !== 'json' && this.format !== 'text') {
+      throw new Error(`Unknown ConsoleSink format "${this.format}"; expected json or text.`)
+    }
+  }
+
+  /**
+     * @override
+     */
+  async deliver (notification) {
+    let output
+    if (this.template !== undefined) {
+      output = render(this.template, notification)
+    } else {
+      output = this.format === 'text' ? `${notification.title}\n${notification.text}` : notification
+    }
+    const line = typeof output === 'string' ? output : JSON.stringify(output)
+    await new Promise((resolve, reject) => {
+      this.stream.write(`${line}\n`, error => error ? reject(error) : resolve())
+    })
+  }
+}
+
+module.exports = ConsoleSink
@@ -0,0 +1,106 @@
+const os = require('os')
+const crypto = require('crypto')
+const BaseSink = require('./BaseSink')
+const { render } = require('./template')
+const { sendMail } = require('./smtp')
+
+/**
+ * @typedef {import('./BaseSink').Notification} Notification
+ */
+
+const DEFAULT_PORT = 25
+const MAX_LINE_LENGTH = 998 // RFC 5322, excluding CRLF
+
+/**
+ * Encodes a header value, as an RFC 2047 encoded word if it is not plain ASCII.
+ * Line breaks are folded into spaces, so event data cannot inject headers.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader (value) {
+  const flat = String(value).replace(/[\r\n]+/g, ' ')
+  if (/^[\x20-\x7e]*$/.test(flat)) return flat
+  return `=?UTF-8?B?${Buffer.from(flat, 'utf8').toString('base64')}?=`
+}
+
+/**
+ * Mails notifications through an SMTP relay, as plain-text messages.
+ *
+ * Only a relay is needed, not a mail library: point `host` and `port` at a
+ * local stand-in server such as MailHog or smtp4dev to see exactly what
+ * would be sent. Replies in the 5xx range are not retried.
+ */
+class EmailSink extends BaseSink {
+  /**
+     * @param {object} options - Also accepts the `BaseSink` options.
+     * @param {string} [options.host='localhost']
+     * @param {number} [options.port=25]
+     * @param {boolean} [options.secure=false] - Connect over TLS from the start (usually port 465).
+     * STARTTLS is not supported.
+     * @param {object} [options.tls] - Extra `tls.connect` options.
+     * @param {{user: string, pass: string}} [options.auth] - Credentials for `AUTH PLAIN`.
+     * @param {string} options.from - The sender address.
+     * @param {string|string[]} options.to - The recipient addresses.
+     * @param {function|string} [options.subject='{{title}}'] - Subject template, see `template.render`.
+     * @param {function|string} [options.text='{{text}}'] - Body template.
+     * @param {string} [options.heloName=os.hostname()] - The name sent with EHLO.
+     */
+  constructor (options = {}) {
+    super(options)
+    if (!options.from || !options.to || options.to.length === 0) {
+      throw new Error('EmailSink requires from and to addresses.')
+    }
+    this.smtp = {
+      host: options.host ?? 'localhost',
+      port: options.port ?? DEFAULT_PORT,
+      secure: options.secure ?? false,
+      tls: options.tls,
+      auth: options.auth,
+      heloName: options.heloName ?? os.hostname()
+    }
+    this.from = options.from
+    this.to = [].concat(options.to)
+    this.subject = options.subject ?? '{{title}}'
+    this.text = options.text ?? '{{text}}'
+  }
+
+  /**
+     * @override
+     */
+  async deliver (notification, { onTimeout }) {
+    await sendMail({ ...this.smtp, onTimeout }, {
+      from: this.from,
+      to: this.to,
+      message: this.format(notification)
+    })
+  }
+
+  /**
+     * Builds the RFC 5322 message for a notification.
+     * @param {Notification} notification
+     * @returns {string} The message, headers included, with CRLF line endings.
+     */
+  format (notification) {
+    const body = String(render(this.text, notification) ?? '').replace(/\r?\n/g, '\r\n')
+    const plain = /^[\x20-\x7e\t\r\n]*$/.test(body) && body.split('\r\n').every(line => line.length <= MAX_LINE_LENGTH)
+    const headers = [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${encodeHeader(render(this.subject, notification) ?? '')}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${this.smtp.heloName}>`,
+      `X-Event-Tracker-Notification: ${encodeHeader(notification.id)}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      `Content-Transfer-Encoding: ${plain ? '7bit' : 'base64'}`
+    ]
+    const encoded = plain
+      ? body
+      : Buffer.from(body, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n')
+    return `${headers.join('\r\n')}\r\n\r\n${encoded}`
+  }
+}
+
+EmailSink.encodeHeader = encodeHeader
+
+module.exports = EmailSink
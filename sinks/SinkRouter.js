@@ -0,0 +1,197 @@
+const crypto = require('crypto')
+const BaseSink = require('./BaseSink')
+const RuleSet = require('../rules/RuleSet')
+
+/**
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../delivery/digest').DigestSummary} DigestSummary
+ * @typedef {import('./BaseSink').Notification} Notification
+ */
+
+/**
+ * @typedef {object} SinkRoute
+ * @property {string|RegExp} [category='*'] - Glob (`*`, `?`) or regex the category must match.
+ * @property {BaseSink|BaseSink[]} sinks - Where matching notifications go.
+ * @property {Array<'immediate'|'digest'>} [types=['immediate', 'digest']] - Which notifications to route:
+ * events let through immediately, deferred records falling due, or both.
+ */
+
+const NOTIFICATION_TYPES = ['immediate', 'digest']
+
+/**
+ * Routes notifications to sinks by category and type. A notification goes
+ * to the sinks of every matching route, once per sink.
+ */
+class SinkRouter {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance, which emits `sink_failed`.
+     * @param {SinkRoute[]} [routes=[]]
+     */
+  constructor (tracker, routes = []) {
+    this.tracker = tracker
+    this.routes = routes.map((route, index) => this._compile(route, index))
+  }
+
+  /**
+     * @param {SinkRoute} route
+     * @param {number} index
+     * @returns {{category: RegExp, types: string[], sinks: BaseSink[]}}
+     */
+  _compile (route, index) {
+    const sinks = [].concat(route.sinks ?? [])
+    if (sinks.length === 0 || !sinks.every(sink => sink instanceof BaseSink)) {
+      throw new TypeError(`Sink route ${index} must have sinks extending BaseSink.`)
+    }
+    const types = route.types ?? NOTIFICATION_TYPES
+    const unknown = types.find(type => !NOTIFICATION_TYPES.includes(type))
+    if (unknown) {
+      throw new Error(`Unknown notification type "${unknown}"; expected one of ${NOTIFICATION_TYPES.join(', ')}.`)
+    }
+    return { category: RuleSet.compilePattern(route.category ?? '*'), types, sinks }
+  }
+
+  /**
+     * Whether any route takes notifications of `type`.
+     * @param {'immediate'|'digest'} type
+     * @returns {boolean}
+     */
+  handles (type) {
+    return this.routes.some(route => route.types.includes(type))
+  }
+
+  /**
+     * @param {Notification} notification
+     * @returns {BaseSink[]} The distinct sinks of every route matching the notification.
+     */
+  sinksFor (notification) {
+    const sinks = new Set()
+    for (const route of this.routes) {
+      if (route.types.includes(notification.type) && route.category.test(notification.category)) {
+        route.sinks.forEach(sink => sinks.add(sink))
+      }
+    }
+    return [...sinks]
+  }
+
+  /**
+     * Sends a notification to its sinks. Failures are emitted as `sink_failed`.
+     * @param {Notification} notification
+     * @returns {Promise<Array<{sink: BaseSink, error: Error}>>} The sinks that failed.
+     */
+  async dispatch (notification) {
+    const sinks = this.sinksFor(notification)
+    const results = await Promise.allSettled(sinks.map(sink => sink.send(notification)))
+    const failures = []
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failures.push({ sink: sinks[index], error: result.reason })
+        this.tracker.emit('sink_failed', { sink: sinks[index].name, notification, error: result.reason })
+      }
+    })
+    return failures
+  }
+
+  /**
+     * Notifies the sinks of an event let through immediately. Never rejects.
+     * @param {EventRecord} record
+     * @param {string|null} [severity=null] - The event's severity.
+     * @returns {Promise<void>}
+     */
+  async notifyImmediate (record, severity = null) {
+    await this.dispatch(SinkRouter.immediateNotification(record, Date.now(), severity))
+  }
+
+  /**
+     * Delivers a payload of deferred records, as passed to `onDeferredEventDue`,
+     * as one digest notification per category.
+     * @param {EventRecord[]|DigestSummary} payload
+     * @returns {Promise<void>} Rejects if any sink failed, so the delivery is retried. Sinks that
+     * succeeded skip the notifications they already delivered.
+     */
+  async deliverDeferred (payload) {
+    const notifications = SinkRouter.digestNotifications(payload, Date.now(), this.tracker.severities)
+    const failures = (await Promise.all(notifications.map(notification => this.dispatch(notification)))).flat()
+    if (failures.length > 0) {
+      const reasons = failures.map(({ sink, error }) => `${sink.name}: ${error.message}`).join('; ')
+      throw new Error(`${failures.length} sink deliveries failed: ${reasons}`)
+    }
+  }
+
+  /**
+     * @param {EventRecord} record
+     * @param {number} now
+     * @param {string|null} [severity=null]
+     * @returns {Notification}
+     */
+  static immediateNotification (record, now, severity = null) {
+    const { key, category, id, count, details } = record
+    const lines = [`${category}/${id} occurred${count > 1 ? ` (${count} times in the current window)` : ''}.`]
+    if (details !== undefined) lines.push(`Details: ${JSON.stringify(details)}`)
+    return {
+      id: `immediate:${key}:${count}:${record.lastEventTime}`,
+      type: 'immediate',
+      category,
+      severity,
+      generatedAt: now,
+      title: `[${category}] ${id}`,
+      text: lines.join('\n'),
+      record
+    }
+  }
+
+  /**
+     * Splits a deferred payload into one digest notification per category. A
+     * notification's id is derived from its records, when they fell due and
+     * the occurrences they suppressed, so it is the same when a failed delivery
+     * is retried as it was, and new once the retry has merged new occurrences.
+     * @param {EventRecord[]|DigestSummary} payload
+     * @param {number} now
+     * @param {import('../severity/SeverityScale')} severities - Ranks the records' severities.
+     * @returns {Notification[]}
+     */
+  static digestNotifications (payload, now, severities) {
+    const groups = new Map()
+    if (Array.isArray(payload)) {
+      for (const record of payload) {
+        const group = groups.get(record.category) ?? { records: [], summary: undefined }
+        group.records.push(record)
+        groups.set(record.category, group)
+      }
+    } else {
+      for (const summary of payload.categories) {
+        groups.set(summary.category, { records: summary.digests.map(digest => digest.record), summary })
+      }
+    }
+
+    return [...groups].map(([category, { records, summary }]) => {
+      const suppressed = record => record.suppression ? record.suppression.suppressedCount : 0
+      const suppressedCount = records.reduce((total, record) => total + suppressed(record), 0)
+      const fingerprint = records
+        .map(record => {
+          const dueAt = record.delivery ? record.delivery.dueAt : record.scheduledSendAt
+          const lastSuppressedAt = record.suppression ? record.suppression.lastSuppressedAt : null
+          return `${record.key}:${dueAt}:${suppressed(record)}:${lastSuppressedAt}`
+        })
+        .sort()
+        .join('\n')
+      const notification = {
+        id: `digest:${category}:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`,
+        type: 'digest',
+        category,
+        severity: records.reduce((max, record) => severities.max(max, record.maxSeverity), null),
+        generatedAt: now,
+        title: `[${category}] ${suppressedCount} suppressed event${suppressedCount === 1 ? '' : 's'} across ${records.length} key${records.length === 1 ? '' : 's'}`,
+        text: records.map(record => `- ${record.id}: ${suppressed(record)} suppressed, ${record.count} in total`).join('\n'),
+        records,
+        suppressedCount
+      }
+      if (summary) notification.summary = summary
+      return notification
+    })
+  }
+}
+
+SinkRouter.NOTIFICATION_TYPES = NOTIFICATION_TYPES
+
+module.exports = SinkRouter
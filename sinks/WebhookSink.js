@@ -0,0 +1,94 @@
+const http = require('http')
+const https = require('https')
+const BaseSink = require('./BaseSink')
+const { render } = require('./template')
+
+/**
+ * @typedef {import('./BaseSink').Notification} Notification
+ */
+
+const DEFAULT_RESPONSE_LIMIT = 64 * 1024 // 64 KB kept for error messages
+
+/**
+ * Posts notifications to an HTTP(S) endpoint: a Slack or Teams incoming
+ * webhook, a chat bot, an incident tool, or an internal service.
+ *
+ * The body is the rendered `template`, sent as JSON unless it renders to a
+ * string. Without a template, the notification itself is sent. Any 2xx
+ * answer is a success. Other 4xx answers than 408 and 429 are not retried.
+ */
+class WebhookSink extends BaseSink {
+  /**
+     * @param {object} options - Also accepts the `BaseSink` options.
+     * @param {string} options.url - The endpoint.
+     * @param {string} [options.method='POST']
+     * @param {object} [options.headers={}] - Extra request headers, e.g. `Authorization`.
+     * @param {function|string|object} [options.template] - The body template, see `template.render`.
+     * Slack, for instance, takes `{ text: '{{title}}\n{{text}}' }`.
+     */
+  constructor (options = {}) {
+    super(options)
+    if (!options.url) {
+      throw new Error('WebhookSink requires a url.')
+    }
+    this.url = new URL(options.url)
+    if (this.url.protocol !== 'http:' && this.url.protocol !== 'https:') {
+      throw new Error(`WebhookSink does not support the ${this.url.protocol} protocol.`)
+    }
+    this.method = options.method ?? 'POST'
+    this.headers = options.headers ?? {}
+    this.template = options.template
+  }
+
+  /**
+     * @override
+     */
+  async deliver (notification, { onTimeout }) {
+    const payload = this.template === undefined ? notification : render(this.template, notification)
+    const isText = typeof payload === 'string'
+    const body = Buffer.from(isText ? payload : JSON.stringify(payload))
+    const headers = {
+      'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Length': body.length,
+      ...this.headers
+    }
+
+    const { status, text } = await this._request(body, headers, onTimeout)
+    if (status < 200 || status >= 300) {
+      const error = new Error(`Webhook ${this.url.host} answered ${status}${text ? `: ${text}` : ''}`)
+      error.status = status
+      error.retryable = status >= 500 || status === 408 || status === 429
+      throw error
+    }
+  }
+
+  /**
+     * @param {Buffer} body
+     * @param {object} headers
+     * @param {function(function(Error): void): void} onTimeout - Registers a timeout listener.
+     * @returns {Promise<{status: number, text: string}>}
+     */
+  _request (body, headers, onTimeout) {
+    const transport = this.url.protocol === 'https:' ? https : http
+    return new Promise((resolve, reject) => {
+      const req = transport.request(this.url, { method: this.method, headers }, (res) => {
+        const chunks = []
+        let size = 0
+        res.on('data', chunk => {
+          if (size < DEFAULT_RESPONSE_LIMIT) chunks.push(chunk)
+          size += chunk.length
+        })
+        res.on('end', () => resolve({
+          status: res.statusCode,
+          text: Buffer.concat(chunks).toString('utf8').slice(0, DEFAULT_RESPONSE_LIMIT).trim()
+        }))
+        res.on('error', reject)
+      })
+      req.on('error', reject)
+      onTimeout(error => req.destroy(error))
+      req.end(body)
+    })
+  }
+}
+
+module.exports = WebhookSink
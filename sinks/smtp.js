@@ -0,0 +1,161 @@
+const net = require('net')
+const tls = require('tls')
+
+/**
+ * @typedef {object} SmtpOptions
+ * @property {string} host
+ * @property {number} port
+ * @property {boolean} [secure=false] - Connect over TLS from the start (usually port 465).
+ * @property {object} [tls] - Extra `tls.connect` options, e.g. `ca` or `rejectUnauthorized`.
+ * @property {{user: string, pass: string}} [auth] - Credentials for `AUTH PLAIN`.
+ * @property {string} heloName - The name this client introduces itself with.
+ * @property {function(function(Error): void): void} [onTimeout] - Registers a listener that ends the
+ * session, called with an error once the caller has given up on it.
+ */
+
+/**
+ * A minimal SMTP client session (RFC 5321), enough to hand one message to a
+ * relay: EHLO, optional AUTH PLAIN, MAIL, RCPT, DATA, QUIT.
+ */
+class SmtpSession {
+  /**
+     * @param {import('net').Socket} socket
+     */
+  constructor (socket) {
+    this.socket = socket
+    this.buffer = ''
+    this.lines = []
+    this.waiting = null
+    this.failure = null
+    socket.setEncoding('utf8')
+    socket.on('data', data => this._receive(data))
+    socket.on('error', error => this._fail(error))
+    socket.on('close', () => this._fail(new Error('SMTP connection closed unexpectedly.')))
+  }
+
+  _receive (data) {
+    this.buffer += data
+    let index
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      this.lines.push(this.buffer.slice(0, index))
+      this.buffer = this.buffer.slice(index + 2)
+    }
+    this._flush()
+  }
+
+  _fail (error) {
+    this.failure = this.failure ?? error
+    this._flush()
+  }
+
+  _flush () {
+    if (!this.waiting) return
+    // A reply ends with a line whose code is followed by a space instead of a dash
+    const end = this.lines.findIndex(line => line[3] !== '-')
+    if (end !== -1) {
+      const lines = this.lines.splice(0, end + 1)
+      const { resolve } = this.waiting
+      this.waiting = null
+      resolve({ code: Number(lines[0].slice(0, 3)), text: lines.map(line => line.slice(4)).join('\n') })
+    } else if (this.failure) {
+      const { reject } = this.waiting
+      this.waiting = null
+      reject(this.failure)
+    }
+  }
+
+  /**
+     * Reads the next reply and checks its code.
+     * @param {number[]} expected - The accepted reply codes.
+     * @returns {Promise<{code: number, text: string}>}
+     */
+  async read (expected) {
+    const reply = await new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject }
+      this._flush()
+    })
+    if (!expected.includes(reply.code)) {
+      const error = new Error(`SMTP server answered ${reply.code}: ${reply.text}`)
+      error.replyCode = reply.code
+      error.retryable = reply.code < 500 // 4xx replies are transient, 5xx permanent
+      throw error
+    }
+    return reply
+  }
+
+  /**
+     * Sends a command and reads its reply.
+     * @param {string} command
+     * @param {number[]} expected
+     * @returns {Promise<{code: number, text: string}>}
+     */
+  command (command, expected) {
+    this.socket.write(`${command}\r\n`)
+    return this.read(expected)
+  }
+}
+
+/**
+ * Connects to a server, resolving once the connection is established.
+ * @param {SmtpOptions} options
+ * @returns {Promise<import('net').Socket>}
+ */
+function connect (options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host, ...options.tls }, () => resolve(socket))
+      : net.connect({ host: options.host, port: options.port }, () => resolve(socket))
+    socket.once('error', reject)
+    if (options.onTimeout) {
+      options.onTimeout(error => socket.destroy(error))
+    }
+  })
+}
+
+/**
+ * Escapes lines starting with a dot, which would otherwise end the DATA section.
+ * @param {string} message - The message, with CRLF line endings.
+ * @returns {string}
+ */
+function dotStuff (message) {
+  return message.replace(/^\./gm, '..')
+}
+
+/**
+ * Sends one message.
+ * @param {SmtpOptions} options
+ * @param {{from: string, to: string[], message: string}} envelope - `message` is the full RFC 5322
+ * message, headers included, with CRLF line endings.
+ * @returns {Promise<void>}
+ */
+async function sendMail (options, envelope) {
+  const socket = await connect(options)
+  const session = new SmtpSession(socket)
+  try {
+    await session.read([220])
+    try {
+      await session.command(`EHLO ${options.heloName}`, [250])
+    } catch (error) {
+      if (error.replyCode === undefined) throw error
+      await session.command(`HELO ${options.heloName}`, [250]) // Servers predating ESMTP
+    }
+    if (options.auth) {
+      const credentials = Buffer.from(`\0${options.auth.user}\0${options.auth.pass}`).toString('base64')
+      await session.command(`AUTH PLAIN ${credentials}`, [235])
+    }
+    await session.command(`MAIL FROM:<${envelope.from}>`, [250])
+    for (const recipient of envelope.to) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251])
+    }
+    await session.command('DATA', [354])
+    await session.command(`${dotStuff(envelope.message)}\r\n.`, [250])
+    await session.command('QUIT', [221]).catch(() => {}) // The message is accepted already
+  } finally {
+    socket.destroy()
+  }
+}
+
+module.exports = {
+  dotStuff,
+  sendMail
+}
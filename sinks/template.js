@@ -0,0 +1,63 @@
+/**
+ * @typedef {import('./BaseSink').Notification} Notification
+ */
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/
+
+/**
+ * Reads a dotted path, e.g. `record.details.host`, from an object.
+ * @param {object} context
+ * @param {string} path
+ * @returns {*} The value, or undefined if any segment is missing.
+ */
+function lookup (context, path) {
+  return path.split('.').reduce((value, segment) => value === undefined || value === null ? undefined : value[segment], context)
+}
+
+/**
+ * Replaces the `{{path}}` placeholders of a string with values from the notification.
+ * A string made of a single placeholder yields the value itself, keeping its type.
+ * @param {string} template
+ * @param {Notification} notification
+ * @returns {*}
+ */
+function interpolate (template, notification) {
+  const whole = WHOLE_PLACEHOLDER.exec(template)
+  if (whole) return lookup(notification, whole[1])
+  return template.replace(PLACEHOLDER, (placeholder, path) => {
+    const value = lookup(notification, path)
+    if (value === undefined || value === null) return ''
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+  })
+}
+
+/**
+ * Renders a payload template for a notification:
+ *
+ *  - a function is called with the notification;
+ *  - a string has its `{{path}}` placeholders replaced;
+ *  - an object or array is rendered field by field, so a JSON payload such
+ *    as `{ text: '{{title}}', blocks: [...] }` can be written as-is.
+ * @param {function|string|object|Array} template
+ * @param {Notification} notification
+ * @returns {*} The rendered payload.
+ */
+function render (template, notification) {
+  if (typeof template === 'function') return template(notification)
+  if (typeof template === 'string') return interpolate(template, notification)
+  if (Array.isArray(template)) return template.map(item => render(item, notification))
+  if (template && typeof template === 'object') {
+    const rendered = {}
+    for (const [field, value] of Object.entries(template)) {
+      rendered[field] = render(value, notification)
+    }
+    return rendered
+  }
+  return template
+}
+
+module.exports = {
+  lookup,
+  render
+}
@@ -0,0 +1,207 @@
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ */
+
+/**
+ * @typedef {object} StorageCapabilities
+ * @property {boolean} atomicUpdate - Implements `update()`, an atomic read-modify-write. Without it the
+ * tracker falls back to `get()` followed by `set()`, and concurrent events for a key may be lost.
+ * @property {boolean} batch - Implements `mGet()` and `mSet()`, reading and writing several records in one
+ * round-trip. Used by `trackEvents()`.
+ * @property {boolean} atomicBatchUpdate - Implements `updateMany()`, an atomic read-modify-write of several
+ * records. Without it `trackEvents()` falls back to `mGet()` followed by `mSet()`.
+ * @property {boolean} nextDueAt - Implements `nextDueAt()`, used by timer-based scheduling.
+ * @property {boolean} listing - Implements `listRecords()`, paging through records in key order. Needed by
+ * `listRecords()`, `getStats()` and `resetCategory()` on the tracker.
+ * @property {boolean} deadLetters - Implements `addDeadLetter()`, `getDeadLetters()` and `deleteDeadLetter()`.
+ * @property {boolean} locks - Implements `acquireLock()`, `renewLock()` and `releaseLock()`, needed by
+ * leader coordination.
+ * @property {boolean} eviction - Implements `evict()` and `purgeExpired()`, needed by `options.eviction`.
+ * @property {boolean} memoryUsage - Implements `memoryUsage()`, needed by `options.maxMemory`.
+ * @property {boolean} history - Implements `appendHistory()` and `getHistory()`, a bounded list of
+ * occurrences per record, deleted with it. Needed by `options.history`.
+ * @property {boolean} clear - Implements `clear()`, deleting every record and dead letter. Needed by
+ * `clear()` on the tracker.
+ * @property {boolean} state - Implements `getState()`, `updateState()`, `deleteState()` and `findStates()`, a
+ * keyspace for the tracker's own bookkeeping kept apart from the records: it is not counted by `size()`, listed,
+ * evicted or indexed as deferred. Entries written with a `score` are indexed by it for `findStates()`. Needed by
+ * `options.quotas` and `options.incidents`.
+ * @property {boolean} namespaces - Implements `withNamespace(namespace)`, returning an adapter on the same
+ * backend whose state is isolated from other namespaces. Needed by `options.namespace` on the tracker.
+ * @property {boolean} shared - State is shared between processes using the same backend.
+ * @property {boolean} persistent - State survives a restart of the process.
+ */
+
+/**
+ * The methods every storage adapter must implement.
+ */
+const REQUIRED_METHODS = ['get', 'set', 'delete', 'size', 'findDueDeferred', 'findAllDeferred']
+
+const NAMESPACE_PATTERN = /^[\w.-]+$/
+
+/**
+ * Optional methods, grouped by the capability they provide.
+ */
+const OPTIONAL_METHODS = {
+  atomicUpdate: ['update'],
+  batch: ['mGet', 'mSet'],
+  atomicBatchUpdate: ['updateMany'],
+  nextDueAt: ['nextDueAt'],
+  listing: ['listRecords'],
+  deadLetters: ['addDeadLetter', 'getDeadLetters', 'deleteDeadLetter'],
+  locks: ['acquireLock', 'renewLock', 'releaseLock'],
+  eviction: ['evict', 'purgeExpired'],
+  memoryUsage: ['memoryUsage'],
+  history: ['appendHistory', 'getHistory'],
+  clear: ['clear'],
+  state: ['getState', 'updateState', 'deleteState', 'findStates'],
+  namespaces: ['withNamespace']
+}
+
+/**
+ * Base class for storage adapters. Declares the contract the EventTracker
+ * relies on; subclasses must implement every required method.
+ *
+ * Semantics every adapter must follow (checked by `storage/conformance`):
+ *  - A record is stored under its composite key and read back equal to what
+ *    was written, including nested objects such as `config` and `strategyData`.
+ *  - A record is treated as absent by every read once `Date.now()` is past
+ *    its `expiresAt`. It may linger in storage until it is purged.
+ *  - A record is in the deferred index exactly while it is stored with
+ *    `deferred: true`, indexed by its `scheduledSendAt`.
+ *  - `size()` counts stored records only, never adapter bookkeeping such as
+ *    indexes, dead letters or locks. It may count expired records that have
+ *    not been purged yet.
+ *
+ * Optional methods are detected by their presence, so they are deliberately
+ * not declared here. See `StorageCapabilities`.
+ */
+class BaseStorageAdapter {
+  /**
+     * What this adapter supports beyond the required methods.
+     * @returns {StorageCapabilities}
+     */
+  get capabilities () {
+    return BaseStorageAdapter.capabilitiesOf(this)
+  }
+
+  /**
+     * Detects the capabilities of any adapter, including ones not extending this class.
+     * @param {object} adapter
+     * @returns {StorageCapabilities}
+     */
+  static capabilitiesOf (adapter) {
+    const capabilities = { shared: false, persistent: false }
+    for (const [capability, methods] of Object.entries(OPTIONAL_METHODS)) {
+      capabilities[capability] = methods.every(method => typeof adapter[method] === 'function')
+    }
+    return capabilities
+  }
+
+  /**
+     * Whether a record is past its `expiresAt` and must be treated as absent.
+     * @param {EventRecord|undefined} record
+     * @param {number} [now=Date.now()]
+     * @returns {boolean}
+     */
+  static isExpired (record, now = Date.now()) {
+    return Boolean(record) && typeof record.expiresAt === 'number' && now > record.expiresAt
+  }
+
+  /**
+     * Pairs the keys given to `updateMany()` with the records its updater wants written (or, if null, deleted).
+     * @param {string[]} keys
+     * @param {{records?: Array<EventRecord|null|undefined>}} result - The updater result.
+     * @returns {Array<[string, EventRecord|null]>}
+     */
+  static changedEntries (keys, result) {
+    const records = (result && result.records) || []
+    return keys
+      .map((key, index) => [key, records[index]])
+      .filter(([, record]) => record !== undefined)
+  }
+
+  /**
+     * Throws if a namespace contains anything but letters, digits, `_`, `.` and `-`.
+     * @param {string} namespace
+     */
+  static assertNamespace (namespace) {
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+      throw new Error(`Invalid namespace "${namespace}"; use letters, digits, "_", "." and "-" only.`)
+    }
+  }
+
+  /**
+     * Throws if an adapter lacks a required method.
+     * @param {object} adapter
+     */
+  static assertAdapter (adapter) {
+    const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function')
+    if (missing.length) {
+      throw new Error(`Storage adapter is missing required methods: ${missing.join(', ')}.`)
+    }
+  }
+
+  /**
+     * Retrieves a record by its key.
+     * @param {string} key - The composite key of the event.
+     * @returns {Promise<EventRecord|undefined>} The record, or undefined if missing or expired.
+     */
+  async get (key) {
+    throw new Error(`${this.constructor.name}.get() must be implemented by subclasses.`)
+  }
+
+  /**
+     * Stores or replaces a record.
+     * @param {string} key - The composite key of the event.
+     * @param {EventRecord} record - The event record to store.
+     * @returns {Promise<void>}
+     */
+  async set (key, record) {
+    throw new Error(`${this.constructor.name}.set() must be implemented by subclasses.`)
+  }
+
+  /**
+     * Deletes a record. Deleting a missing record is not an error.
+     * @param {string} key - The composite key of the event.
+     * @returns {Promise<void>}
+     */
+  async delete (key) {
+    throw new Error(`${this.constructor.name}.delete() must be implemented by subclasses.`)
+  }
+
+  /**
+     * Returns the number of stored records.
+     * @returns {Promise<number>}
+     */
+  async size () {
+    throw new Error(`${this.constructor.name}.size() must be implemented by subclasses.`)
+  }
+
+  /**
+     * Finds the unexpired deferred records whose `scheduledSendAt` is at or before `timestamp`.
+     * @param {number} timestamp
+     * @returns {Promise<EventRecord[]>}
+     */
+  async findDueDeferred (timestamp) {
+    throw new Error(`${this.constructor.name}.findDueDeferred() must be implemented by subclasses.`)
+  }
+
+  /**
+     * Finds every unexpired deferred record, whether due or not.
+     * @returns {Promise<EventRecord[]>}
+     */
+  async findAllDeferred () {
+    throw new Error(`${this.constructor.name}.findAllDeferred() must be implemented by subclasses.`)
+  }
+
+  /**
+     * Releases resources such as timers. Connections handed in by the caller are left open.
+     */
+  destroy () {}
+}
+
+BaseStorageAdapter.REQUIRED_METHODS = REQUIRED_METHODS
+BaseStorageAdapter.OPTIONAL_METHODS = OPTIONAL_METHODS
+
+module.exports = BaseStorageAdapter
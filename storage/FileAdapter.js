@@ -0,0 +1,421 @@
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const InMemoryAdapter = require('./InMemoryAdapter')
+const BaseStorageAdapter = require('./BaseStorageAdapter')
+const { serializeValue, deserializeValue } = require('./serialization')
+
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ */
+
+const SNAPSHOT_FILE = 'snapshot.json'
+const JOURNAL_FILE = 'journal.log'
+const NAMESPACES_DIRECTORY = 'namespaces'
+const SNAPSHOT_VERSION = 1
+const DEFAULT_COMPACTION_THRESHOLD = 1000
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000 // 5 minutes
+
+const write = promisify(fs.write)
+const fdatasync = promisify(fs.fdatasync)
+const ftruncate = promisify(fs.ftruncate)
+
+/**
+ * A file-backed storage adapter for single-node deployments without Redis.
+ *
+ * Records are served from memory, as with the InMemoryAdapter, and every
+ * change is appended to a journal file (one JSON entry per line) before the
+ * write resolves. The journal is periodically compacted into a snapshot file.
+ * On startup the snapshot is loaded and the journal replayed on top of it,
+ * so counts and deferred schedules survive restarts and crashes.
+ *
+ * Crash safety relies on two properties. The snapshot is written to a
+ * temporary file and renamed into place, so it is always complete. Journal
+ * entries are full records and are replayed in order, so replaying entries
+ * already folded into the snapshot is harmless, and a final entry torn by a
+ * crash mid-write is detected and discarded.
+ *
+ * Only one process may use a directory at a time.
+ */
+class FileAdapter extends InMemoryAdapter {
+  /**
+     * @param {object} options - Configuration options.
+     * @param {string} options.directory - Where the snapshot and journal are kept. Created if missing.
+     * @param {number} [options.compactionThreshold=1000] - Journal entries after which the journal is
+     * compacted into a new snapshot.
+     * @param {number} [options.snapshotInterval=300000] - How often (ms) to compact a non-empty journal
+     * regardless of its size. 0 disables it.
+     * @param {boolean} [options.fsync=false] - Flush every journal entry to disk before resolving. Writes
+     * always survive the process being killed; this also makes them survive a power loss, at a cost in throughput.
+     * @param {number} [options.purgeInterval=60000] - How often (in ms) to check for and remove expired records.
+     */
+  constructor (options) {
+    if (!options || !options.directory) {
+      throw new Error('A directory must be provided for the FileAdapter.')
+    }
+    super(options)
+    this.directory = options.directory
+    this.snapshotPath = path.join(this.directory, SNAPSHOT_FILE)
+    this.journalPath = path.join(this.directory, JOURNAL_FILE)
+    this.compactionThreshold = options.compactionThreshold ?? DEFAULT_COMPACTION_THRESHOLD
+    this.fsync = options.fsync ?? false
+    this.journalEntries = 0
+    this.writeQueue = Promise.resolve()
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true })
+      this._load()
+      this.journalFd = fs.openSync(this.journalPath, 'a')
+    } catch (error) {
+      super.destroy() // Stops the purge timer, which would otherwise keep the process alive
+      throw error
+    }
+
+    const snapshotInterval = options.snapshotInterval ?? DEFAULT_SNAPSHOT_INTERVAL_MS
+    if (snapshotInterval > 0) {
+      this.snapshotIntervalId = setInterval(() => {
+        if (this.journalEntries > 0) {
+          this.compact().catch(() => {}) // Retried on the next interval
+        }
+      }, snapshotInterval)
+    }
+  }
+
+  /**
+     * @returns {import('./BaseStorageAdapter').StorageCapabilities}
+     */
+  get capabilities () {
+    return { ...super.capabilities, persistent: true }
+  }
+
+  /**
+     * Restores the state from the snapshot and the journal.
+     * A torn final journal entry is cut off so that later appends start on a clean line.
+     */
+  _load () {
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = deserializeValue(fs.readFileSync(this.snapshotPath, 'utf8'))
+      if (snapshot.v > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.v}; this release reads up to version ${SNAPSHOT_VERSION}.`)
+      }
+      for (const [key, record] of snapshot.events) {
+        this._write(key, record)
+      }
+      for (const deadLetter of snapshot.deadLetters) {
+        this.deadLetters.set(deadLetter.id, deadLetter)
+      }
+      for (const [key, entries] of snapshot.history ?? []) {
+        this.history.set(key, entries)
+      }
+      for (const [key, entry] of snapshot.states ?? []) {
+        this._writeState(key, entry)
+      }
+    }
+
+    if (!fs.existsSync(this.journalPath)) return
+    const journal = fs.readFileSync(this.journalPath, 'utf8')
+    let offset = 0
+    while (offset < journal.length) {
+      const end = journal.indexOf('\n', offset)
+      let entry = null
+      if (end !== -1) {
+        try {
+          entry = deserializeValue(journal.slice(offset, end))
+        } catch (error) {
+          if (end !== journal.length - 1) {
+            throw new Error(`Corrupt journal entry at offset ${offset} in ${this.journalPath}.`)
+          }
+        }
+      }
+      if (!entry) {
+        // Torn by a crash mid-write: the write never resolved, so dropping it loses nothing acknowledged
+        fs.truncateSync(this.journalPath, Buffer.byteLength(journal.slice(0, offset)))
+        break
+      }
+      this._apply(entry)
+      this.journalEntries += 1
+      offset = end + 1
+    }
+  }
+
+  /**
+     * Applies a journal entry to the in-memory state.
+     * @param {object} entry
+     */
+  _apply (entry) {
+    switch (entry.op) {
+      case 'set': this._write(entry.key, entry.record); break
+      case 'delete': this._remove(entry.key); break
+      case 'mSet': this._writeEntries(entry.entries); break
+      case 'addDeadLetter': this.deadLetters.set(entry.deadLetter.id, entry.deadLetter); break
+      case 'deleteDeadLetter': this.deadLetters.delete(entry.id); break
+      case 'clear': this._clear(); break
+      case 'appendHistory': this._appendHistory(entry.key, entry.entries, entry.size); break
+      case 'setState': this._writeState(entry.key, entry); break
+      case 'deleteState': this._deleteState(entry.key); break
+    }
+  }
+
+  /**
+     * Runs a file operation after every previously queued one.
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>}
+     */
+  _enqueue (task) {
+    const run = this.writeQueue.then(task)
+    this.writeQueue = run.catch(() => {})
+    return run
+  }
+
+  /**
+     * Appends an entry to the journal. The entry is serialized immediately,
+     * so later in-place changes to a record do not leak into it.
+     * @param {object} entry
+     * @returns {Promise<void>} Resolves once the entry is written.
+     */
+  _append (entry) {
+    const line = Buffer.from(serializeValue(entry) + '\n')
+    const written = this._enqueue(async () => {
+      let offset = 0
+      while (offset < line.length) {
+        const { bytesWritten } = await write(this.journalFd, line, offset, line.length - offset, null)
+        offset += bytesWritten
+      }
+      if (this.fsync) {
+        await fdatasync(this.journalFd)
+      }
+    })
+    this.journalEntries += 1
+    if (this.journalEntries >= this.compactionThreshold) {
+      this.compact().catch(() => {}) // Retried once the journal grows further
+    }
+    return written
+  }
+
+  /**
+     * Stores or updates a record. Resolves once the change is journaled.
+     * @param {string} key - The composite key of the event.
+     * @param {EventRecord} record - The event record to store.
+     * @returns {Promise<void>}
+     */
+  async set (key, record) {
+    await super.set(key, record)
+    await this._append({ op: 'set', key, record })
+  }
+
+  /**
+     * Atomically reads, modifies and writes a record. Resolves once the change is journaled.
+     * @param {string} key - The composite key of the event.
+     * @param {function(EventRecord|undefined): Promise<{record?: EventRecord}>} updater - See
+     * `InMemoryAdapter#update`.
+     * @returns {Promise<object>} The result of the updater.
+     */
+  async update (key, updater) {
+    let written
+    const result = await super.update(key, async (record) => {
+      const result = await updater(record)
+      // Queued while the key is locked, so entries for a key are journaled in the order they were made
+      if (result && result.record) {
+        written = this._append({ op: 'set', key, record: result.record })
+      } else if (result && result.record === null) {
+        written = this._append({ op: 'delete', key })
+      }
+      return result
+    })
+    await written
+    return result
+  }
+
+  /**
+     * Stores or deletes several records at once. They are journaled as a single
+     * entry, so after a crash either all or none of them are restored.
+     * @param {Array<[string, EventRecord|null]>} entries - Key and record pairs. A null record deletes the key.
+     * @returns {Promise<void>}
+     */
+  async mSet (entries) {
+    if (!entries.length) return
+    await super.mSet(entries)
+    await this._append({ op: 'mSet', entries })
+  }
+
+  /**
+     * Atomically reads, modifies and writes several records. Resolves once the changes are journaled.
+     * @param {string[]} keys - Distinct composite keys.
+     * @param {function(Array<EventRecord|undefined>): Promise<{records: Array<EventRecord|null|undefined>}>} updater -
+     * See `InMemoryAdapter#updateMany`.
+     * @returns {Promise<object>} The result of the updater.
+     */
+  async updateMany (keys, updater) {
+    let written
+    const result = await super.updateMany(keys, async (records) => {
+      const result = await updater(records)
+      const entries = BaseStorageAdapter.changedEntries(keys, result)
+      if (entries.length) {
+        written = this._append({ op: 'mSet', entries })
+      }
+      return result
+    })
+    await written
+    return result
+  }
+
+  /**
+     * Deletes a record by its key.
+     * @param {string} key - The composite key of the event.
+     * @returns {Promise<void>}
+     */
+  async delete (key) {
+    await super.delete(key)
+    await this._append({ op: 'delete', key })
+  }
+
+  /**
+     * Deletes every record, state and dead letter. Locks are kept.
+     * @returns {Promise<number>} The number of records deleted.
+     */
+  async clear () {
+    const cleared = await super.clear()
+    await this._append({ op: 'clear' })
+    return cleared
+  }
+
+  /**
+     * Stores a record whose delivery was given up on.
+     * @param {import('../delivery/DeliveryQueue').DeadLetter} deadLetter
+     * @returns {Promise<void>}
+     */
+  async addDeadLetter (deadLetter) {
+    await super.addDeadLetter(deadLetter)
+    await this._append({ op: 'addDeadLetter', deadLetter })
+  }
+
+  /**
+     * Appends occurrences to a record's history, keeping the last `options.size`.
+     * @param {string} key
+     * @param {import('../delivery/history').HistoryEntry[]} entries
+     * @param {{size: number, expiresAt?: number}} options
+     * @returns {Promise<void>}
+     */
+  async appendHistory (key, entries, options) {
+    await super.appendHistory(key, entries, options)
+    await this._append({ op: 'appendHistory', key, entries, size: options.size })
+  }
+
+  /**
+     * Atomically reads, modifies and writes an entry of the state keyspace. Resolves once the change is journaled.
+     * @param {string} key
+     * @param {function(object|undefined): Promise<{state?: object|null, expiresAt?: number, score?: number}>} updater - See
+     * `InMemoryAdapter#updateState`.
+     * @returns {Promise<object>} The result of the updater.
+     */
+  async updateState (key, updater) {
+    let written
+    const result = await super.updateState(key, async (state) => {
+      const result = await updater(state)
+      if (result && result.state) {
+        written = this._append({ op: 'setState', key, state: result.state, expiresAt: result.expiresAt, score: result.score })
+      } else if (result && result.state === null) {
+        written = this._append({ op: 'deleteState', key })
+      }
+      return result
+    })
+    await written
+    return result
+  }
+
+  /**
+     * Deletes an entry of the state keyspace.
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+  async deleteState (key) {
+    await super.deleteState(key)
+    await this._append({ op: 'deleteState', key })
+  }
+
+  /**
+     * Removes a dead letter.
+     * @param {string} id - The dead letter id.
+     * @returns {Promise<boolean>} True if it existed.
+     */
+  async deleteDeadLetter (id) {
+    const existed = await super.deleteDeadLetter(id)
+    if (existed) {
+      await this._append({ op: 'deleteDeadLetter', id })
+    }
+    return existed
+  }
+
+  /**
+     * Writes the current state to a new snapshot and empties the journal.
+     * Expired records purged from memory are dropped from disk at this point.
+     *
+     * The snapshot is taken from memory once every entry queued before it is
+     * written, so it covers all of them and the journal can be emptied.
+     * @returns {Promise<void>}
+     */
+  async compact () {
+    this.journalEntries = 0 // Entries appended from now on go to the emptied journal
+    return this._enqueue(async () => {
+      const snapshot = serializeValue({
+        v: SNAPSHOT_VERSION,
+        events: [...this.events.entries()],
+        deadLetters: [...this.deadLetters.values()],
+        history: [...this.history.entries()],
+        states: [...this.states.entries()]
+      })
+      const temporaryPath = `${this.snapshotPath}.tmp`
+      const handle = await fs.promises.open(temporaryPath, 'w')
+      try {
+        await handle.writeFile(snapshot)
+        await handle.sync()
+      } finally {
+        await handle.close()
+      }
+      await fs.promises.rename(temporaryPath, this.snapshotPath)
+      await ftruncate(this.journalFd, 0)
+    })
+  }
+
+  /**
+     * Resolves once every queued journal write has completed.
+     * @returns {Promise<void>}
+     */
+  async flush () {
+    await this._enqueue(async () => {})
+  }
+
+  /**
+     * A namespace keeps its own snapshot and journal, in `namespaces/<namespace>` under the directory.
+     * @param {string} namespace
+     * @returns {FileAdapter}
+     */
+  _createNamespace (namespace) {
+    return new FileAdapter({ ...this.options, directory: path.join(this.directory, NAMESPACES_DIRECTORY, namespace) })
+  }
+
+  /**
+     * Stops the background timers and closes the journal once pending writes are done,
+     * here and in the namespaces opened from this adapter.
+     * @returns {Promise<void>}
+     */
+  destroy () {
+    const namespacesReleased = super.destroy()
+    if (this.snapshotIntervalId) {
+      clearInterval(this.snapshotIntervalId)
+    }
+    if (this.root) {
+      // Opened again from disk if it is asked for later
+      this.root.namespaces.delete(this.namespace)
+    }
+    const closed = this._enqueue(async () => {
+      if (this.journalFd !== null) {
+        fs.closeSync(this.journalFd)
+        this.journalFd = null
+      }
+    })
+    return Promise.all([namespacesReleased, closed]).then(() => {})
+  }
+}
+
+module.exports = FileAdapter
@@ -1,8 +1,12 @@
+const BaseStorageAdapter = require('./BaseStorageAdapter')
+const { assertPolicy, isEvictable, evictionOrder } = require('./eviction')
+
 /**
  * @typedef {import('../index.js').EventRecord} EventRecord
  */
 
 const DEFAULT_PURGE_INTERVAL_MS = 60 * 1000 // 1 minute
+const DEFAULT_LIST_LIMIT = 100
 
 /**
  * An in-memory storage adapter for the EventTracker.
@@ -11,13 +15,27 @@ const DEFAULT_PURGE_INTERVAL_MS = 60 * 1000 // 1 minute
  * This adapter is suitable for single-process applications where data persistence
  * is not required. It features a periodic cleanup mechanism to purge expired records.
  */
-class InMemoryAdapter {
+class InMemoryAdapter extends BaseStorageAdapter {
   /**
      * @param {object} [options] - Configuration options.
      * @param {number} [options.purgeInterval=60000] - How often (in ms) to check for and remove expired records.
      */
   constructor (options = {}) {
+    super()
     this.events = new Map()
+    this.locks = new Map()
+    this.deadLetters = new Map()
+    this.history = new Map()
+    this.states = new Map()
+    this.stateScores = new Map() // Indexed state keys, with their scores
+    this.stateLocks = new Map()
+    this.heldLocks = new Map()
+    this.recordSizes = null // Measured from the first memoryUsage() call on
+    this.bytes = 0
+    this.options = options
+    this.namespace = null
+    this.root = null // The adapter this one is a namespace of
+    this.namespaces = new Map()
     const purgeInterval = options.purgeInterval ?? DEFAULT_PURGE_INTERVAL_MS
 
     if (purgeInterval > 0) {
@@ -30,25 +48,82 @@ class InMemoryAdapter {
   /**
      * Purges expired event records from the store.
      * This is called periodically and is designed to be a background task.
+     * @returns {number} The number of records purged.
      */
   purgeExpired () {
     const now = Date.now()
+    let purged = 0
     for (const [key, record] of this.events.entries()) {
       // The main engine handles the expiration time logic.
       // This check is a safeguard for any records that might be missed.
       if (now > record.expiresAt) {
-        this.events.delete(key)
+        this._remove(key)
+        purged++
+      }
+    }
+    for (const [key, entry] of this.states.entries()) {
+      if (now > entry.expiresAt) {
+        this._deleteState(key)
       }
     }
+    return purged
+  }
+
+  /**
+     * Stores a record in the map, keeping the memory estimate up to date.
+     * @param {string} key
+     * @param {EventRecord} record
+     */
+  _write (key, record) {
+    this.events.set(key, record)
+    if (this.recordSizes) {
+      this._measure(key, record)
+    }
+  }
+
+  /**
+     * Removes a record from the map, keeping the memory estimate up to date.
+     * @param {string} key
+     */
+  _remove (key) {
+    this.events.delete(key)
+    this.history.delete(key)
+    if (this.recordSizes) {
+      this._measure(key, undefined)
+    }
+  }
+
+  /**
+     * @param {string} key
+     * @param {EventRecord|undefined} record
+     */
+  _measure (key, record) {
+    const size = record ? Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(record)) : 0
+    this.bytes += size - (this.recordSizes.get(key) ?? 0)
+    if (record) {
+      this.recordSizes.set(key, size)
+    } else {
+      this.recordSizes.delete(key)
+    }
   }
 
   /**
      * Retrieves a record by its key.
      * @param {string} key - The composite key of the event.
-     * @returns {Promise<EventRecord|undefined>} The event record if found.
+     * @returns {Promise<EventRecord|undefined>} The event record if found and not expired.
      */
   async get (key) {
-    return this.events.get(key)
+    return this._live(this.events.get(key))
+  }
+
+  /**
+     * Hides a record that has expired but not been purged yet.
+     * @param {EventRecord|undefined} record
+     * @param {number} [now=Date.now()]
+     * @returns {EventRecord|undefined}
+     */
+  _live (record, now = Date.now()) {
+    return BaseStorageAdapter.isExpired(record, now) ? undefined : record
   }
 
   /**
@@ -58,7 +133,111 @@ class InMemoryAdapter {
      * @returns {Promise<void>}
      */
   async set (key, record) {
-    this.events.set(key, record)
+    this._write(key, record)
+  }
+
+  /**
+     * Atomically reads, modifies and writes a record.
+     *
+     * Calls for the same key are queued so that concurrent updates within
+     * this process never interleave between the read and the write.
+     * @param {string} key - The composite key of the event.
+     * @param {function(EventRecord|undefined): Promise<{record?: EventRecord}>} updater - Receives the
+     * current record and resolves to a result whose `record` is written back. If `record` is
+     * null the stored record is deleted, and if it is absent nothing is written.
+     * @returns {Promise<object>} The result of the updater.
+     */
+  async update (key, updater) {
+    const release = await this._lock(this.locks, key)
+    try {
+      const result = await updater(this._live(this.events.get(key)))
+      if (result && result.record) {
+        this._write(key, result.record)
+      } else if (result && result.record === null) {
+        this._remove(key)
+      }
+      return result
+    } finally {
+      release()
+    }
+  }
+
+  /**
+     * Waits for the previous holder of a key's lock, then takes it.
+     * @param {Map<string, Promise>} locks - The lock table: records' or states'.
+     * @param {string} key
+     * @returns {Promise<function(): void>} Releases the lock.
+     */
+  async _lock (locks, key) {
+    const previous = locks.get(key) ?? Promise.resolve()
+    let release
+    const current = new Promise(resolve => { release = resolve })
+    const tail = previous.then(() => current)
+    locks.set(key, tail)
+    await previous
+
+    return () => {
+      release()
+      if (locks.get(key) === tail) {
+        locks.delete(key)
+      }
+    }
+  }
+
+  /**
+     * Writes records, deleting the keys whose record is null.
+     * @param {Array<[string, EventRecord|null]>} entries
+     */
+  _writeEntries (entries) {
+    for (const [key, record] of entries) {
+      if (record) {
+        this._write(key, record)
+      } else {
+        this._remove(key)
+      }
+    }
+  }
+
+  /**
+     * Retrieves several records at once.
+     * @param {string[]} keys - The composite keys of the events.
+     * @returns {Promise<Array<EventRecord|undefined>>} The records, in the order of `keys`.
+     */
+  async mGet (keys) {
+    const now = Date.now()
+    return keys.map(key => this._live(this.events.get(key), now))
+  }
+
+  /**
+     * Stores or deletes several records at once.
+     * @param {Array<[string, EventRecord|null]>} entries - Key and record pairs. A null record deletes the key.
+     * @returns {Promise<void>}
+     */
+  async mSet (entries) {
+    this._writeEntries(entries)
+  }
+
+  /**
+     * Atomically reads, modifies and writes several records, as `update()` does for one.
+     * The keys are locked in sorted order, so overlapping calls cannot deadlock.
+     * @param {string[]} keys - Distinct composite keys.
+     * @param {function(Array<EventRecord|undefined>): Promise<{records: Array<EventRecord|null|undefined>}>} updater -
+     * Receives the current records in the order of `keys` and resolves to a result whose `records`
+     * are written back in the same order, with the same meaning as `record` in `update()`.
+     * @returns {Promise<object>} The result of the updater.
+     */
+  async updateMany (keys, updater) {
+    const releases = []
+    try {
+      for (const key of [...keys].sort()) {
+        releases.push(await this._lock(this.locks, key))
+      }
+      const result = await updater(await this.mGet(keys))
+      this._writeEntries(BaseStorageAdapter.changedEntries(keys, result))
+      return result
+    } finally {
+      releases.forEach(release => release())
+    }
   }
 
   /**
@@ -67,11 +246,34 @@ class InMemoryAdapter {
      * @returns {Promise<void>}
      */
   async delete (key) {
-    this.events.delete(key)
+    this._remove(key)
+  }
+
+  /**
+     * Deletes every record, state and dead letter. Locks are kept.
+     * @returns {Promise<number>} The number of records deleted.
+     */
+  async clear () {
+    return this._clear()
+  }
+
+  /**
+     * @returns {number} The number of records deleted.
+     */
+  _clear () {
+    const cleared = this.events.size
+    for (const key of [...this.events.keys()]) {
+      this._remove(key)
+    }
+    this.deadLetters.clear()
+    this.history.clear()
+    this.states.clear()
+    this.stateScores.clear()
+    return cleared
   }
 
   /**
-     * Returns the number of records in the store.
+     * Returns the number of records in the store, including expired ones not purged yet.
      * @returns {Promise<number>} The total number of unique event keys.
      */
   async size () {
@@ -84,9 +286,10 @@ class InMemoryAdapter {
      * @returns {Promise<EventRecord[]>} A list of due event records.
      */
   async findDueDeferred (timestamp) {
+    const now = Date.now()
     const due = []
     for (const record of this.events.values()) {
-      if (record.deferred && record.scheduledSendAt && timestamp >= record.scheduledSendAt) {
+      if (record.deferred && record.scheduledSendAt && timestamp >= record.scheduledSendAt && this._live(record, now)) {
         due.push(record)
       }
     }
@@ -94,13 +297,326 @@ class InMemoryAdapter {
   }
 
   /**
-     * Cleans up resources, like the purge interval timer.
+     * Finds all deferred records, whether due or not.
+     * @returns {Promise<EventRecord[]>} The deferred event records.
+     */
+  async findAllDeferred () {
+    const now = Date.now()
+    return [...this.events.values()].filter(record => record.deferred && this._live(record, now))
+  }
+
+  /**
+     * Pages through the records in key order.
+     * @param {object} [options={}]
+     * @param {string|null} [options.cursor] - Where to resume, from a previous page.
+     * @param {number} [options.limit=100] - How many records to return at most.
+     * @param {function(EventRecord): boolean} [options.filter] - Only records it accepts are returned.
+     * @returns {Promise<{records: EventRecord[], cursor: string|null}>} The page, and the cursor of the
+     * next one, or null once every record has been looked at.
+     */
+  async listRecords (options = {}) {
+    const limit = options.limit ?? DEFAULT_LIST_LIMIT
+    const filter = options.filter ?? (() => true)
+    const cursor = options.cursor ?? null
+    const now = Date.now()
+    const keys = [...this.events.keys()].filter(key => cursor === null || key > cursor).sort()
+    const records = []
+    for (const key of keys) {
+      const record = this._live(this.events.get(key), now)
+      if (record && filter(record)) {
+        records.push(record)
+        if (records.length >= limit) return { records, cursor: key }
+      }
+    }
+    return { records, cursor: null }
+  }
+
+  /**
+     * Returns the earliest `scheduledSendAt` among deferred records.
+     * @returns {Promise<number|null>} Null if nothing is deferred.
+     */
+  async nextDueAt () {
+    const now = Date.now()
+    let earliest = null
+    for (const record of this.events.values()) {
+      if (!record.deferred || !record.scheduledSendAt || !this._live(record, now)) continue
+      if (earliest === null || record.scheduledSendAt < earliest) {
+        earliest = record.scheduledSendAt
+      }
+    }
+    return earliest
+  }
+
+  /**
+     * Removes the records that should go first under an eviction policy.
+     * @param {'lru'|'lfu'|'priority'} policy - See `storage/eviction`.
+     * @param {number} [count=1] - How many records to evict at most.
+     * @param {object} [options={}]
+     * @param {string} [options.exclude] - A key that must not be evicted, e.g. the one being made room for.
+     * @returns {Promise<EventRecord[]>} The evicted records; fewer than `count` if not enough are evictable.
+     */
+  async evict (policy, count = 1, options = {}) {
+    assertPolicy(policy)
+    const order = evictionOrder(policy)
+    const now = Date.now()
+    const victims = []
+    for (const [key, record] of this.events.entries()) {
+      if (key === options.exclude || !this._live(record, now) || !isEvictable(policy, record)) continue
+      victims.push(record)
+      victims.sort(order)
+      if (victims.length > count) victims.pop()
+    }
+    for (const record of victims) {
+      await this.delete(record.key)
+    }
+    return victims
+  }
+
+  /**
+     * Estimates the memory held by records, as the size of their JSON serialization.
+     * Sizes are only tracked once this has been called, so adapters that are
+     * never asked pay nothing for it.
+     * @returns {Promise<number>} The estimate in bytes.
+     */
+  async memoryUsage () {
+    if (!this.recordSizes) {
+      this.recordSizes = new Map()
+      for (const [key, record] of this.events.entries()) {
+        this._measure(key, record)
+      }
+    }
+    return this.bytes
+  }
+
+  /**
+     * Reads an entry of the state keyspace, where the tracker keeps its own
+     * bookkeeping (such as quota state) apart from the records.
+     * @param {string} key
+     * @returns {Promise<object|undefined>} The state, or undefined if missing or expired.
+     */
+  async getState (key) {
+    const entry = this.states.get(key)
+    return entry && Date.now() <= entry.expiresAt ? entry.state : undefined
+  }
+
+  /**
+     * Atomically reads, modifies and writes an entry of the state keyspace.
+     * @param {string} key
+     * @param {function(object|undefined): Promise<{state?: object|null, expiresAt?: number, score?: number}>} updater - Receives
+     * the current state and resolves to a result whose `state` is written back, to read as absent after
+     * `expiresAt`, and indexed by `score` if it has one. If `state` is null the entry is deleted, and if it is
+     * absent nothing is written.
+     * @returns {Promise<object>} The result of the updater.
+     */
+  async updateState (key, updater) {
+    const release = await this._lock(this.stateLocks, key)
+    try {
+      const result = await updater(await this.getState(key))
+      this._writeState(key, result)
+      return result
+    } finally {
+      release()
+    }
+  }
+
+  /**
+     * Applies the result of a state updater.
+     * @param {string} key
+     * @param {{state?: object|null, expiresAt?: number, score?: number}} result
+     */
+  _writeState (key, result) {
+    if (result && result.state) {
+      this.states.set(key, { state: result.state, expiresAt: result.expiresAt, score: result.score })
+      if (typeof result.score === 'number') {
+        this.stateScores.set(key, result.score)
+      } else {
+        this.stateScores.delete(key)
+      }
+    } else if (result && result.state === null) {
+      this._deleteState(key)
+    }
+  }
+
+  /**
+     * @param {string} key
+     */
+  _deleteState (key) {
+    this.states.delete(key)
+    this.stateScores.delete(key)
+  }
+
+  /**
+     * Deletes an entry of the state keyspace.
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+  async deleteState (key) {
+    this._deleteState(key)
+  }
+
+  /**
+     * Reads the indexed entries of the state keyspace with a score of at most `maxScore`.
+     * @param {number} maxScore
+     * @returns {Promise<Array<{key: string, state: object, score: number}>>} Lowest score first; expired entries
+     * are left out.
+     */
+  async findStates (maxScore) {
+    const now = Date.now()
+    const found = []
+    for (const [key, score] of this.stateScores.entries()) {
+      const entry = this.states.get(key)
+      if (score <= maxScore && now <= entry.expiresAt) {
+        found.push({ key, state: entry.state, score })
+      }
+    }
+    return found.sort((a, b) => a.score - b.score)
+  }
+
+  /**
+     * Stores a record whose delivery was given up on.
+     * @param {import('../delivery/DeliveryQueue').DeadLetter} deadLetter
+     * @returns {Promise<void>}
+     */
+  async addDeadLetter (deadLetter) {
+    this.deadLetters.set(deadLetter.id, deadLetter)
+  }
+
+  /**
+     * Appends occurrences to a record's history, keeping the last `size`.
+     * The history is deleted along with its record.
+     * @param {string} key - The composite key of the record.
+     * @param {import('../delivery/history').HistoryEntry[]} entries - Oldest first.
+     * @param {object} options
+     * @param {number} options.size - How many entries to keep.
+     * @param {number} [options.expiresAt] - When the history may be dropped, if its record is not
+     * written again. Unused here: it goes with its record.
+     * @returns {Promise<void>}
+     */
+  async appendHistory (key, entries, options) {
+    this._appendHistory(key, entries, options.size)
+  }
+
+  /**
+     * @param {string} key
+     * @param {import('../delivery/history').HistoryEntry[]} entries
+     * @param {number} size
+     */
+  _appendHistory (key, entries, size) {
+    const history = this.history.get(key) ?? []
+    history.push(...entries)
+    if (history.length > size) {
+      history.splice(0, history.length - size)
+    }
+    this.history.set(key, history)
+  }
+
+  /**
+     * Reads a record's history.
+     * @param {string} key - The composite key of the record.
+     * @returns {Promise<import('../delivery/history').HistoryEntry[]>} Oldest first; empty if there is none.
+     */
+  async getHistory (key) {
+    return (this.history.get(key) ?? []).map(entry => ({ ...entry }))
+  }
+
+  /**
+     * Lists the stored dead letters, oldest first.
+     * @returns {Promise<import('../delivery/DeliveryQueue').DeadLetter[]>}
+     */
+  async getDeadLetters () {
+    return [...this.deadLetters.values()].sort((a, b) => a.failedAt - b.failedAt)
+  }
+
+  /**
+     * Removes a dead letter.
+     * @param {string} id - The dead letter id.
+     * @returns {Promise<boolean>} True if it existed.
+     */
+  async deleteDeadLetter (id) {
+    return this.deadLetters.delete(id)
+  }
+
+  /**
+     * Acquires a named lock if it is free or has expired.
+     * Only meaningful between trackers sharing this adapter instance.
+     * @param {string} name - The lock name.
+     * @param {string} owner - Identifies the caller; needed to renew or release the lock.
+     * @param {number} ttl - How long (ms) the lock is held unless renewed.
+     * @returns {Promise<boolean>} True if the lock was acquired.
+     */
+  async acquireLock (name, owner, ttl) {
+    const lock = this.heldLocks.get(name)
+    if (lock && lock.expiresAt > Date.now()) return false
+    this.heldLocks.set(name, { owner, expiresAt: Date.now() + ttl })
+    return true
+  }
+
+  /**
+     * Extends a lock held by `owner`.
+     * @param {string} name - The lock name.
+     * @param {string} owner - The current owner.
+     * @param {number} ttl - The new time to live (ms), from now.
+     * @returns {Promise<boolean>} False if the lock is no longer held by `owner`.
+     */
+  async renewLock (name, owner, ttl) {
+    const lock = this.heldLocks.get(name)
+    if (!lock || lock.owner !== owner || lock.expiresAt <= Date.now()) return false
+    lock.expiresAt = Date.now() + ttl
+    return true
+  }
+
+  /**
+     * Releases a lock held by `owner`.
+     * @param {string} name - The lock name.
+     * @param {string} owner - The current owner.
+     * @returns {Promise<boolean>} False if the lock was not held by `owner`.
+     */
+  async releaseLock (name, owner) {
+    const lock = this.heldLocks.get(name)
+    if (!lock || lock.owner !== owner) return false
+    this.heldLocks.delete(name)
+    return true
+  }
+
+  /**
+     * Returns an adapter for a namespace of this one: a store of its own,
+     * which the adapters for other namespaces (or none) do not see. Asking
+     * again for the same namespace returns the same adapter, as long as this
+     * one is in use.
+     * @param {string} namespace
+     * @returns {InMemoryAdapter}
+     */
+  withNamespace (namespace) {
+    const root = this.root ?? this
+    BaseStorageAdapter.assertNamespace(namespace)
+    let adapter = root.namespaces.get(namespace)
+    if (!adapter) {
+      adapter = root._createNamespace(namespace)
+      adapter.namespace = namespace
+      adapter.root = root
+      root.namespaces.set(namespace, adapter)
+    }
+    return adapter
+  }
+
+  /**
+     * @param {string} namespace
+     * @returns {InMemoryAdapter} A new, empty adapter with the same options.
+     */
+  _createNamespace (namespace) {
+    return new InMemoryAdapter(this.options)
+  }
+
+  /**
+     * Cleans up resources, like the purge interval timer, of this adapter and its namespaces.
      * Should be called when the tracker is no longer needed.
+     * @returns {Promise<void>}
      */
   destroy () {
     if (this.purgeIntervalId) {
       clearInterval(this.purgeIntervalId)
     }
+    return Promise.all([...this.namespaces.values()].map(adapter => adapter.destroy())).then(() => {})
   }
 }
 
@@ -1,9 +1,38 @@
+const { WatchError } = require('redis')
+const BaseStorageAdapter = require('./BaseStorageAdapter')
+const { assertPolicy, isEvictable } = require('./eviction')
+const { serializeRecord, deserializeRecord, serializeValue, deserializeValue, isLegacyHash } = require('./serialization')
+
 /**
  * @typedef {import('../index.js').EventRecord} EventRecord
  */
 
 const KEY_PREFIX = 'event-tracker:'
-const DEFERRED_SET_KEY = `${KEY_PREFIX}deferred-set`
+const DEFAULT_MAX_RETRIES = 20
+const EVICTION_SCAN_LIMIT = 1000
+const EVICTION_BATCH_SIZE = 50
+const PURGE_BATCH_SIZE = 100
+const DEFAULT_LIST_LIMIT = 100
+const LIST_BATCH_SIZE = 100
+const CLEAR_BATCH_SIZE = 100
+const CLUSTER_SLOTS = 16384
+
+/**
+ * Computes the Redis Cluster hash slot of a hash tag: CRC16 (XMODEM) modulo 16384.
+ * @param {string} tag
+ * @returns {number}
+ */
+function hashSlot (tag) {
+  let crc = 0
+  for (const byte of Buffer.from(tag)) {
+    crc ^= byte << 8
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1
+    }
+    crc &= 0xffff
+  }
+  return crc % CLUSTER_SLOTS
+}
 
 /**
  * An adapter for storing event records in Redis.
@@ -11,16 +40,120 @@ const DEFERRED_SET_KEY = `${KEY_PREFIX}deferred-set`
  * This adapter leverages Redis's atomic operations and data structures
  * for high performance and scalability in a distributed environment.
  */
-class RedisAdapter {
+class RedisAdapter extends BaseStorageAdapter {
   /**
      * @param {object} options - Configuration options.
-     * @param {object} options.redisClient - A connected node-redis v4 client instance.
+     * @param {object} options.redisClient - A connected node-redis v4 client instance, or a `createCluster()`
+     * client together with `hashTag`.
+     * @param {number} [options.maxRetries=20] - How many times an atomic update is retried when
+     * another client modifies the same record concurrently.
+     * @param {string} [options.namespace] - Isolates this adapter's records, indexes, dead letters and
+     * locks from those of adapters in other namespaces (or none) on the same Redis. Letters, digits,
+     * `_`, `.` and `-` only.
+     * @param {boolean} [options.hashTag=false] - Wraps the namespace (or, without one, the default
+     * prefix) in a Redis Cluster hash tag, so that all the keys of a namespace land in the same slot,
+     * as the multi-key transactions of this adapter require. Changes the key names, so it cannot be
+     * turned on for existing data. Required with a cluster client.
      */
   constructor (options) {
+    super()
     if (!options || !options.redisClient) {
       throw new Error('A connected redis client instance must be provided.')
     }
     this.redis = options.redisClient
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES
+    this.namespace = options.namespace ?? null
+    this.hashTag = options.hashTag ?? false
+    if (this.namespace !== null) {
+      BaseStorageAdapter.assertNamespace(this.namespace)
+    }
+    // A cluster client has no isolated connections or SCAN of its own; the slot's master provides them
+    this.isCluster = typeof this.redis.getSlotMaster === 'function'
+    if (this.isCluster && !this.hashTag) {
+      throw new Error('A Redis Cluster client requires hashTag: true, so that the keys of a namespace share a slot.')
+    }
+
+    this.prefix = RedisAdapter.prefixFor(this.namespace, this.hashTag)
+    this.slot = this.hashTag ? hashSlot(this.prefix.slice(1, this.prefix.indexOf('}'))) : null
+    this.keys = {
+      deferred: `${this.prefix}deferred-set`,
+      // Sorted sets of every record key, scored by expiresAt, lastEventTime and count
+      index: `${this.prefix}index`,
+      lru: `${this.prefix}lru`,
+      lfu: `${this.prefix}lfu`,
+      // Every record key with a score of 0, so that it can be paged through in key order
+      all: `${this.prefix}keys`,
+      deadLetters: `${this.prefix}dead-letters`,
+      lockPrefix: `${this.prefix}lock:`,
+      // A capped list per record
+      historyPrefix: `${this.prefix}history:`,
+      // One string per entry of the state keyspace, and the keys of those written with a score
+      statePrefix: `${this.prefix}state:`,
+      stateIndex: `${this.prefix}state-index`
+    }
+  }
+
+  /**
+     * The prefix of every Redis key of a namespace: `event-tracker:` without
+     * one, `<namespace>:event-tracker:` with one, so that the namespaces do
+     * not match each other's key patterns.
+     * @param {string|null} namespace
+     * @param {boolean} hashTag
+     * @returns {string}
+     */
+  static prefixFor (namespace, hashTag) {
+    if (namespace === null) return hashTag ? `{${KEY_PREFIX.slice(0, -1)}}:` : KEY_PREFIX
+    return `${hashTag ? `{${namespace}}` : namespace}:${KEY_PREFIX}`
+  }
+
+  /**
+     * Returns an adapter for another namespace on the same Redis client and settings.
+     * @param {string} namespace
+     * @returns {RedisAdapter}
+     */
+  withNamespace (namespace) {
+    return new RedisAdapter({ redisClient: this.redis, maxRetries: this.maxRetries, namespace, hashTag: this.hashTag })
+  }
+
+  /**
+     * The client that runs WATCH transactions and SCANs: the client itself, or
+     * with a cluster client, one connected to the master of this adapter's
+     * slot, which holds every key of the namespace.
+     * @returns {Promise<object>}
+     */
+  async _nodeClient () {
+    if (!this.isCluster) return this.redis
+    return this.redis.nodeClient(this.redis.getSlotMaster(this.slot))
+  }
+
+  /**
+     * Runs `fn` on a connection of its own, as WATCH requires.
+     * @param {function(object): Promise<*>} fn
+     * @returns {Promise<*>}
+     */
+  async _isolated (fn) {
+    return (await this._nodeClient()).executeIsolated(fn)
+  }
+
+  /**
+     * Iterates over the Redis keys of this adapter's namespace.
+     * @param {number} count - The SCAN COUNT hint.
+     * @returns {AsyncIterable<string>}
+     */
+  async * _scanKeys (count) {
+    const client = await this._nodeClient()
+    yield * client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: count })
+  }
+
+  /**
+     * Whether a key under the prefix holds adapter bookkeeping rather than an event record.
+     * @param {string} redisKey
+     * @returns {boolean}
+     */
+  _isInternalKey (redisKey) {
+    const { lockPrefix, historyPrefix, statePrefix, ...sets } = this.keys
+    return Object.values(sets).includes(redisKey) ||
+      [lockPrefix, historyPrefix, statePrefix].some(prefix => redisKey.startsWith(prefix))
   }
 
   /**
@@ -29,7 +162,26 @@ class RedisAdapter {
      * @returns {string} The full Redis key.
      */
   _getRecordKey (key) {
-    return `${KEY_PREFIX}${key}`
+    return `${this.prefix}${key}`
+  }
+
+  /**
+     * @returns {import('./BaseStorageAdapter').StorageCapabilities}
+     */
+  get capabilities () {
+    return { ...super.capabilities, shared: true, persistent: true }
+  }
+
+  /**
+     * Restores a record from its hash fields, hiding it if it has expired.
+     * Redis expires keys with second precision, so a record can outlive its
+     * `expiresAt` by up to a second.
+     * @param {object} data - The raw hash fields.
+     * @returns {EventRecord|undefined}
+     */
+  _readRecord (data) {
+    const record = deserializeRecord(data)
+    return BaseStorageAdapter.isExpired(record) ? undefined : record
   }
 
   /**
@@ -38,23 +190,8 @@ class RedisAdapter {
      * @returns {Promise<EventRecord|undefined>} The event record if found.
      */
   async get (key) {
-    const recordKey = this._getRecordKey(key)
-    const data = await this.redis.hGetAll(recordKey)
-    if (!Object.keys(data).length) return undefined
-
-    // Convert string representations back to correct types
-    return {
-      key: data.key,
-      category: data.category,
-      id: data.id,
-      details: JSON.parse(data.details),
-      detailsHash: data.detailsHash,
-      count: parseInt(data.count, 10),
-      lastEventTime: parseInt(data.lastEventTime, 10),
-      expiresAt: parseInt(data.expiresAt, 10),
-      deferred: data.deferred === 'true',
-      scheduledSendAt: data.scheduledSendAt ? parseInt(data.scheduledSendAt, 10) : null
-    }
+    // Records written in the legacy flat-hash format are migrated transparently
+    return this._readRecord(await this.redis.hGetAll(this._getRecordKey(key)))
   }
 
   /**
@@ -64,27 +201,194 @@ class RedisAdapter {
      * @returns {Promise<void>}
      */
   async set (key, record) {
+    await this._queueWrite(this.redis.multi(), key, record).exec()
+  }
+
+  /**
+     * Atomically reads, modifies and writes a record.
+     *
+     * The record key is WATCHed on an isolated connection and the write is
+     * committed in a MULTI/EXEC block. If another client changes the record
+     * in between, the transaction is aborted and the updater is run again
+     * against the fresh value, so the updater must be free of side effects.
+     * @param {string} key - The composite key of the event.
+     * @param {function(EventRecord|undefined): Promise<{record?: EventRecord}>} updater - Receives the
+     * current record and resolves to a result whose `record` is written back. If `record` is
+     * null the stored record is deleted, and if it is absent nothing is written.
+     * @returns {Promise<object>} The result of the updater call that was committed.
+     */
+  async update (key, updater) {
     const recordKey = this._getRecordKey(key)
-    const flatRecord = {
-      ...record,
-      details: JSON.stringify(record.details),
-      deferred: record.deferred.toString()
+    return this._isolated(async (client) => {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        await client.watch(recordKey)
+        let result
+        try {
+          result = await updater(this._readRecord(await client.hGetAll(recordKey)))
+        } catch (error) {
+          // The connection goes back to the pool, which must not get it with a WATCH still active
+          await client.unwatch()
+          throw error
+        }
+        if (!result || result.record === undefined) {
+          await client.unwatch()
+          return result
+        }
+        try {
+          const transaction = result.record === null
+            ? this._queueDelete(client.multi(), key)
+            : this._queueWrite(client.multi(), key, result.record)
+          await transaction.exec()
+          return result
+        } catch (error) {
+          if (!(error instanceof WatchError)) throw error
+        }
+      }
+      throw new Error(`Could not update record ${key} after ${this.maxRetries} retries due to concurrent writes.`)
+    })
+  }
+
+  /**
+     * Retrieves several records in one pipelined round-trip.
+     * @param {string[]} keys - The composite keys of the events.
+     * @returns {Promise<Array<EventRecord|undefined>>} The records, in the order of `keys`.
+     */
+  async mGet (keys) {
+    return this._readRecords(this.redis, keys)
+  }
+
+  /**
+     * @param {object} client - The client (or isolated connection) to read through.
+     * @param {string[]} keys
+     * @returns {Promise<Array<EventRecord|undefined>>}
+     */
+  async _readRecords (client, keys) {
+    if (!keys.length) return []
+    const pipeline = client.multi()
+    for (const key of keys) {
+      pipeline.hGetAll(this._getRecordKey(key))
     }
+    const replies = await pipeline.execAsPipeline()
+    return replies.map(data => this._readRecord(data))
+  }
 
-    const transaction = this.redis.multi()
-      .hSet(recordKey, Object.entries(flatRecord).flat())
+  /**
+     * Stores or deletes several records in one MULTI/EXEC transaction.
+     * @param {Array<[string, EventRecord|null]>} entries - Key and record pairs. A null record deletes the key.
+     * @returns {Promise<void>}
+     */
+  async mSet (entries) {
+    if (!entries.length) return
+    await this._queueEntries(this.redis.multi(), entries).exec()
+  }
+
+  /**
+     * @param {object} transaction - A node-redis MULTI instance.
+     * @param {Array<[string, EventRecord|null]>} entries
+     * @returns {object} The same transaction, for chaining.
+     */
+  _queueEntries (transaction, entries) {
+    for (const [key, record] of entries) {
+      if (record) {
+        this._queueWrite(transaction, key, record)
+      } else {
+        this._queueDelete(transaction, key)
+      }
+    }
+    return transaction
+  }
+
+  /**
+     * Atomically reads, modifies and writes several records, as `update()` does
+     * for one: all the record keys are WATCHed, read in one pipeline and
+     * written in one MULTI/EXEC block, and the updater is run again if any of
+     * them changed in between.
+     * @param {string[]} keys - Distinct composite keys.
+     * @param {function(Array<EventRecord|undefined>): Promise<{records: Array<EventRecord|null|undefined>}>} updater -
+     * Receives the current records in the order of `keys` and resolves to a result whose `records`
+     * are written back in the same order, with the same meaning as `record` in `update()`.
+     * @returns {Promise<object>} The result of the updater call that was committed.
+     */
+  async updateMany (keys, updater) {
+    if (!keys.length) return updater([])
+    const recordKeys = keys.map(key => this._getRecordKey(key))
+    return this._isolated(async (client) => {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        await client.watch(recordKeys)
+        let result
+        try {
+          result = await updater(await this._readRecords(client, keys))
+        } catch (error) {
+          await client.unwatch()
+          throw error
+        }
+        const entries = BaseStorageAdapter.changedEntries(keys, result)
+        if (!entries.length) {
+          await client.unwatch()
+          return result
+        }
+        try {
+          await this._queueEntries(client.multi(), entries).exec()
+          return result
+        } catch (error) {
+          if (!(error instanceof WatchError)) throw error
+        }
+      }
+      throw new Error(`Could not update ${keys.length} records after ${this.maxRetries} retries due to concurrent writes.`)
+    })
+  }
+
+  /**
+     * Queues the commands that persist a record onto a MULTI transaction.
+     * @param {object} transaction - A node-redis MULTI instance.
+     * @param {string} key - The composite key of the event.
+     * @param {EventRecord} record - The event record to store.
+     * @returns {object} The same transaction, for chaining.
+     */
+  _queueWrite (transaction, key, record) {
+    const recordKey = this._getRecordKey(key)
+
+    transaction
+      .del(recordKey) // Drop any fields left over from an older format
+      .hSet(recordKey, serializeRecord(record))
       .expireAt(recordKey, Math.ceil(record.expiresAt / 1000)) // EXPIREAT wants seconds
+      .zAdd(this.keys.index, { score: record.expiresAt, value: key })
+      .zAdd(this.keys.lru, { score: record.lastEventTime ?? Date.now(), value: key })
+      .zAdd(this.keys.lfu, { score: record.count ?? 0, value: key })
+      .zAdd(this.keys.all, { score: 0, value: key })
 
     if (record.deferred && record.scheduledSendAt) {
-      transaction.zAdd(DEFERRED_SET_KEY, {
+      transaction.zAdd(this.keys.deferred, {
         score: record.scheduledSendAt,
         value: record.key
       })
     } else {
-      transaction.zRem(DEFERRED_SET_KEY, record.key)
+      transaction.zRem(this.keys.deferred, record.key)
     }
 
-    await transaction.exec()
+    return transaction
+  }
+
+  /**
+     * Rewrites every record still stored in the legacy flat-hash format, or
+     * written before the key indexes existed. Legacy records are also read
+     * transparently, but unindexed ones are missing from `size()` and
+     * `listRecords()`, and cannot be evicted, until they are next written.
+     * @returns {Promise<number>} The number of records migrated.
+     */
+  async migrate () {
+    let migrated = 0
+    for await (const recordKey of this._scanKeys(100)) {
+      if (this._isInternalKey(recordKey)) continue
+      const key = recordKey.slice(this.prefix.length)
+      // The newest index, so a record found in it is in all of them
+      const indexed = await this.redis.zScore(this.keys.all, key) !== null
+      if (indexed && !isLegacyHash(await this.redis.hGetAll(recordKey))) continue
+      // Rewriting the record through update() stores it in the current format
+      await this.update(key, async (record) => ({ record }))
+      migrated++
+    }
+    return migrated
   }
 
   /**
@@ -93,26 +397,180 @@ class RedisAdapter {
      * @returns {Promise<void>}
      */
   async delete (key) {
-    await this.redis.multi()
+    await this._queueDelete(this.redis.multi(), key).exec()
+  }
+
+  /**
+     * Deletes every record, index, state and dead letter of this adapter's namespace,
+     * leaving other namespaces untouched. Locks are kept, so a leader keeps
+     * its lease. Not atomic: records written meanwhile may survive unindexed
+     * until `migrate()` runs.
+     * @returns {Promise<number>} The number of records deleted.
+     */
+  async clear () {
+    let cleared = 0
+    let batch = []
+    for await (const redisKey of this._scanKeys(CLEAR_BATCH_SIZE)) {
+      if (redisKey.startsWith(this.keys.lockPrefix)) continue
+      if (!this._isInternalKey(redisKey)) cleared++
+      batch.push(redisKey)
+      if (batch.length >= CLEAR_BATCH_SIZE) {
+        await this.redis.del(batch)
+        batch = []
+      }
+    }
+    if (batch.length) {
+      await this.redis.del(batch)
+    }
+    return cleared
+  }
+
+  /**
+     * Queues the commands that remove a record onto a MULTI transaction.
+     * @param {object} transaction - A node-redis MULTI instance.
+     * @param {string} key - The composite key of the event.
+     * @returns {object} The same transaction, for chaining.
+     */
+  _queueDelete (transaction, key) {
+    return transaction
       .del(this._getRecordKey(key))
-      .zRem(DEFERRED_SET_KEY, key)
-      .exec()
+      .del(`${this.keys.historyPrefix}${key}`)
+      .zRem(this.keys.deferred, key)
+      .zRem(this.keys.index, key)
+      .zRem(this.keys.lru, key)
+      .zRem(this.keys.lfu, key)
+      .zRem(this.keys.all, key)
   }
 
   /**
-     * Returns the approximate number of records in the store.
+     * Returns the number of records in the store in O(1), from the key index.
+     * Records that expired since the last `purgeExpired()` are still counted.
      * @returns {Promise<number>}
      */
   async size () {
-    const stream = this.redis.scanIterator({ MATCH: `${KEY_PREFIX}*`, COUNT: 100 })
-    let count = 0
-    // eslint-disable-next-line no-unused-vars
-    for await (const key of stream) {
-      count++
+    return this.redis.zCard(this.keys.index)
+  }
+
+  /**
+     * Drops expired records from the key indexes. Redis expires the records
+     * themselves, but not their index entries.
+     *
+     * Each batch is removed in a transaction WATCHing the records, after
+     * checking that they were not written again in the meantime.
+     * @returns {Promise<number>} The number of records purged.
+     */
+  async purgeExpired () {
+    let purged = 0
+    let conflicts = 0
+    while (conflicts <= this.maxRetries) {
+      const now = Date.now()
+      const keys = await this.redis.zRangeByScore(this.keys.index, '-inf', now, {
+        LIMIT: { offset: 0, count: PURGE_BATCH_SIZE }
+      })
+      if (!keys.length) break
+      const removed = await this._isolated(async (client) => {
+        await client.watch(keys.map(key => this._getRecordKey(key)))
+        const scores = await keys.reduce((pipeline, key) => pipeline.zScore(this.keys.index, key), client.multi()).execAsPipeline()
+        const expired = keys.filter((key, index) => scores[index] !== null && scores[index] <= now)
+        if (!expired.length) {
+          await client.unwatch()
+          return 0
+        }
+        const transaction = client.multi()
+        for (const key of expired) {
+          transaction.zRem(this.keys.index, key).zRem(this.keys.lru, key).zRem(this.keys.lfu, key).zRem(this.keys.all, key).zRem(this.keys.deferred, key)
+        }
+        try {
+          await transaction.exec()
+          return expired.length
+        } catch (error) {
+          if (!(error instanceof WatchError)) throw error
+          return null
+        }
+      })
+      if (removed === null) {
+        conflicts++
+      } else {
+        purged += removed
+      }
+    }
+    return purged
+  }
+
+  /**
+     * Removes the records that should go first under an eviction policy.
+     * LFU ties are broken by key rather than by recency.
+     * @param {'lru'|'lfu'|'priority'} policy - See `storage/eviction`.
+     * @param {number} [count=1] - How many records to evict at most.
+     * @param {object} [options={}]
+     * @param {string} [options.exclude] - A key that must not be evicted, e.g. the one being made room for.
+     * @returns {Promise<EventRecord[]>} The evicted records; fewer than `count` if not enough are evictable
+     * among the first 1000 candidates.
+     */
+  async evict (policy, count = 1, options = {}) {
+    assertPolicy(policy)
+    const indexKey = policy === 'lfu' ? this.keys.lfu : this.keys.lru
+    const evicted = []
+    let kept = 0 // Candidates left in place, which the next page has to skip
+    let scanned = 0
+    while (evicted.length < count && scanned < EVICTION_SCAN_LIMIT) {
+      const keys = await this.redis.zRange(indexKey, kept, kept + EVICTION_BATCH_SIZE - 1)
+      if (!keys.length) break
+      for (const key of keys) {
+        scanned++
+        if (key === options.exclude) {
+          kept++
+          continue
+        }
+        // Re-checked atomically, as the record may have changed since it was indexed
+        const result = await this.update(key, async (record) => {
+          if (!record) return { record: null } // Expired; drops its leftover index entries
+          if (!isEvictable(policy, record)) return {}
+          return { record: null, evicted: record }
+        })
+        if (result.evicted) {
+          evicted.push(result.evicted)
+          if (evicted.length >= count) break
+        } else if (result.record === undefined) {
+          kept++
+        }
+      }
+    }
+    return evicted
+  }
+
+  /**
+     * Pages through the records in key order.
+     *
+     * Records written while paging may or may not be included, and a record
+     * is never returned twice, since the cursor is the last key looked at.
+     * @param {object} [options={}]
+     * @param {string|null} [options.cursor] - Where to resume, from a previous page.
+     * @param {number} [options.limit=100] - How many records to return at most.
+     * @param {function(EventRecord): boolean} [options.filter] - Only records it accepts are returned.
+     * @returns {Promise<{records: EventRecord[], cursor: string|null}>} The page, and the cursor of the
+     * next one, or null once every record has been looked at.
+     */
+  async listRecords (options = {}) {
+    const limit = options.limit ?? DEFAULT_LIST_LIMIT
+    const filter = options.filter ?? (() => true)
+    const records = []
+    let after = options.cursor ?? null
+    while (true) {
+      const keys = await this.redis.zRangeByLex(this.keys.all, after === null ? '-' : `(${after}`, '+', {
+        LIMIT: { offset: 0, count: LIST_BATCH_SIZE }
+      })
+      if (!keys.length) return { records, cursor: null }
+      const batch = await this._readRecords(this.redis, keys)
+      for (let index = 0; index < keys.length; index++) {
+        after = keys[index]
+        const record = batch[index]
+        if (record && filter(record)) {
+          records.push(record)
+          if (records.length >= limit) return { records, cursor: after }
+        }
+      }
     }
-    // Subtract the deferred set key if it exists
-    const deferredSetExists = await this.redis.exists(DEFERRED_SET_KEY)
-    return deferredSetExists ? count - 1 : count
   }
 
   /**
@@ -121,7 +579,7 @@ class RedisAdapter {
      * @returns {Promise<EventRecord[]>} A list of due event records.
      */
   async findDueDeferred (timestamp) {
-    const dueKeys = await this.redis.zRangeByScore(DEFERRED_SET_KEY, 0, timestamp)
+    const dueKeys = await this.redis.zRangeByScore(this.keys.deferred, 0, timestamp)
     if (!dueKeys.length) return []
     const records = await Promise.all(dueKeys.map(key => this.get(key)))
     return records.filter(r => r) // Filter out any nulls from race conditions
@@ -132,12 +590,286 @@ class RedisAdapter {
      * @returns {Promise<EventRecord[]>} A list of all deferred event records.
      */
   async findAllDeferred () {
-    const allDeferredKeys = await this.redis.zRange(DEFERRED_SET_KEY, 0, -1)
+    const allDeferredKeys = await this.redis.zRange(this.keys.deferred, 0, -1)
     if (!allDeferredKeys.length) return []
     const records = await Promise.all(allDeferredKeys.map(key => this.get(key)))
     return records.filter(r => r)
   }
 
+  /**
+     * Returns the earliest `scheduledSendAt` among deferred records.
+     * @returns {Promise<number|null>} Null if nothing is deferred.
+     */
+  async nextDueAt () {
+    const [earliest] = await this.redis.zRangeWithScores(this.keys.deferred, 0, 0)
+    return earliest ? earliest.score : null
+  }
+
+  /**
+     * Appends occurrences to a record's capped history list, keeping the last
+     * `size`. The list is deleted along with its record, and expires with it.
+     * @param {string} key - The composite key of the record.
+     * @param {import('../delivery/history').HistoryEntry[]} entries - Oldest first.
+     * @param {object} options
+     * @param {number} options.size - How many entries to keep.
+     * @param {number} [options.expiresAt] - When the list expires, normally the record's `expiresAt`.
+     * @returns {Promise<void>}
+     */
+  async appendHistory (key, entries, options) {
+    if (!entries.length) return
+    const historyKey = `${this.keys.historyPrefix}${key}`
+    const transaction = this.redis.multi()
+      .rPush(historyKey, entries.map(entry => serializeValue(entry)))
+      .lTrim(historyKey, -options.size, -1)
+    if (options.expiresAt) {
+      transaction.pExpireAt(historyKey, options.expiresAt)
+    }
+    await transaction.exec()
+  }
+
+  /**
+     * Reads a record's history.
+     * @param {string} key - The composite key of the record.
+     * @returns {Promise<import('../delivery/history').HistoryEntry[]>} Oldest first; empty if there is none.
+     */
+  async getHistory (key) {
+    const entries = await this.redis.lRange(`${this.keys.historyPrefix}${key}`, 0, -1)
+    return entries.map(json => deserializeValue(json))
+  }
+
+  /**
+     * Reads an entry of the state keyspace, where the tracker keeps its own
+     * bookkeeping (such as quota state) apart from the records.
+     * @param {string} key
+     * @returns {Promise<object|undefined>} The state, or undefined if missing or expired.
+     */
+  async getState (key) {
+    return this._readState(await this.redis.get(`${this.keys.statePrefix}${key}`))
+  }
+
+  /**
+     * @param {string|null} json
+     * @returns {object|undefined}
+     */
+  _readState (json) {
+    const entry = this._readStateEntry(json)
+    return entry && entry.state
+  }
+
+  /**
+     * @param {string|null} json
+     * @returns {{state: object, expiresAt: number, score?: number}|undefined} The entry, unless missing or expired.
+     */
+  _readStateEntry (json) {
+    if (json === null || json === undefined) return undefined
+    const entry = deserializeValue(json)
+    return Date.now() <= entry.expiresAt ? entry : undefined
+  }
+
+  /**
+     * Atomically reads, modifies and writes an entry of the state keyspace,
+     * WATCHing it as `update()` does a record. The entry expires with its
+     * `expiresAt`; its index entry, if any, is dropped by the next
+     * `findStates()` that comes across it.
+     * @param {string} key
+     * @param {function(object|undefined): Promise<{state?: object|null, expiresAt?: number, score?: number}>} updater - Receives
+     * the current state and resolves to a result whose `state` is written back, to read as absent after
+     * `expiresAt`, and indexed by `score` if it has one. If `state` is null the entry is deleted, and if it is
+     * absent nothing is written.
+     * @returns {Promise<object>} The result of the updater call that was committed.
+     */
+  async updateState (key, updater) {
+    const stateKey = `${this.keys.statePrefix}${key}`
+    return this._isolated(async (client) => {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        await client.watch(stateKey)
+        let result
+        try {
+          result = await updater(this._readState(await client.get(stateKey)))
+        } catch (error) {
+          await client.unwatch()
+          throw error
+        }
+        if (!result || result.state === undefined) {
+          await client.unwatch()
+          return result
+        }
+        try {
+          const transaction = client.multi()
+          if (result.state === null) {
+            transaction.del(stateKey).zRem(this.keys.stateIndex, key)
+          } else {
+            transaction
+              .set(stateKey, serializeValue({ state: result.state, expiresAt: result.expiresAt, score: result.score }))
+              .pExpireAt(stateKey, result.expiresAt)
+            if (typeof result.score === 'number') {
+              transaction.zAdd(this.keys.stateIndex, { score: result.score, value: key })
+            } else {
+              transaction.zRem(this.keys.stateIndex, key)
+            }
+          }
+          await transaction.exec()
+          return result
+        } catch (error) {
+          if (!(error instanceof WatchError)) throw error
+        }
+      }
+      throw new Error(`Could not update state ${key} after ${this.maxRetries} retries due to concurrent writes.`)
+    })
+  }
+
+  /**
+     * Deletes an entry of the state keyspace.
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+  async deleteState (key) {
+    await this.redis.multi()
+      .del(`${this.keys.statePrefix}${key}`)
+      .zRem(this.keys.stateIndex, key)
+      .exec()
+  }
+
+  /**
+     * Reads the indexed entries of the state keyspace with a score of at most `maxScore`.
+     * @param {number} maxScore
+     * @returns {Promise<Array<{key: string, state: object, score: number}>>} Lowest score first; expired entries
+     * are left out.
+     */
+  async findStates (maxScore) {
+    const keys = await this.redis.zRangeByScore(this.keys.stateIndex, '-inf', maxScore === Infinity ? '+inf' : maxScore)
+    if (!keys.length) return []
+    const pipeline = this.redis.multi()
+    for (const key of keys) {
+      pipeline.get(`${this.keys.statePrefix}${key}`)
+    }
+    const entries = (await pipeline.execAsPipeline()).map(json => this._readStateEntry(json))
+    const found = []
+    for (const [index, key] of keys.entries()) {
+      const entry = entries[index]
+      if (entry) {
+        found.push({ key, state: entry.state, score: entry.score })
+      } else {
+        await this._dropStateIndexEntry(key)
+      }
+    }
+    return found
+  }
+
+  /**
+     * Removes an expired entry from the state index, unless it was written again in the meantime.
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+  async _dropStateIndexEntry (key) {
+    const stateKey = `${this.keys.statePrefix}${key}`
+    await this._isolated(async (client) => {
+      await client.watch(stateKey)
+      let entry
+      try {
+        entry = this._readStateEntry(await client.get(stateKey))
+      } catch (error) {
+        await client.unwatch()
+        throw error
+      }
+      if (entry) {
+        await client.unwatch()
+        return
+      }
+      try {
+        await client.multi().zRem(this.keys.stateIndex, key).exec()
+      } catch (error) {
+        if (!(error instanceof WatchError)) throw error
+      }
+    })
+  }
+
+  /**
+     * Stores a record whose delivery was given up on.
+     * @param {import('../delivery/DeliveryQueue').DeadLetter} deadLetter
+     * @returns {Promise<void>}
+     */
+  async addDeadLetter (deadLetter) {
+    await this.redis.hSet(this.keys.deadLetters, deadLetter.id, serializeValue(deadLetter))
+  }
+
+  /**
+     * Lists the stored dead letters, oldest first.
+     * @returns {Promise<import('../delivery/DeliveryQueue').DeadLetter[]>}
+     */
+  async getDeadLetters () {
+    const entries = await this.redis.hGetAll(this.keys.deadLetters)
+    return Object.values(entries)
+      .map(json => deserializeValue(json))
+      .sort((a, b) => a.failedAt - b.failedAt)
+  }
+
+  /**
+     * Removes a dead letter.
+     * @param {string} id - The dead letter id.
+     * @returns {Promise<boolean>} True if it existed.
+     */
+  async deleteDeadLetter (id) {
+    return (await this.redis.hDel(this.keys.deadLetters, id)) > 0
+  }
+
+  /**
+     * Acquires a named lock if it is free or has expired.
+     * @param {string} name - The lock name.
+     * @param {string} owner - Identifies the caller; needed to renew or release the lock.
+     * @param {number} ttl - How long (ms) the lock is held unless renewed.
+     * @returns {Promise<boolean>} True if the lock was acquired.
+     */
+  async acquireLock (name, owner, ttl) {
+    return (await this.redis.set(`${this.keys.lockPrefix}${name}`, owner, { NX: true, PX: ttl })) === 'OK'
+  }
+
+  /**
+     * Extends a lock held by `owner`.
+     * @param {string} name - The lock name.
+     * @param {string} owner - The current owner.
+     * @param {number} ttl - The new time to live (ms), from now.
+     * @returns {Promise<boolean>} False if the lock is no longer held by `owner`.
+     */
+  async renewLock (name, owner, ttl) {
+    return this._ifLockOwner(name, owner, (transaction, lockKey) => transaction.pExpire(lockKey, ttl))
+  }
+
+  /**
+     * Releases a lock held by `owner`.
+     * @param {string} name - The lock name.
+     * @param {string} owner - The current owner.
+     * @returns {Promise<boolean>} False if the lock was not held by `owner`.
+     */
+  async releaseLock (name, owner) {
+    return this._ifLockOwner(name, owner, (transaction, lockKey) => transaction.del(lockKey))
+  }
+
+  /**
+     * Runs a transaction on a lock key only if it is still held by `owner`.
+     * @param {string} name - The lock name.
+     * @param {string} owner - The expected owner.
+     * @param {function(object, string): object} queue - Queues the commands onto the transaction.
+     * @returns {Promise<boolean>} True if the transaction was committed.
+     */
+  async _ifLockOwner (name, owner, queue) {
+    const lockKey = `${this.keys.lockPrefix}${name}`
+    return this._isolated(async (client) => {
+      await client.watch(lockKey)
+      if (await client.get(lockKey) !== owner) {
+        await client.unwatch()
+        return false
+      }
+      try {
+        await queue(client.multi(), lockKey).exec()
+        return true
+      } catch (error) {
+        if (error instanceof WatchError) return false
+        throw error
+      }
+    })
+  }
+
   /**
      * Cleans up resources. For this adapter, it's a no-op as the
      * consumer is responsible for managing the Redis client connection.
@@ -0,0 +1,554 @@
+const assert = require('assert')
+const BaseStorageAdapter = require('./BaseStorageAdapter')
+
+/**
+ * A conformance suite for storage adapters, checking the semantics documented
+ * on `BaseStorageAdapter`. It depends on nothing but Node's `assert`, so it can
+ * be run directly or wrapped in any test framework:
+ *
+ *     const { conformance } = require('node-event-tracker')
+ *     const report = await conformance.runConformance(async () => new MyAdapter(...))
+ *
+ *     // or, e.g. with mocha/jest
+ *     for (const testCase of conformance.cases) {
+ *       it(testCase.name, () => conformance.runCase(testCase, createAdapter))
+ *     }
+ *
+ * Every case gets a fresh adapter from the factory, which must start out
+ * empty (e.g. on a flushed Redis database), and destroys it afterwards.
+ */
+
+/**
+ * @typedef {object} ConformanceCase
+ * @property {string} name
+ * @property {keyof import('./BaseStorageAdapter').StorageCapabilities} [requires] - Skipped unless the
+ * adapter has this capability.
+ * @property {function(object, ConformanceOptions): Promise<void>} run - Receives the adapter and throws on failure.
+ */
+
+/**
+ * @typedef {object} ConformanceOptions
+ * @property {number} [concurrency=20] - Concurrent updates issued against one key. Adapters with
+ * optimistic locking must be able to absorb this much contention (the RedisAdapter's default
+ * `maxRetries` is sized for it).
+ */
+
+/**
+ * @typedef {object} ConformanceResult
+ * @property {string} name
+ * @property {'passed'|'failed'|'skipped'} status
+ * @property {Error} [error] - The failure, if any.
+ */
+
+/**
+ * Builds a plausible event record.
+ * @param {string} key
+ * @param {object} [overrides]
+ * @returns {import('../index.js').EventRecord}
+ */
+function makeRecord (key, overrides = {}) {
+  const now = Date.now()
+  return {
+    key,
+    category: 'conformance',
+    id: key,
+    details: { message: 'disk full on /var — 98%', nested: { codes: [28, 'ENOSPC'], ok: false, none: null } },
+    detailsHash: `hash-${key}`,
+    count: 1,
+    lastEventTime: now,
+    expiresAt: now + 60 * 1000,
+    deferred: false,
+    scheduledSendAt: null,
+    config: { limit: 5, deferInterval: 1000, expireTime: 60 * 1000 },
+    rule: null,
+    ...overrides
+  }
+}
+
+const DEFAULT_CONCURRENCY = 20
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+const byKey = (a, b) => a.key < b.key ? -1 : 1
+
+/** @type {ConformanceCase[]} */
+const cases = [
+  {
+    name: 'implements the required methods',
+    async run (adapter) {
+      BaseStorageAdapter.assertAdapter(adapter)
+    }
+  },
+  {
+    name: 'round-trips records, including nested objects',
+    async run (adapter) {
+      const record = makeRecord('round-trip', {
+        strategyData: { tokens: 2.5, timestamps: [1, 2, 3], windowStart: 0 },
+        suppression: { suppressedCount: 3, firstSuppressedAt: 1, lastSuppressedAt: 2, samples: [{ a: 1 }], sampleHashes: ['x'] },
+        custom: 'kept'
+      })
+      await adapter.set(record.key, record)
+      assert.deepStrictEqual(await adapter.get(record.key), record)
+    }
+  },
+  {
+    name: 'returns undefined for missing records',
+    async run (adapter) {
+      assert.strictEqual(await adapter.get('missing'), undefined)
+    }
+  },
+  {
+    name: 'replaces records entirely on set',
+    async run (adapter) {
+      await adapter.set('replace', makeRecord('replace', { strategyData: { tokens: 1 } }))
+      const replacement = makeRecord('replace', { count: 2 })
+      await adapter.set('replace', replacement)
+      assert.deepStrictEqual(await adapter.get('replace'), replacement)
+    }
+  },
+  {
+    name: 'deletes records',
+    async run (adapter) {
+      await adapter.set('delete', makeRecord('delete'))
+      await adapter.delete('delete')
+      assert.strictEqual(await adapter.get('delete'), undefined)
+      await adapter.delete('delete') // Deleting a missing record is not an error
+    }
+  },
+  {
+    name: 'counts records but not bookkeeping',
+    async run (adapter) {
+      await adapter.set('a', makeRecord('a'))
+      await adapter.set('b', makeRecord('b', { deferred: true, scheduledSendAt: Date.now() + 1000 }))
+      await adapter.set('c', makeRecord('c'))
+      const { deadLetters, locks } = BaseStorageAdapter.capabilitiesOf(adapter)
+      if (deadLetters) {
+        await adapter.addDeadLetter({ id: 'dl', key: 'x', record: makeRecord('x'), error: 'boom', attempts: 1, failedAt: Date.now() })
+      }
+      if (locks) {
+        await adapter.acquireLock('conformance', 'owner', 1000)
+      }
+      assert.strictEqual(await adapter.size(), 3)
+      await adapter.delete('b')
+      assert.strictEqual(await adapter.size(), 2)
+    }
+  },
+  {
+    name: 'treats expired records as absent',
+    async run (adapter) {
+      const now = Date.now()
+      await adapter.set('live', makeRecord('live', { deferred: true, scheduledSendAt: now - 1000 }))
+      await adapter.set('expired', makeRecord('expired', { deferred: true, scheduledSendAt: now - 1000, expiresAt: now - 1 }))
+      await adapter.set('short-lived', makeRecord('short-lived', { expiresAt: now + 50 }))
+
+      assert.strictEqual(await adapter.get('expired'), undefined)
+      assert.deepStrictEqual((await adapter.findDueDeferred(Date.now())).map(record => record.key), ['live'])
+      assert.deepStrictEqual((await adapter.findAllDeferred()).map(record => record.key), ['live'])
+      assert.notStrictEqual(await adapter.get('short-lived'), undefined)
+
+      await sleep(100)
+      assert.strictEqual(await adapter.get('short-lived'), undefined)
+    }
+  },
+  {
+    name: 'indexes deferred records by scheduledSendAt',
+    async run (adapter) {
+      const now = Date.now()
+      await adapter.set('due', makeRecord('due', { deferred: true, scheduledSendAt: now - 10 }))
+      await adapter.set('later', makeRecord('later', { deferred: true, scheduledSendAt: now + 60 * 1000 }))
+      await adapter.set('not-deferred', makeRecord('not-deferred', { scheduledSendAt: now - 10 }))
+
+      assert.deepStrictEqual((await adapter.findDueDeferred(now)).map(record => record.key), ['due'])
+      assert.deepStrictEqual((await adapter.findAllDeferred()).sort(byKey).map(record => record.key), ['due', 'later'])
+      assert.deepStrictEqual((await adapter.findDueDeferred(now + 60 * 1000)).sort(byKey).map(record => record.key), ['due', 'later'])
+
+      await adapter.set('due', makeRecord('due', { scheduledSendAt: now - 10 }))
+      assert.deepStrictEqual(await adapter.findDueDeferred(now), [])
+      await adapter.delete('later')
+      assert.deepStrictEqual(await adapter.findAllDeferred(), [])
+    }
+  },
+  {
+    name: 'reports the earliest due time',
+    requires: 'nextDueAt',
+    async run (adapter) {
+      const now = Date.now()
+      assert.strictEqual(await adapter.nextDueAt(), null)
+      await adapter.set('first', makeRecord('first', { deferred: true, scheduledSendAt: now + 1000 }))
+      await adapter.set('second', makeRecord('second', { deferred: true, scheduledSendAt: now + 2000 }))
+      await adapter.set('plain', makeRecord('plain', { scheduledSendAt: now }))
+      assert.strictEqual(await adapter.nextDueAt(), now + 1000)
+      await adapter.delete('first')
+      assert.strictEqual(await adapter.nextDueAt(), now + 2000)
+    }
+  },
+  {
+    name: 'writes, skips or deletes according to the update result',
+    requires: 'atomicUpdate',
+    async run (adapter) {
+      const created = await adapter.update('update', async (record) => {
+        assert.strictEqual(record, undefined)
+        return { record: makeRecord('update'), extra: 'returned' }
+      })
+      assert.strictEqual(created.extra, 'returned')
+      assert.strictEqual((await adapter.get('update')).count, 1)
+
+      await adapter.update('update', async (record) => ({ record: undefined }))
+      assert.strictEqual((await adapter.get('update')).count, 1)
+
+      await adapter.update('update', async (record) => ({ record: null }))
+      assert.strictEqual(await adapter.get('update'), undefined)
+    }
+  },
+  {
+    name: 'serializes concurrent updates to the same key',
+    requires: 'atomicUpdate',
+    async run (adapter, { concurrency = DEFAULT_CONCURRENCY }) {
+      await adapter.set('counter', makeRecord('counter', { count: 0 }))
+      await Promise.all(Array.from({ length: concurrency }, () => adapter.update('counter', async (record) => {
+        await sleep(0) // Give other updates a chance to interleave
+        return { record: { ...record, count: record.count + 1 } }
+      })))
+      assert.strictEqual((await adapter.get('counter')).count, concurrency)
+    }
+  },
+  {
+    name: 'reads and writes records in batches',
+    requires: 'batch',
+    async run (adapter) {
+      await adapter.set('kept', makeRecord('kept'))
+      await adapter.set('dropped', makeRecord('dropped'))
+      const record = makeRecord('written', { count: 2 })
+      await adapter.mSet([['written', record], ['dropped', null]])
+
+      const [written, dropped, kept, missing] = await adapter.mGet(['written', 'dropped', 'kept', 'missing'])
+      assert.deepStrictEqual(written, record)
+      assert.strictEqual(dropped, undefined)
+      assert.strictEqual(kept.key, 'kept')
+      assert.strictEqual(missing, undefined)
+      assert.strictEqual(await adapter.size(), 2)
+      assert.deepStrictEqual(await adapter.mGet([]), [])
+    }
+  },
+  {
+    name: 'writes, skips or deletes according to the batch update result',
+    requires: 'atomicBatchUpdate',
+    async run (adapter) {
+      await adapter.set('skipped', makeRecord('skipped'))
+      await adapter.set('deleted', makeRecord('deleted'))
+      const result = await adapter.updateMany(['created', 'skipped', 'deleted'], async (records) => {
+        assert.strictEqual(records[0], undefined)
+        assert.deepStrictEqual(records.slice(1).map(record => record.key), ['skipped', 'deleted'])
+        return { records: [makeRecord('created'), undefined, null], extra: 'returned' }
+      })
+      assert.strictEqual(result.extra, 'returned')
+      assert.deepStrictEqual((await adapter.mGet(['created', 'skipped', 'deleted'])).map(record => record && record.key), ['created', 'skipped', undefined])
+    }
+  },
+  {
+    name: 'serializes concurrent batch updates to overlapping keys',
+    requires: 'atomicBatchUpdate',
+    async run (adapter, { concurrency = DEFAULT_CONCURRENCY }) {
+      await adapter.set('a', makeRecord('a', { count: 0 }))
+      await adapter.set('b', makeRecord('b', { count: 0 }))
+      const increment = async (record) => {
+        await sleep(0)
+        return { ...record, count: record.count + 1 }
+      }
+      let singles = 0
+      await Promise.all(Array.from({ length: concurrency }, (_, index) => {
+        // Alternate the key order, and mix in updates of a single key
+        const keys = [['b', 'a'], ['a', 'b'], ['a']][index % 3]
+        if (keys.length === 1) singles++
+        return adapter.updateMany(keys, async (records) => ({ records: await Promise.all(records.map(increment)) }))
+      }))
+      assert.strictEqual((await adapter.get('a')).count, concurrency)
+      assert.strictEqual((await adapter.get('b')).count, concurrency - singles)
+    }
+  },
+  {
+    name: 'pages through records in key order',
+    requires: 'listing',
+    async run (adapter) {
+      const keys = Array.from({ length: 7 }, (_, index) => `page-${index}`)
+      for (const key of keys) {
+        await adapter.set(key, makeRecord(key, { count: Number(key.slice(-1)) }))
+      }
+      await adapter.set('expired', makeRecord('expired', { expiresAt: Date.now() - 1 }))
+
+      const listed = []
+      let cursor = null
+      do {
+        const page = await adapter.listRecords({ cursor, limit: 3 })
+        assert.ok(page.records.length <= 3)
+        listed.push(...page.records.map(record => record.key))
+        cursor = page.cursor
+      } while (cursor !== null)
+      assert.deepStrictEqual(listed, keys)
+
+      const even = await adapter.listRecords({ filter: record => record.count % 2 === 0, limit: 2 })
+      assert.deepStrictEqual(even.records.map(record => record.key), ['page-0', 'page-2'])
+      const rest = await adapter.listRecords({ filter: record => record.count % 2 === 0, cursor: even.cursor })
+      assert.deepStrictEqual(rest.records.map(record => record.key), ['page-4', 'page-6'])
+      assert.strictEqual(rest.cursor, null)
+    }
+  },
+  {
+    name: 'evicts records according to the policy',
+    requires: 'eviction',
+    async run (adapter) {
+      const now = Date.now()
+      await adapter.set('oldest', makeRecord('oldest', { lastEventTime: now - 3000, count: 9, deferred: true, scheduledSendAt: now + 1000 }))
+      await adapter.set('older', makeRecord('older', { lastEventTime: now - 2000, count: 5 }))
+      await adapter.set('rare', makeRecord('rare', { lastEventTime: now - 1000, count: 1 }))
+      await adapter.set('newest', makeRecord('newest', { lastEventTime: now, count: 3 }))
+
+      assert.deepStrictEqual((await adapter.evict('priority', 1)).map(record => record.key), ['older'])
+      assert.deepStrictEqual((await adapter.evict('lfu', 1)).map(record => record.key), ['rare'])
+      assert.deepStrictEqual((await adapter.evict('lru', 1, { exclude: 'oldest' })).map(record => record.key), ['newest'])
+      assert.deepStrictEqual(await adapter.evict('priority', 1), [])
+      assert.deepStrictEqual((await adapter.evict('lru', 1)).map(record => record.key), ['oldest'])
+      assert.strictEqual(await adapter.size(), 0)
+    }
+  },
+  {
+    name: 'stores dead letters',
+    requires: 'deadLetters',
+    async run (adapter) {
+      const now = Date.now()
+      const newer = { id: 'newer', key: 'a', record: makeRecord('a'), error: 'boom', attempts: 5, failedAt: now }
+      const older = { id: 'older', key: 'b', record: makeRecord('b'), error: 'boom', attempts: 5, failedAt: now - 1000 }
+      await adapter.addDeadLetter(newer)
+      await adapter.addDeadLetter(older)
+      assert.deepStrictEqual(await adapter.getDeadLetters(), [older, newer])
+      assert.strictEqual(await adapter.deleteDeadLetter('older'), true)
+      assert.strictEqual(await adapter.deleteDeadLetter('older'), false)
+      assert.deepStrictEqual(await adapter.getDeadLetters(), [newer])
+    }
+  },
+  {
+    name: 'grants locks to one owner at a time',
+    requires: 'locks',
+    async run (adapter) {
+      assert.strictEqual(await adapter.acquireLock('lock', 'a', 1000), true)
+      assert.strictEqual(await adapter.acquireLock('lock', 'b', 1000), false)
+      assert.strictEqual(await adapter.renewLock('lock', 'a', 1000), true)
+      assert.strictEqual(await adapter.renewLock('lock', 'b', 1000), false)
+      assert.strictEqual(await adapter.releaseLock('lock', 'b'), false)
+      assert.strictEqual(await adapter.releaseLock('lock', 'a'), true)
+      assert.strictEqual(await adapter.acquireLock('lock', 'b', 1000), true)
+
+      assert.strictEqual(await adapter.acquireLock('expiring', 'a', 50), true)
+      await sleep(100)
+      assert.strictEqual(await adapter.renewLock('expiring', 'a', 1000), false)
+      assert.strictEqual(await adapter.acquireLock('expiring', 'b', 1000), true)
+    }
+  },
+  {
+    name: 'keeps a bounded history per record',
+    requires: 'history',
+    async run (adapter) {
+      const now = Date.now()
+      const entries = [1, 2, 3].map(n => ({ at: now + n, outcome: 'ignored', details: { n, nested: { ok: true } } }))
+      await adapter.set('a', makeRecord('a'))
+      assert.deepStrictEqual(await adapter.getHistory('a'), [])
+      await adapter.appendHistory('a', entries.slice(0, 1), { size: 2, expiresAt: now + 60 * 1000 })
+      await adapter.appendHistory('a', entries.slice(1), { size: 2, expiresAt: now + 60 * 1000 })
+      assert.deepStrictEqual(await adapter.getHistory('a'), entries.slice(1))
+      assert.deepStrictEqual(await adapter.getHistory('b'), [])
+
+      await adapter.delete('a')
+      assert.deepStrictEqual(await adapter.getHistory('a'), [])
+    }
+  },
+  {
+    name: 'keeps state apart from the records',
+    requires: 'state',
+    async run (adapter) {
+      const now = Date.now()
+      const state = makeRecord('quota:global', { deferred: true, scheduledSendAt: now })
+      const written = await adapter.updateState('quota:global', async (current) => {
+        assert.strictEqual(current, undefined)
+        return { state, expiresAt: now + 60 * 1000, extra: 1 }
+      })
+      assert.strictEqual(written.extra, 1)
+      assert.deepStrictEqual(await adapter.getState('quota:global'), state)
+
+      // Not a record: not counted, listed or indexed as deferred
+      assert.strictEqual(await adapter.size(), 0)
+      assert.strictEqual(await adapter.get('quota:global'), undefined)
+      assert.deepStrictEqual(await adapter.findAllDeferred(), [])
+      if (BaseStorageAdapter.capabilitiesOf(adapter).listing) {
+        assert.deepStrictEqual((await adapter.listRecords()).records, [])
+      }
+
+      await adapter.updateState('quota:global', async (current) => {
+        assert.deepStrictEqual(current, state)
+        return {}
+      })
+      assert.deepStrictEqual(await adapter.getState('quota:global'), state)
+      await adapter.updateState('quota:global', async () => ({ state: null }))
+      assert.strictEqual(await adapter.getState('quota:global'), undefined)
+
+      await adapter.updateState('short', async () => ({ state: { n: 1 }, expiresAt: Date.now() + 50 }))
+      await sleep(100)
+      assert.strictEqual(await adapter.getState('short'), undefined)
+
+      await adapter.updateState('gone', async () => ({ state: { n: 1 }, expiresAt: Date.now() + 60 * 1000 }))
+      await adapter.deleteState('gone')
+      assert.strictEqual(await adapter.getState('gone'), undefined)
+    }
+  },
+  {
+    name: 'serializes concurrent state updates to the same key',
+    requires: 'state',
+    async run (adapter, { concurrency = DEFAULT_CONCURRENCY }) {
+      const expiresAt = Date.now() + 60 * 1000
+      await Promise.all(Array.from({ length: concurrency }, () => adapter.updateState('counter', async (current) => {
+        await sleep(1)
+        return { state: { count: (current ? current.count : 0) + 1 }, expiresAt }
+      })))
+      assert.deepStrictEqual(await adapter.getState('counter'), { count: concurrency })
+    }
+  },
+  {
+    name: 'indexes states written with a score',
+    requires: 'state',
+    async run (adapter) {
+      const expiresAt = Date.now() + 60 * 1000
+      const write = (key, result) => adapter.updateState(key, async () => ({ expiresAt, ...result }))
+      await write('incident:a', { state: { n: 'a' }, score: 30 })
+      await write('incident:b', { state: { n: 'b' }, score: 10 })
+      await write('incident:c', { state: { n: 'c' }, score: 20 })
+      await write('quota:global', { state: { count: 1 } })
+      await write('short', { state: { n: 'short' }, score: 5, expiresAt: Date.now() + 50 })
+
+      await sleep(100)
+      assert.deepStrictEqual(await adapter.findStates(20), [
+        { key: 'incident:b', state: { n: 'b' }, score: 10 },
+        { key: 'incident:c', state: { n: 'c' }, score: 20 }
+      ])
+
+      await write('incident:b', { state: { n: 'b2' }, score: 40 }) // Moved past maxScore
+      await write('incident:c', { state: { n: 'c2' } }) // No longer indexed
+      await adapter.updateState('incident:a', async () => ({ state: null }))
+      assert.deepStrictEqual(await adapter.findStates(20), [])
+      assert.deepStrictEqual(await adapter.findStates(Infinity), [{ key: 'incident:b', state: { n: 'b2' }, score: 40 }])
+      await adapter.deleteState('incident:b')
+      assert.deepStrictEqual(await adapter.findStates(Infinity), [])
+      assert.deepStrictEqual(await adapter.getState('incident:c'), { n: 'c2' })
+    }
+  },
+  {
+    name: 'clears every record and dead letter',
+    requires: 'clear',
+    async run (adapter) {
+      const now = Date.now()
+      await adapter.set('a', makeRecord('a'))
+      await adapter.set('b', makeRecord('b', { deferred: true, scheduledSendAt: now }))
+      const capabilities = BaseStorageAdapter.capabilitiesOf(adapter)
+      if (capabilities.deadLetters) {
+        await adapter.addDeadLetter({ id: 'dead', key: 'a', record: makeRecord('a'), error: 'boom', attempts: 5, failedAt: now })
+      }
+
+      if (capabilities.state) {
+        await adapter.updateState('quota:global', async () => ({ state: { count: 1 }, expiresAt: now + 60 * 1000 }))
+        await adapter.updateState('incident:a', async () => ({ state: { n: 1 }, expiresAt: now + 60 * 1000, score: now }))
+      }
+
+      assert.strictEqual(await adapter.clear(), 2)
+      assert.strictEqual(await adapter.size(), 0)
+      assert.strictEqual(await adapter.get('a'), undefined)
+      assert.deepStrictEqual(await adapter.findAllDeferred(), [])
+      if (capabilities.deadLetters) {
+        assert.deepStrictEqual(await adapter.getDeadLetters(), [])
+      }
+      if (capabilities.state) {
+        assert.strictEqual(await adapter.getState('quota:global'), undefined)
+        assert.deepStrictEqual(await adapter.findStates(Infinity), [])
+      }
+      await adapter.set('a', makeRecord('a'))
+      assert.strictEqual(await adapter.size(), 1)
+    }
+  },
+  {
+    name: 'isolates namespaces',
+    requires: 'namespaces',
+    async run (adapter) {
+      const now = Date.now()
+      const first = adapter.withNamespace('conformance-first')
+      const second = adapter.withNamespace('conformance-second')
+      try {
+        await first.set('shared', makeRecord('shared', { count: 1, deferred: true, scheduledSendAt: now }))
+        await second.set('shared', makeRecord('shared', { count: 2 }))
+        await adapter.set('own', makeRecord('own'))
+
+        assert.strictEqual((await first.get('shared')).count, 1)
+        assert.strictEqual((await second.get('shared')).count, 2)
+        assert.strictEqual(await adapter.get('shared'), undefined)
+        assert.strictEqual(await first.size(), 1)
+        assert.strictEqual(await adapter.size(), 1)
+        assert.strictEqual((await first.findDueDeferred(now)).length, 1)
+        assert.deepStrictEqual(await second.findDueDeferred(now), [])
+
+        if (BaseStorageAdapter.capabilitiesOf(first).clear) {
+          await first.clear()
+          assert.strictEqual(await first.size(), 0)
+          assert.strictEqual((await second.get('shared')).count, 2)
+          assert.strictEqual(await adapter.size(), 1)
+        }
+      } finally {
+        // The factory only empties the default namespace
+        await first.delete('shared')
+        await second.delete('shared')
+      }
+    }
+  }
+]
+
+/**
+ * Runs a single case against a fresh adapter.
+ * @param {ConformanceCase} testCase
+ * @param {function(): object|Promise<object>} createAdapter - Returns a new adapter on empty storage.
+ * @param {ConformanceOptions} [options={}]
+ * @returns {Promise<'passed'|'skipped'>} Rejects with the failure otherwise.
+ */
+async function runCase (testCase, createAdapter, options = {}) {
+  const adapter = await createAdapter()
+  try {
+    if (testCase.requires && !BaseStorageAdapter.capabilitiesOf(adapter)[testCase.requires]) {
+      return 'skipped'
+    }
+    await testCase.run(adapter, options)
+    return 'passed'
+  } finally {
+    if (typeof adapter.destroy === 'function') {
+      await adapter.destroy()
+    }
+  }
+}
+
+/**
+ * Runs every case and reports the outcome of each.
+ * @param {function(): object|Promise<object>} createAdapter - Returns a new adapter on empty storage.
+ * @param {ConformanceOptions} [options={}]
+ * @returns {Promise<{passed: number, failed: number, skipped: number, results: ConformanceResult[]}>}
+ */
+async function runConformance (createAdapter, options = {}) {
+  const results = []
+  for (const testCase of cases) {
+    try {
+      results.push({ name: testCase.name, status: await runCase(testCase, createAdapter, options) })
+    } catch (error) {
+      results.push({ name: testCase.name, status: 'failed', error })
+    }
+  }
+  const count = status => results.filter(result => result.status === status).length
+  return { passed: count('passed'), failed: count('failed'), skipped: count('skipped'), results }
+}
+
+module.exports = {
+  cases,
+  runCase,
+  runConformance,
+  makeRecord
+}
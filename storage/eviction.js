@@ -0,0 +1,52 @@
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ */
+
+/**
+ * Eviction policies, used when the tracker is at `maxKeys` or over
+ * `maxMemory` and a new key comes in:
+ *  - `lru`: the record seen least recently (by `lastEventTime`).
+ *  - `lfu`: the record seen least often (by `count`), least recently first on ties.
+ *  - `priority`: like `lru`, but deferred records are never evicted, so no
+ *    pending delivery is lost.
+ */
+const EVICTION_POLICIES = ['lru', 'lfu', 'priority']
+
+/**
+ * Throws unless `policy` is a known eviction policy.
+ * @param {string} policy
+ */
+function assertPolicy (policy) {
+  if (!EVICTION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown eviction policy "${policy}"; expected one of ${EVICTION_POLICIES.join(', ')}.`)
+  }
+}
+
+/**
+ * Whether a record may be evicted under the given policy.
+ * @param {string} policy
+ * @param {EventRecord} record
+ * @returns {boolean}
+ */
+function isEvictable (policy, record) {
+  return !(policy === 'priority' && record.deferred)
+}
+
+/**
+ * Orders records so that the first one should be evicted first.
+ * @param {string} policy
+ * @returns {function(EventRecord, EventRecord): number}
+ */
+function evictionOrder (policy) {
+  if (policy === 'lfu') {
+    return (a, b) => (a.count - b.count) || (a.lastEventTime - b.lastEventTime)
+  }
+  return (a, b) => a.lastEventTime - b.lastEventTime
+}
+
+module.exports = {
+  EVICTION_POLICIES,
+  assertPolicy,
+  isEvictable,
+  evictionOrder
+}
@@ -0,0 +1,160 @@
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ */
+
+/**
+ * Versioned (de)serialization of event records for adapters that persist them
+ * as strings, such as the RedisAdapter.
+ *
+ * Format history:
+ *  - v1: A flat hash with one field per record property. Nested objects other
+ *    than `details` were written as "[object Object]" and were lost.
+ *  - v2: A hash with a `v` field holding the format version and a `record`
+ *    field holding the whole record as JSON, so every property (including
+ *    `config`, `strategyData` and any custom fields) round-trips.
+ */
+
+const FORMAT_VERSION = 2
+const TYPE_TAG = '$type'
+
+// Fields of a v1 hash that were written as plain numbers.
+const LEGACY_INTEGER_FIELDS = ['count', 'lastEventTime', 'expiresAt', 'scheduledSendAt']
+
+/**
+ * JSON replacer preserving values that plain JSON cannot represent.
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function replacer (key, value) {
+  const original = this[key]
+  if (original instanceof Date) {
+    return { [TYPE_TAG]: 'Date', value: original.toISOString() }
+  }
+  if (typeof original === 'number' && !Number.isFinite(original)) {
+    return { [TYPE_TAG]: 'Number', value: String(original) }
+  }
+  if (typeof original === 'bigint') {
+    return { [TYPE_TAG]: 'BigInt', value: original.toString() }
+  }
+  return value
+}
+
+/**
+ * JSON reviver undoing the tagging performed by `replacer`.
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function reviver (key, value) {
+  if (value && typeof value === 'object' && typeof value[TYPE_TAG] === 'string' && Object.keys(value).length === 2) {
+    switch (value[TYPE_TAG]) {
+      case 'Date': return new Date(value.value)
+      case 'Number': return Number(value.value)
+      case 'BigInt': return BigInt(value.value)
+    }
+  }
+  return value
+}
+
+/**
+ * Parses a v1 string value, falling back to the raw string if it is not JSON.
+ * @param {string} value
+ * @returns {*}
+ */
+function parseLegacyValue (value) {
+  if (value === '[object Object]') return undefined // Irrecoverably lost by the v1 writer
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return value
+  }
+}
+
+/**
+ * Converts a v1 flat hash into an event record.
+ * @param {object} data - The raw hash fields.
+ * @returns {EventRecord}
+ */
+function migrateLegacyHash (data) {
+  const record = {}
+  for (const [field, value] of Object.entries(data)) {
+    if (LEGACY_INTEGER_FIELDS.includes(field)) {
+      const parsed = parseInt(value, 10)
+      record[field] = Number.isNaN(parsed) ? null : parsed
+    } else if (field === 'deferred') {
+      record.deferred = value === 'true'
+    } else if (['key', 'category', 'id', 'detailsHash'].includes(field)) {
+      record[field] = value
+    } else {
+      const parsed = parseLegacyValue(value)
+      if (parsed !== undefined) record[field] = parsed
+    }
+  }
+  return record
+}
+
+/**
+ * Serializes a record into the hash fields of the current format.
+ * @param {EventRecord} record
+ * @returns {{v: string, record: string}}
+ */
+function serializeRecord (record) {
+  return {
+    v: String(FORMAT_VERSION),
+    record: JSON.stringify(record, replacer)
+  }
+}
+
+/**
+ * Restores a record from its stored hash fields, migrating older formats.
+ * @param {object} data - The raw hash fields, e.g. as returned by HGETALL.
+ * @returns {EventRecord|undefined} The record, or undefined for an empty hash.
+ */
+function deserializeRecord (data) {
+  if (!data || !Object.keys(data).length) return undefined
+  if (isLegacyHash(data)) return migrateLegacyHash(data)
+
+  const version = parseInt(data.v, 10)
+  if (version > FORMAT_VERSION) {
+    throw new Error(`Unsupported record format version ${version}; this release reads up to version ${FORMAT_VERSION}.`)
+  }
+  return JSON.parse(data.record, reviver)
+}
+
+/**
+ * Serializes an arbitrary value (e.g. a dead-letter entry) to a JSON string,
+ * preserving the same special values as record serialization.
+ * @param {*} value
+ * @returns {string}
+ */
+function serializeValue (value) {
+  return JSON.stringify(value, replacer)
+}
+
+/**
+ * Restores a value written by `serializeValue`.
+ * @param {string} json
+ * @returns {*}
+ */
+function deserializeValue (json) {
+  return JSON.parse(json, reviver)
+}
+
+/**
+ * Whether the stored hash was written in the v1 flat format.
+ * @param {object} data - The raw hash fields.
+ * @returns {boolean}
+ */
+function isLegacyHash (data) {
+  return data.v === undefined || data.record === undefined
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  serializeRecord,
+  deserializeRecord,
+  serializeValue,
+  deserializeValue,
+  isLegacyHash
+}
@@ -0,0 +1,172 @@
+const BaseStrategy = require('./BaseStrategy')
+
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+const DEFAULT_WINDOW_SIZE_MS = 60 * 1000 // 1 minute
+const DEFAULT_SMOOTHING = 0.3
+const DEFAULT_BURST_FACTOR = 3
+const DEFAULT_TIGHTEN_FACTOR = 0.5
+const DEFAULT_LOOSEN_FACTOR = 2
+const DEFAULT_WARMUP_WINDOWS = 3
+
+const BURST_DETECTED = 'burst_detected'
+const BASELINE_NOISE = 'baseline_noise'
+
+/**
+ * A throttling strategy that adapts each key's limit to its own history.
+ *
+ * Events are counted per calendar-aligned window of `windowSize` ms, as with
+ * the `FixedWindowStrategy`, and each closed window's count is folded into an
+ * exponentially weighted moving average: the key's baseline rate. Once a
+ * key has been observed for `warmupWindows` windows:
+ *
+ *  - A key whose baseline is at or above `limit` is chronically noisy. Its
+ *    limit is tightened to `limit * tightenFactor`, and its outcomes carry
+ *    the reason `baseline_noise`.
+ *  - A quieter key firing more than `burstFactor` times its baseline within
+ *    a window is bursting. An anomaly from a normally quiet key is worth
+ *    hearing about, so its limit is loosened to `limit * loosenFactor`, and
+ *    its outcomes carry the reason `burst_detected`.
+ *
+ * Otherwise the key gets `limit` events per window. The baseline only
+ * survives while the record does, so `expireTime` should span several windows.
+ */
+class AdaptiveStrategy extends BaseStrategy {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}]
+     * @param {number} [options.limit] - Max events per window for a key behaving normally. Defaults to
+     * the tracker's `limit`.
+     * @param {number} [options.windowSize=60000] - The window length in ms.
+     * @param {number} [options.smoothing=0.3] - Weight (0-1) of the latest window in the baseline. Higher
+     * values follow rate changes faster.
+     * @param {number} [options.burstFactor=3] - How many times its baseline a key must fire within a
+     * window to count as a burst.
+     * @param {number} [options.tightenFactor=0.5] - Multiplies `limit` for chronically noisy keys.
+     * @param {number} [options.loosenFactor=2] - Multiplies `limit` for quiet keys while they burst.
+     * @param {number} [options.warmupWindows=3] - Windows a key must be observed for before its baseline
+     * is trusted.
+     */
+  constructor (tracker, options = {}) {
+    super(tracker, options)
+    this.windowSize = options.windowSize ?? DEFAULT_WINDOW_SIZE_MS
+    this.smoothing = options.smoothing ?? DEFAULT_SMOOTHING
+    this.burstFactor = options.burstFactor ?? DEFAULT_BURST_FACTOR
+    this.tightenFactor = options.tightenFactor ?? DEFAULT_TIGHTEN_FACTOR
+    this.loosenFactor = options.loosenFactor ?? DEFAULT_LOOSEN_FACTOR
+    this.warmupWindows = options.warmupWindows ?? DEFAULT_WARMUP_WINDOWS
+    if (!(this.smoothing > 0 && this.smoothing <= 1)) {
+      throw new Error('AdaptiveStrategy smoothing must be greater than 0 and at most 1.')
+    }
+  }
+
+  /**
+     * Advances the state to the window containing `now`, folding the counts
+     * of the windows that closed meanwhile (the last one, then any empty
+     * ones) into the baseline.
+     * @param {object} state - The record's strategyData.
+     * @param {number} now - The current timestamp.
+     * @param {object} config - The record's config.
+     */
+  static roll (state, now, config) {
+    const { windowSize, smoothing } = config
+    const windowStart = now - (now % windowSize)
+    if (windowStart <= state.windowStart) return
+    const closed = (windowStart - state.windowStart) / windowSize
+
+    state.baseline = state.windows === 0
+      ? state.currentCount
+      : smoothing * state.currentCount + (1 - smoothing) * state.baseline
+    state.baseline *= (1 - smoothing) ** (closed - 1)
+    state.windows += closed
+    state.currentCount = 0
+    state.windowStart = windowStart
+  }
+
+  /**
+     * Classifies a key from its state, counting the event being tracked.
+     * @param {object} state - The record's strategyData, rolled to the current window.
+     * @param {object} config - The record's config.
+     * @returns {{reason: string|null, limit: number}} The reason to report, if the key is not behaving
+     * normally, and the limit that applies to it in this window.
+     */
+  static assess (state, config) {
+    const { limit, burstFactor, tightenFactor, loosenFactor, warmupWindows } = config
+    if (state.windows < warmupWindows) {
+      return { reason: null, limit }
+    }
+    if (state.baseline >= limit) {
+      return { reason: BASELINE_NOISE, limit: Math.max(1, Math.floor(limit * tightenFactor)) }
+    }
+    // A baseline below one event per window still takes a few events to make a burst
+    if (state.currentCount + 1 > burstFactor * Math.max(state.baseline, 1)) {
+      return { reason: BURST_DETECTED, limit: Math.ceil(limit * loosenFactor) }
+    }
+    return { reason: null, limit }
+  }
+
+  /**
+     * @override
+     */
+  async track (record, eventData) {
+    const now = Date.now()
+
+    if (!record || !record.strategyData) {
+      const config = {
+        limit: this.setting('limit'),
+        windowSize: this.windowSize,
+        smoothing: this.smoothing,
+        burstFactor: this.burstFactor,
+        tightenFactor: this.tightenFactor,
+        loosenFactor: this.loosenFactor,
+        warmupWindows: this.warmupWindows,
+        deferInterval: this.setting('deferInterval')
+      }
+      const strategyData = {
+        windowStart: now - (now % config.windowSize),
+        currentCount: 1,
+        baseline: 0,
+        windows: 0
+      }
+      if (!record) {
+        return { outcome: 'immediate', record: this.createRecord(eventData, now, config, strategyData) }
+      }
+      // Records migrated from a legacy storage format may lack the history
+      record.config = config
+      record.strategyData = { ...strategyData, currentCount: 0 }
+    }
+
+    const config = record.config
+    const state = record.strategyData
+    AdaptiveStrategy.roll(state, now, config)
+    const { reason, limit } = AdaptiveStrategy.assess(state, config)
+
+    record.count += 1
+    record.lastEventTime = now
+    record.expiresAt = now + this.setting('expireTime')
+    // Suppressed events count towards the rate too: a noisy key stays noisy while it is throttled
+    state.currentCount += 1
+
+    if (state.currentCount <= limit) {
+      record.deferred = false
+      record.scheduledSendAt = null
+      return reason ? { outcome: 'immediate', reason, record } : { outcome: 'immediate', record }
+    }
+
+    if (record.deferred) {
+      return { outcome: 'ignored', record }
+    }
+
+    record.deferred = true
+    record.scheduledSendAt = state.windowStart + config.windowSize
+    return reason ? { outcome: 'deferred', reason, record } : { outcome: 'deferred', record }
+  }
+}
+
+AdaptiveStrategy.BURST_DETECTED = BURST_DETECTED
+AdaptiveStrategy.BASELINE_NOISE = BASELINE_NOISE
+
+module.exports = AdaptiveStrategy
@@ -3,6 +3,9 @@
  * @typedef {import('../index.js').EventTracker} EventTracker
  */
 
+// The pool of the events counted against the record's own limit, rather than one of their severity's
+const SHARED_POOL = '*'
+
 /**
  * Base class for all throttling strategies.
  * Defines the interface that the EventTracker engine uses to make throttling decisions.
@@ -10,9 +13,133 @@
 class BaseStrategy {
   /**
      * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}] - Strategy options. `limit`, `deferInterval`, `expireTime` and
+     * `severityLimits` override the tracker-wide values of the same name for records tracked by this strategy.
      */
-  constructor (tracker) {
+  constructor (tracker, options = {}) {
     this.tracker = tracker
+    this.options = options
+  }
+
+  /**
+     * Resolves a setting from this strategy's options, falling back to the tracker's value.
+     * @param {'limit'|'deferInterval'|'expireTime'|'severityLimits'} name - The setting name.
+     * @returns {*}
+     */
+  setting (name) {
+    return this.options[name] ?? this.tracker[name]
+  }
+
+  /**
+     * The limit an event's severity has of its own, if any. Events of a
+     * severity with its own limit are counted separately from the others,
+     * so a flood of one severity does not hold back another.
+     * @param {object} config - The record's config snapshot.
+     * @param {string|null} [severity] - The event's severity.
+     * @returns {number|undefined}
+     */
+  static severityLimit (config, severity) {
+    if (severity === undefined || severity === null || !config.severityLimits) return undefined
+    return config.severityLimits[severity]
+  }
+
+  /**
+     * Snapshots the settings every strategy shares into a record's config.
+     * @param {object} config - The strategy's own settings.
+     * @returns {object} The config a record is created with.
+     */
+  snapshot (config) {
+    const severityLimits = this.setting('severityLimits')
+    if (severityLimits) {
+      config.severityLimits = severityLimits
+    }
+    return config
+  }
+
+  /**
+     * Finds the counters an event is counted in: the ones kept for its severity,
+     * if that has a limit of its own, or the record's.
+     * @param {EventRecord} record
+     * @param {string|null} [severity]
+     * @param {function(): object} create - Builds empty counters for a severity.
+     * @returns {{state: object, limit: number, pool: string}} The pool to pass to `defer` and `release`.
+     */
+  static counters (record, severity, create) {
+    const limit = BaseStrategy.severityLimit(record.config, severity)
+    if (limit === undefined) {
+      return { state: record.strategyData, limit: record.config.limit, pool: SHARED_POOL }
+    }
+    const states = record.strategyData.severityStates ?? {}
+    states[severity] = states[severity] ?? create()
+    record.strategyData.severityStates = states
+    return { state: states[severity], limit, pool: severity }
+  }
+
+  /**
+     * The pool an event's limit belongs to: its severity, if that has a limit
+     * of its own, or the one shared by the record's other events.
+     * @param {object} config - The record's config snapshot.
+     * @param {string|null} [severity]
+     * @returns {string}
+     */
+  static pool (config, severity) {
+    return BaseStrategy.severityLimit(config, severity) === undefined ? SHARED_POOL : severity
+  }
+
+  /**
+     * The pools of a record that went over their limit since it was last let
+     * through or delivered. Records deferred without them, e.g. by a quota,
+     * count as held back by their shared limit.
+     * @param {EventRecord} record
+     * @returns {Object<string, boolean>}
+     */
+  static deferredPools (record) {
+    record.strategyData = record.strategyData ?? {}
+    const state = record.strategyData
+    if (!record.deferred) {
+      state.deferredPools = {}
+    } else if (!state.deferredPools) {
+      state.deferredPools = { [SHARED_POOL]: true }
+    }
+    return state.deferredPools
+  }
+
+  /**
+     * Holds back an event over the limit of its pool. The first one is
+     * deferred, and the record scheduled unless it already was; the next ones
+     * are ignored. Other pools are unaffected, so a flood of one severity does
+     * not suppress the events of another.
+     * @param {EventRecord} record
+     * @param {string} pool - See `pool()`.
+     * @param {number} scheduledSendAt - When the record falls due, if it is not deferred yet.
+     * @returns {'deferred'|'ignored'}
+     */
+  static defer (record, pool, scheduledSendAt) {
+    const pools = BaseStrategy.deferredPools(record)
+    if (pools[pool]) {
+      return 'ignored'
+    }
+    pools[pool] = true
+    if (!record.deferred) {
+      record.deferred = true
+      record.scheduledSendAt = scheduledSendAt
+    }
+    return 'deferred'
+  }
+
+  /**
+     * Marks a pool as under its limit again. The record stops being deferred
+     * once none of its pools is held back.
+     * @param {EventRecord} record
+     * @param {string} pool - See `pool()`.
+     */
+  static release (record, pool) {
+    const pools = BaseStrategy.deferredPools(record)
+    delete pools[pool]
+    if (Object.keys(pools).length === 0) {
+      record.deferred = false
+      record.scheduledSendAt = null
+    }
   }
 
   /**
@@ -25,6 +152,37 @@ class BaseStrategy {
   async track (record, eventData) {
     throw new Error('Strategy.track() must be implemented by subclasses.')
   }
+
+  /**
+     * Builds the record for the first occurrence of an event.
+     * @param {object} eventData - The raw data for the incoming event.
+     * @param {number} now - The current timestamp.
+     * @param {object} config - Snapshot of the config this record is throttled with.
+     * @param {object} [strategyData] - Initial strategy-specific state.
+     * @returns {EventRecord}
+     */
+  createRecord (eventData, now, config, strategyData) {
+    const { compositeKey, category, id, details, detailsHash } = eventData
+    const record = {
+      key: compositeKey,
+      category,
+      id,
+      details,
+      detailsHash,
+      count: 1,
+      lastEventTime: now,
+      expiresAt: now + this.setting('expireTime'),
+      deferred: false,
+      scheduledSendAt: null,
+      config
+    }
+    if (strategyData) {
+      record.strategyData = strategyData
+    }
+    return record
+  }
 }
 
+BaseStrategy.SHARED_POOL = SHARED_POOL
+
 module.exports = BaseStrategy
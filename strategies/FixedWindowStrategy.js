@@ -0,0 +1,96 @@
+const BaseStrategy = require('./BaseStrategy')
+
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+const DEFAULT_WINDOW_SIZE_MS = 60 * 1000 // 1 minute
+
+/**
+ * A fixed-window throttling strategy.
+ *
+ * Allows up to `limit` events per calendar-aligned window of `windowSize` ms
+ * (e.g. every full minute). Events beyond the limit are deferred until the
+ * next window starts.
+ *
+ * Events of a severity with a limit of its own (see `severityLimits`) are
+ * counted in a window kept for the severity, and only held back by it.
+ */
+class FixedWindowStrategy extends BaseStrategy {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}]
+     * @param {number} [options.limit] - Max events per window. Defaults to the tracker's `limit`.
+     * @param {number} [options.windowSize=60000] - The window length in ms.
+     */
+  constructor (tracker, options = {}) {
+    super(tracker, options)
+    this.windowSize = options.windowSize ?? DEFAULT_WINDOW_SIZE_MS
+  }
+
+  /**
+     * @param {number} now
+     * @param {number} windowSize
+     * @returns {{windowStart: number, windowCount: number}} An empty window containing `now`.
+     */
+  static window (now, windowSize) {
+    return { windowStart: now - (now % windowSize), windowCount: 0 }
+  }
+
+  /**
+     * Finds the window an event is counted in: its severity's, if that has a limit of its own, or the record's.
+     * @param {EventRecord} record
+     * @param {string|null} [severity]
+     * @param {number} now
+     * @returns {{state: {windowStart: number, windowCount: number}, limit: number, pool: string}}
+     */
+  static counters (record, severity, now) {
+    return BaseStrategy.counters(record, severity, () => FixedWindowStrategy.window(now, record.config.windowSize))
+  }
+
+  /**
+     * @override
+     */
+  async track (record, eventData) {
+    const now = Date.now()
+
+    if (!record || !record.strategyData) {
+      const config = this.snapshot({
+        limit: this.setting('limit'),
+        windowSize: this.windowSize,
+        deferInterval: this.setting('deferInterval')
+      })
+      const strategyData = FixedWindowStrategy.window(now, config.windowSize)
+      if (!record) {
+        const created = this.createRecord(eventData, now, config, strategyData)
+        FixedWindowStrategy.counters(created, eventData.severity, now).state.windowCount += 1
+        return { outcome: 'immediate', record: created }
+      }
+      // Records migrated from a legacy storage format may lack the window state
+      record.config = config
+      record.strategyData = strategyData
+    }
+
+    const { state, limit, pool } = FixedWindowStrategy.counters(record, eventData.severity, now)
+    const { windowSize } = record.config
+    if (now >= state.windowStart + windowSize) {
+      Object.assign(state, FixedWindowStrategy.window(now, windowSize))
+    }
+
+    record.count += 1
+    record.lastEventTime = now
+    record.expiresAt = now + this.setting('expireTime')
+
+    if (state.windowCount < limit) {
+      state.windowCount += 1
+      BaseStrategy.release(record, pool)
+      return { outcome: 'immediate', record }
+    }
+
+    const outcome = BaseStrategy.defer(record, pool, state.windowStart + windowSize)
+    return { outcome, record }
+  }
+}
+
+module.exports = FixedWindowStrategy
@@ -9,52 +9,62 @@ const BaseStrategy = require('./BaseStrategy')
  *
  * This strategy tracks the count of identical events and defers them
  * once a configured limit is exceeded within the expiration window.
+ *
+ * Events of a severity with a limit of its own (see `severityLimits`) are
+ * counted separately. Deferral is kept per severity too: events under their
+ * limit are let through even while those of another severity are held back.
  */
 class SimpleCounterStrategy extends BaseStrategy {
+  /**
+     * @returns {object} Snapshot of the config a record is created with.
+     */
+  _config () {
+    return this.snapshot({ limit: this.setting('limit'), deferInterval: this.setting('deferInterval') })
+  }
+
   /**
      * @override
      */
   async track (record, eventData) {
-    const { compositeKey, category, id, details, detailsHash } = eventData
     const now = Date.now()
     let updatedRecord = record
 
     if (!updatedRecord) {
       // Create a new record with the tracker's current configuration
-      updatedRecord = {
-        key: compositeKey,
-        category,
-        id,
-        details,
-        detailsHash,
-        count: 1,
-        lastEventTime: now,
-        expiresAt: now + this.tracker.expireTime,
-        deferred: false,
-        scheduledSendAt: null,
-        config: { // Snapshot of the config at creation time
-          limit: this.tracker.limit,
-          deferInterval: this.tracker.deferInterval
-        }
-      }
+      updatedRecord = this.createRecord(eventData, now, this._config()) // Snapshot of the config at creation time
     } else {
+      if (!updatedRecord.config) {
+        // Records migrated from a legacy storage format may lack the snapshot
+        updatedRecord.config = this._config()
+      }
       updatedRecord.count += 1
       updatedRecord.lastEventTime = now
-      updatedRecord.expiresAt = now + this.tracker.expireTime
+      updatedRecord.expiresAt = now + this.setting('expireTime')
     }
 
-    if (updatedRecord.deferred) {
-      return { outcome: 'ignored', record: updatedRecord }
+    const { severity } = eventData
+    const severityLimit = BaseStrategy.severityLimit(updatedRecord.config, severity)
+    let overLimit
+    if (severityLimit !== undefined) {
+      updatedRecord.strategyData = updatedRecord.strategyData ?? {}
+      const counts = updatedRecord.strategyData.severityCounts ?? {}
+      counts[severity] = (counts[severity] ?? 0) + 1
+      updatedRecord.strategyData.severityCounts = counts
+      overLimit = counts[severity] > severityLimit
+    } else {
+      // Use the limit from the record's config, for the events not counted against a limit of their own
+      const counts = updatedRecord.strategyData?.severityCounts ?? {}
+      const counted = Object.values(counts).reduce((total, count) => total + count, 0)
+      overLimit = updatedRecord.count - counted > updatedRecord.config.limit
     }
 
-    // Use the limit from the record's config
-    if (updatedRecord.count > updatedRecord.config.limit) {
-      updatedRecord.deferred = true
-      updatedRecord.scheduledSendAt = now + updatedRecord.config.deferInterval
-      return { outcome: 'deferred', record: updatedRecord }
+    if (!overLimit) {
+      return { outcome: 'immediate', record: updatedRecord }
     }
 
-    return { outcome: 'immediate', record: updatedRecord }
+    const pool = BaseStrategy.pool(updatedRecord.config, severity)
+    const outcome = BaseStrategy.defer(updatedRecord, pool, now + updatedRecord.config.deferInterval)
+    return { outcome, record: updatedRecord }
   }
 }
 
@@ -0,0 +1,128 @@
+const BaseStrategy = require('./BaseStrategy')
+
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+const DEFAULT_WINDOW_SIZE_MS = 60 * 1000 // 1 minute
+
+/**
+ * A sliding-window counter throttling strategy.
+ *
+ * Approximates a sliding window with two fixed-window counters: the rate is
+ * estimated as the current window's count plus the previous window's count
+ * weighted by how much of it still overlaps the sliding window. State is
+ * constant-size regardless of `limit`.
+ *
+ * Events of a severity with a limit of its own (see `severityLimits`) are
+ * counted apart for the severity, and only held back by its counters.
+ */
+class SlidingWindowCounterStrategy extends BaseStrategy {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}]
+     * @param {number} [options.limit] - Max events per window. Defaults to the tracker's `limit`.
+     * @param {number} [options.windowSize=60000] - The window length in ms.
+     */
+  constructor (tracker, options = {}) {
+    super(tracker, options)
+    this.windowSize = options.windowSize ?? DEFAULT_WINDOW_SIZE_MS
+  }
+
+  /**
+     * Advances the window counters to the window containing `now`.
+     * @param {object} state - The record's strategyData.
+     * @param {number} now - The current timestamp.
+     * @param {number} windowSize - The window length in ms.
+     */
+  static roll (state, now, windowSize) {
+    const windowStart = now - (now % windowSize)
+    if (windowStart === state.windowStart) return
+    state.previousCount = windowStart - state.windowStart === windowSize ? state.currentCount : 0
+    state.currentCount = 0
+    state.windowStart = windowStart
+  }
+
+  /**
+     * Computes the earliest time at which the estimated count drops below `limit`
+     * so that one more event is allowed.
+     * @param {object} state - The record's strategyData, rolled to the current window.
+     * @param {number} limit - Max events per window.
+     * @param {number} windowSize - The window length in ms.
+     * @returns {number} The timestamp at which the window reopens.
+     */
+  static reopensAt (state, limit, windowSize) {
+    const { windowStart, previousCount, currentCount } = state
+    const allowed = limit - 1 // The estimate must not exceed this for one more event to fit
+    if (currentCount <= allowed && previousCount > 0) {
+      // Still within the current window, once enough of the previous one has slid out
+      return windowStart + windowSize - Math.floor(windowSize * (allowed - currentCount) / previousCount)
+    }
+    // Only once the current window has become the previous one
+    const nextStart = windowStart + windowSize
+    return nextStart + windowSize - Math.floor(windowSize * Math.min(1, allowed / currentCount))
+  }
+
+  /**
+     * Finds the counters an event is counted in: its severity's, if that has a limit of its own, or the record's.
+     * @param {EventRecord} record
+     * @param {string|null} [severity]
+     * @param {number} now
+     * @returns {{state: object, limit: number, pool: string}}
+     */
+  static counters (record, severity, now) {
+    const windowStart = now - (now % record.config.windowSize)
+    return BaseStrategy.counters(record, severity, () => ({ windowStart, previousCount: 0, currentCount: 0 }))
+  }
+
+  /**
+     * @override
+     */
+  async track (record, eventData) {
+    const now = Date.now()
+
+    if (!record || !record.strategyData) {
+      const config = this.snapshot({
+        limit: this.setting('limit'),
+        windowSize: this.windowSize,
+        deferInterval: this.setting('deferInterval')
+      })
+      const strategyData = {
+        windowStart: now - (now % config.windowSize),
+        previousCount: 0,
+        currentCount: 0
+      }
+      if (!record) {
+        const created = this.createRecord(eventData, now, config, strategyData)
+        SlidingWindowCounterStrategy.counters(created, eventData.severity, now).state.currentCount += 1
+        return { outcome: 'immediate', record: created }
+      }
+      // Records migrated from a legacy storage format may lack the counters
+      record.config = config
+      record.strategyData = strategyData
+    }
+
+    const { state, limit, pool } = SlidingWindowCounterStrategy.counters(record, eventData.severity, now)
+    const { windowSize } = record.config
+    SlidingWindowCounterStrategy.roll(state, now, windowSize)
+
+    record.count += 1
+    record.lastEventTime = now
+    record.expiresAt = now + this.setting('expireTime')
+
+    // estimate = previousCount * overlap + currentCount, scaled by windowSize to stay in integers
+    const overlap = windowSize - (now - state.windowStart)
+    const scaledEstimate = state.previousCount * overlap + state.currentCount * windowSize
+    if (scaledEstimate + windowSize <= limit * windowSize) {
+      state.currentCount += 1
+      BaseStrategy.release(record, pool)
+      return { outcome: 'immediate', record }
+    }
+
+    const outcome = BaseStrategy.defer(record, pool, SlidingWindowCounterStrategy.reopensAt(state, limit, windowSize))
+    return { outcome, record }
+  }
+}
+
+module.exports = SlidingWindowCounterStrategy
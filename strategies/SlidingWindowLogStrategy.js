@@ -0,0 +1,84 @@
+const BaseStrategy = require('./BaseStrategy')
+
+/**
+ * @typedef {import('../index.js').EventRecord} EventRecord
+ * @typedef {import('../index.js').EventTracker} EventTracker
+ */
+
+const DEFAULT_WINDOW_SIZE_MS = 60 * 1000 // 1 minute
+
+/**
+ * A sliding-window log throttling strategy.
+ *
+ * Keeps the timestamps of the events that were let through and allows a new
+ * one only while fewer than `limit` of them fall within the last `windowSize`
+ * ms. This is exact, at the cost of storing up to `limit` timestamps per record.
+ *
+ * Events of a severity with a limit of its own (see `severityLimits`) are
+ * logged apart for the severity, and only held back by its log.
+ */
+class SlidingWindowLogStrategy extends BaseStrategy {
+  /**
+     * @param {EventTracker} tracker - The parent EventTracker instance.
+     * @param {object} [options={}]
+     * @param {number} [options.limit] - Max events per window. Defaults to the tracker's `limit`.
+     * @param {number} [options.windowSize=60000] - The window length in ms.
+     */
+  constructor (tracker, options = {}) {
+    super(tracker, options)
+    this.windowSize = options.windowSize ?? DEFAULT_WINDOW_SIZE_MS
+  }
+
+  /**
+     * Finds the log an event is counted in: its severity's, if that has a limit of its own, or the record's.
+     * @param {EventRecord} record
+     * @param {string|null} [severity]
+     * @returns {{state: {timestamps: number[]}, limit: number, pool: string}}
+     */
+  static counters (record, severity) {
+    return BaseStrategy.counters(record, severity, () => ({ timestamps: [] }))
+  }
+
+  /**
+     * @override
+     */
+  async track (record, eventData) {
+    const now = Date.now()
+
+    if (!record || !record.strategyData) {
+      const config = this.snapshot({
+        limit: this.setting('limit'),
+        windowSize: this.windowSize,
+        deferInterval: this.setting('deferInterval')
+      })
+      if (!record) {
+        const created = this.createRecord(eventData, now, config, { timestamps: [] })
+        SlidingWindowLogStrategy.counters(created, eventData.severity).state.timestamps.push(now)
+        return { outcome: 'immediate', record: created }
+      }
+      // Records migrated from a legacy storage format may lack the log
+      record.config = config
+      record.strategyData = { timestamps: [] }
+    }
+
+    const { state, limit, pool } = SlidingWindowLogStrategy.counters(record, eventData.severity)
+    const { windowSize } = record.config
+    state.timestamps = state.timestamps.filter(timestamp => timestamp > now - windowSize)
+
+    record.count += 1
+    record.lastEventTime = now
+    record.expiresAt = now + this.setting('expireTime')
+
+    if (state.timestamps.length < limit) {
+      state.timestamps.push(now)
+      BaseStrategy.release(record, pool)
+      return { outcome: 'immediate', record }
+    }
+
+    // A slot frees up once enough of the oldest entries have slid out of the window
+    const outcome = BaseStrategy.defer(record, pool, state.timestamps[state.timestamps.length - limit] + windowSize)
+    return { outcome, record }
+  }
+}
+
+module.exports = SlidingWindowLogStrategy
@@ -11,6 +11,10 @@ const DEFAULT_REFILL_RATE = 1 // tokens per second
 /**
  * A token bucket throttling strategy.
  * Allows for bursts of events and refills tokens at a constant rate.
+ *
+ * Events of a severity with a limit of its own (see `severityLimits`) draw
+ * from a bucket of that size kept for the severity, refilled at the same rate.
+ * An empty bucket only holds back the events drawing from it.
  */
 class TokenBucketStrategy extends BaseStrategy {
   /**
@@ -20,66 +24,78 @@ class TokenBucketStrategy extends BaseStrategy {
      * @param {number} [options.refillRate=1] - The number of tokens to add per second.
      */
   constructor (tracker, options = {}) {
-    super(tracker)
+    super(tracker, options)
     this.bucketSize = options.bucketSize ?? DEFAULT_BUCKET_SIZE
     this.refillRate = options.refillRate ?? DEFAULT_REFILL_RATE
   }
 
+  /**
+     * @returns {object} Snapshot of the config a record is created with.
+     */
+  _config () {
+    return this.snapshot({ bucketSize: this.bucketSize, refillRate: this.refillRate, deferInterval: this.setting('deferInterval') })
+  }
+
+  /**
+     * Finds the bucket an event draws from: its severity's own, or the record's.
+     * @param {EventRecord} record
+     * @param {string|null} [severity]
+     * @param {number} now
+     * @returns {{bucket: {tokens: number, lastRefill: number}, size: number, pool: string}}
+     */
+  _bucket (record, severity, now) {
+    const size = BaseStrategy.severityLimit(record.config, severity)
+    if (size === undefined) {
+      return { bucket: record.strategyData, size: record.config.bucketSize, pool: BaseStrategy.SHARED_POOL }
+    }
+    const buckets = record.strategyData.severityBuckets ?? {}
+    buckets[severity] = buckets[severity] ?? { tokens: size, lastRefill: now }
+    record.strategyData.severityBuckets = buckets
+    return { bucket: buckets[severity], size, pool: severity }
+  }
+
   /**
      * @override
      */
   async track (record, eventData) {
-    const { compositeKey, category, id, details, detailsHash } = eventData
     const now = Date.now()
     let updatedRecord = record
 
     if (!updatedRecord) {
-      updatedRecord = {
-        key: compositeKey,
-        category,
-        id,
-        details,
-        detailsHash,
-        count: 1,
-        lastEventTime: now,
-        expiresAt: now + this.tracker.expireTime,
-        deferred: false,
-        scheduledSendAt: null,
-        config: { // Strategy-specific config
-          bucketSize: this.bucketSize,
-          refillRate: this.refillRate,
-          deferInterval: this.tracker.deferInterval
-        },
-        strategyData: { // Strategy-specific state
-          tokens: this.bucketSize - 1,
-          lastRefill: now
-        }
-      }
+      updatedRecord = this.createRecord(eventData, now, this._config(), { // Strategy-specific state
+        tokens: this.bucketSize,
+        lastRefill: now
+      })
+      this._bucket(updatedRecord, eventData.severity, now).bucket.tokens -= 1
       return { outcome: 'immediate', record: updatedRecord }
     }
 
+    if (!updatedRecord.config || !updatedRecord.strategyData) {
+      // Records migrated from a legacy storage format may lack the bucket state; start with a full bucket
+      updatedRecord.config = this._config()
+      updatedRecord.strategyData = { tokens: this.bucketSize, lastRefill: now }
+    }
+
     // Refill the bucket
-    const { tokens, lastRefill } = updatedRecord.strategyData
     const config = updatedRecord.config
-    const elapsedSeconds = (now - lastRefill) / 1000
+    const { bucket, size, pool } = this._bucket(updatedRecord, eventData.severity, now)
+    const elapsedSeconds = (now - bucket.lastRefill) / 1000
     const tokensToAdd = Math.floor(elapsedSeconds * config.refillRate)
-
-    let currentTokens = tokens
     if (tokensToAdd > 0) {
-      currentTokens = Math.min(config.bucketSize, tokens + tokensToAdd)
-      updatedRecord.strategyData.lastRefill = now
+      bucket.tokens = Math.min(size, bucket.tokens + tokensToAdd)
+      bucket.lastRefill = now
     }
 
-    if (currentTokens >= 1) {
-      updatedRecord.strategyData.tokens = currentTokens - 1
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1
       updatedRecord.count += 1 // Still useful for analytics
       updatedRecord.lastEventTime = now
-      updatedRecord.expiresAt = now + this.tracker.expireTime
-      updatedRecord.deferred = false // A successful event makes it not deferred
-      updatedRecord.scheduledSendAt = null
+      updatedRecord.expiresAt = now + this.setting('expireTime')
+      // A successful event makes its bucket's events not deferred; the other buckets' stay held back
+      BaseStrategy.release(updatedRecord, pool)
       return { outcome: 'immediate', record: updatedRecord }
     } else {
-      updatedRecord.deferred = true
+      BaseStrategy.defer(updatedRecord, pool, null)
       // Schedule retry when we expect the next token to be available
       const secondsPerToken = 1 / config.refillRate
       updatedRecord.scheduledSendAt = now + (secondsPerToken * 1000)
@@ -0,0 +1,206 @@
+const assert = require('assert')
+const http = require('http')
+const net = require('net')
+const EventTracker = require('..')
+
+const { AdminServer, InMemoryAdapter } = EventTracker
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Reads copies after a round-trip's delay, as a networked store does.
+ */
+class RemoteAdapter extends InMemoryAdapter {
+  async get (key) {
+    const record = await super.get(key)
+    const copy = record && JSON.parse(JSON.stringify(record))
+    await sleep(10)
+    return copy
+  }
+}
+
+/**
+ * Sends raw bytes to a server and resolves to its whole answer.
+ * @param {number} port
+ * @param {string} request
+ * @returns {Promise<string>}
+ */
+function sendRaw (port, request) {
+  return new Promise((resolve, reject) => {
+    let response = ''
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(request))
+    socket.setEncoding('utf8')
+    socket.on('data', chunk => { response += chunk })
+    socket.on('end', () => resolve(response))
+    socket.on('error', reject)
+  })
+}
+
+/**
+ * Sends an authenticated JSON request to an admin server.
+ * @param {number} port
+ * @param {string} method
+ * @param {string} path
+ * @param {object} [body]
+ * @param {object} [headers] - Replace the default, valid Authorization header.
+ * @returns {Promise<{status: number, body: object}>}
+ */
+function request (port, method, path, body, headers = { Authorization: 'Bearer secret' }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, host: '127.0.0.1', method, path, headers }, (res) => {
+      let data = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => { data += chunk })
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }))
+    })
+    req.on('error', reject)
+    req.end(body === undefined ? undefined : JSON.stringify(body))
+  })
+}
+
+module.exports = [
+  {
+    name: 'a malformed request URL is answered 400',
+    async run () {
+      const tracker = new EventTracker()
+      const admin = new AdminServer(tracker, { token: 'secret' })
+      try {
+        const server = await admin.listen(0, '127.0.0.1')
+        const response = await sendRaw(server.address().port, 'GET //[ HTTP/1.1\r\nHost: x\r\nConnection: close\r\n\r\n')
+        assert.match(response, /^HTTP\/1\.1 400 /)
+        assert.match(response, /Malformed request URL/)
+      } finally {
+        await admin.close()
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a category config update reaches records under a custom keyFunction',
+    async run () {
+      const tracker = new EventTracker({ keyFunction: (category, id, details) => `${category}:${details.region}` })
+      const admin = new AdminServer(tracker, { token: 'secret' })
+      try {
+        await tracker.trackEvent('api', 'a', { region: 'eu' })
+        await tracker.trackEvent('api', 'b', { region: 'us' })
+        const server = await admin.listen(0, '127.0.0.1')
+        const response = await request(server.address().port, 'PATCH', '/categories/api/config', { limit: 50 })
+        assert.deepStrictEqual(response, { status: 200, body: { updated: 2 } })
+        assert.strictEqual((await tracker.getRecord('api', 'a', { region: 'eu' })).config.limit, 50)
+        assert.strictEqual((await tracker.getRecord('api', 'b', { region: 'us' })).config.limit, 50)
+      } finally {
+        await admin.close()
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a config update loses no event tracked meanwhile',
+    async run () {
+      const tracker = new EventTracker({ storage: new RemoteAdapter(), limit: 1000 })
+      try {
+        await tracker.trackEvent('api', 'a')
+        await Promise.all([
+          tracker.updateConfig('api', 'a', { limit: 2000 }),
+          ...Array.from({ length: 10 }, () => tracker.trackEvent('api', 'a'))
+        ])
+        const record = await tracker.getRecord('api', 'a')
+        assert.strictEqual(record.count, 11)
+        assert.strictEqual(record.config.limit, 2000)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'requests without the bearer token are answered 401',
+    async run () {
+      const tracker = new EventTracker()
+      const admin = new AdminServer(tracker, { token: 'secret' })
+      try {
+        const { port } = (await admin.listen(0, '127.0.0.1')).address()
+        const refused = { status: 401, body: { error: 'A valid bearer token is required.' } }
+        assert.deepStrictEqual(await request(port, 'GET', '/stats', undefined, {}), refused)
+        assert.deepStrictEqual(await request(port, 'GET', '/stats', undefined, { Authorization: 'Bearer secreT' }), refused)
+        assert.deepStrictEqual(await request(port, 'GET', '/stats', undefined, { Authorization: 'Basic secret' }), refused)
+        assert.strictEqual((await request(port, 'GET', '/stats')).status, 200)
+      } finally {
+        await admin.close()
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a read-only admin API answers reads and refuses changes',
+    async run () {
+      const tracker = new EventTracker({ limit: 1 })
+      const admin = new AdminServer(tracker, { token: 'secret', readOnly: true })
+      try {
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        const { port } = (await admin.listen(0, '127.0.0.1')).address()
+        assert.strictEqual((await request(port, 'GET', '/records/api/a')).body.record.count, 2)
+        for (const [method, path, body] of [['POST', '/records/api/a/flush'], ['POST', '/records/api/a/reset'], ['PATCH', '/categories/api/config', { limit: 5 }]]) {
+          assert.deepStrictEqual(await request(port, method, path, body), { status: 403, body: { error: 'The admin API is read-only.' } })
+        }
+        assert.strictEqual((await tracker.getRecord('api', 'a')).deferred, true)
+      } finally {
+        await admin.close()
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'records and the deferred queue are listed, and a deferred record flushed',
+    async run () {
+      const tracker = new EventTracker({ limit: 1 })
+      const admin = new AdminServer(tracker, { token: 'secret' })
+      try {
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('db', 'b')
+        const { port } = (await admin.listen(0, '127.0.0.1')).address()
+
+        const stats = await request(port, 'GET', '/stats')
+        assert.deepStrictEqual(stats.body.categories, { api: { keys: 1, events: 2, deferred: 1 }, db: { keys: 1, events: 1, deferred: 0 } })
+        const records = await request(port, 'GET', '/records?deferred=false')
+        assert.deepStrictEqual(records.body.records.map(record => record.id), ['b'])
+        assert.strictEqual(records.body.cursor, null)
+        const deferred = await request(port, 'GET', '/deferred')
+        assert.deepStrictEqual(deferred.body.records.map(record => record.id), ['a'])
+
+        assert.deepStrictEqual(await request(port, 'POST', '/records/api/a/flush'), { status: 200, body: { flushed: true } })
+        assert.ok((await tracker.getRecord('api', 'a')).scheduledSendAt <= Date.now())
+        assert.strictEqual((await request(port, 'POST', '/records/db/b/flush')).status, 404)
+        assert.strictEqual((await request(port, 'GET', '/records/api/missing')).status, 404)
+        assert.strictEqual((await request(port, 'GET', '/records?deferred=maybe')).status, 400)
+        assert.strictEqual((await request(port, 'DELETE', '/stats')).status, 405)
+      } finally {
+        await admin.close()
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'an admin API mounted under a prefix leaves the other paths to the application',
+    async run () {
+      const tracker = new EventTracker()
+      const admin = new AdminServer(tracker, { token: 'secret', prefix: '/admin/events/' })
+      const server = http.createServer(async (req, res) => {
+        if (await admin.handle(req, res)) return
+        res.end(JSON.stringify({ app: true }))
+      })
+      try {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        const { port } = server.address()
+        assert.deepStrictEqual(await request(port, 'GET', '/admin/eventsx'), { status: 200, body: { app: true } })
+        assert.deepStrictEqual(await request(port, 'GET', '/health', undefined, {}), { status: 200, body: { app: true } })
+        assert.strictEqual((await request(port, 'GET', '/admin/events/stats')).body.keys, 0)
+        assert.strictEqual((await request(port, 'GET', '/admin/events/stats', undefined, {})).status, 401)
+      } finally {
+        await new Promise(resolve => server.close(resolve))
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,123 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const { InMemoryAdapter } = EventTracker
+
+/**
+ * Counts the storage calls made for single records.
+ */
+class CountingAdapter extends InMemoryAdapter {
+  constructor (options) {
+    super(options)
+    this.calls = { get: 0, set: 0, update: 0, updateMany: 0 }
+  }
+
+  async get (key) {
+    this.calls.get++
+    return super.get(key)
+  }
+
+  async set (key, record) {
+    this.calls.set++
+    return super.set(key, record)
+  }
+
+  async update (key, updater) {
+    this.calls.update++
+    return super.update(key, updater)
+  }
+
+  async updateMany (keys, updater) {
+    this.calls.updateMany++
+    return super.updateMany(keys, updater)
+  }
+}
+
+/**
+ * The parts of an outcome that do not depend on the time it was produced at.
+ * @param {{type: string, data?: object, reason?: string}} outcome
+ */
+function summarize (outcome) {
+  return { type: outcome.type, reason: outcome.reason, count: outcome.data?.count, deferred: outcome.data?.deferred }
+}
+
+const events = [
+  { category: 'api', id: 'a' },
+  { category: 'api', id: 'b', details: { code: 500 } },
+  { category: 'api', id: 'a' },
+  { category: 'db', id: 'c' },
+  { category: 'api', id: 'a' },
+  { category: 'api', id: 'b', details: { code: 500 } },
+  { category: 'api', id: 'a' }
+]
+
+module.exports = [
+  {
+    name: 'a batch has the outcomes and events of tracking each event in turn',
+    async run () {
+      const options = { limit: 2, maxKeys: 2 }
+      const batched = new EventTracker(options)
+      const sequential = new EventTracker(options)
+      const emitted = { batched: [], sequential: [] }
+      for (const name of ['immediate', 'deferred', 'ignored']) {
+        batched.on(name, data => emitted.batched.push(`${name} ${data.key ?? data.id}`))
+        sequential.on(name, data => emitted.sequential.push(`${name} ${data.key ?? data.id}`))
+      }
+      try {
+        const outcomes = await batched.trackEvents(events)
+        const expected = []
+        for (const { category, id, details } of events) {
+          expected.push(summarize(await sequential.trackEvent(category, id, details)))
+        }
+        assert.deepStrictEqual(outcomes.map(summarize), expected)
+        assert.deepStrictEqual(outcomes.map(outcome => outcome.type),
+          ['immediate', 'immediate', 'immediate', 'ignored', 'deferred', 'immediate', 'ignored'])
+        assert.strictEqual(outcomes[3].reason, 'key_limit_reached')
+        assert.deepStrictEqual(emitted.batched, emitted.sequential)
+        assert.strictEqual((await batched.getRecord('api', 'a')).count, 4)
+      } finally {
+        await batched.destroy()
+        await sequential.destroy()
+      }
+    }
+  },
+  {
+    name: 'each outcome keeps the record as it was after its own event',
+    async run () {
+      const tracker = new EventTracker({ limit: 10 })
+      try {
+        const outcomes = await tracker.trackEvents([{ category: 'api', id: 'a' }, { category: 'api', id: 'a' }, { category: 'api', id: 'a' }])
+        assert.deepStrictEqual(outcomes.map(outcome => outcome.data.count), [1, 2, 3])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a batch reads and writes its records in one storage call',
+    async run () {
+      const storage = new CountingAdapter()
+      const tracker = new EventTracker({ storage, limit: 2 })
+      try {
+        await tracker.trackEvents(events)
+        assert.deepStrictEqual(storage.calls, { get: 0, set: 0, update: 0, updateMany: 1 })
+        assert.strictEqual(await storage.size(), 3)
+      } finally {
+        await tracker.destroy()
+        await storage.destroy()
+      }
+    }
+  },
+  {
+    name: 'a batch that is not an array is refused',
+    async run () {
+      const tracker = new EventTracker()
+      try {
+        await assert.rejects(tracker.trackEvents({ category: 'api', id: 'a' }), /expects an array/)
+        assert.deepStrictEqual(await tracker.trackEvents([]), [])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
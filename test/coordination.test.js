@@ -0,0 +1,123 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const { InMemoryAdapter } = EventTracker
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Creates trackers sharing one storage adapter, as processes sharing a backend do.
+ * @param {number} count
+ * @param {object} options - Tracker options; `onDeferredEventDue` is called with the instance id too.
+ * @returns {{storage: InMemoryAdapter, trackers: EventTracker[], destroy: function(): Promise<void>}}
+ */
+function createInstances (count, options) {
+  const storage = new InMemoryAdapter()
+  const trackers = Array.from({ length: count }, (_, index) => new EventTracker({
+    ...options,
+    storage,
+    instanceId: `instance-${index}`,
+    processingInterval: 60 * 1000,
+    onDeferredEventDue: payload => options.onDeferredEventDue(payload, `instance-${index}`)
+  }))
+  return {
+    storage,
+    trackers,
+    async destroy () {
+      await Promise.all(trackers.map(tracker => tracker.destroy()))
+    }
+  }
+}
+
+module.exports = [
+  {
+    name: 'each due record is claimed by exactly one instance',
+    async run () {
+      const deliveries = []
+      const { trackers, destroy } = createInstances(3, {
+        limit: 1,
+        deferInterval: 10,
+        onDeferredEventDue: async (records) => {
+          await sleep(10)
+          deliveries.push(...records.map(record => record.id))
+        }
+      })
+      try {
+        for (const id of ['a', 'b', 'c', 'd']) {
+          await trackers[0].trackEvent('api', id)
+          await trackers[0].trackEvent('api', id)
+        }
+        await sleep(20)
+        await Promise.all(trackers.map(tracker => tracker.deliverDueEvents()))
+        assert.deepStrictEqual(deliveries.sort(), ['a', 'b', 'c', 'd'])
+      } finally {
+        await destroy()
+      }
+    }
+  },
+  {
+    name: 'a record whose lease expired is delivered again by another instance',
+    async run () {
+      const deliveries = []
+      let release
+      const hanging = new Promise(resolve => { release = resolve })
+      const { trackers, destroy } = createInstances(2, {
+        limit: 1,
+        leaseTimeout: 30,
+        onDeferredEventDue: async (records, instanceId) => {
+          deliveries.push(instanceId)
+          if (instanceId === 'instance-0') await hanging
+        }
+      })
+      const expired = []
+      trackers[0].on('lease_expired', ({ key }) => expired.push(key))
+      try {
+        await trackers[0].trackEvent('api', 'a')
+        await trackers[0].trackEvent('api', 'a')
+        const first = trackers[0].flushDeferred('api', 'a') // Delivers right away, and hangs
+        await sleep(50)
+        await trackers[1].deliverDueEvents()
+        release()
+        await first
+        assert.deepStrictEqual(deliveries, ['instance-0', 'instance-1'])
+        assert.deepStrictEqual(expired, [trackers[0].getCompositeKey('api', 'a')])
+      } finally {
+        release()
+        await destroy()
+      }
+    }
+  },
+  {
+    name: 'only the leader processes, and another instance takes over when it stops',
+    async run () {
+      const deliveries = []
+      const { trackers, destroy } = createInstances(2, {
+        limit: 1,
+        coordination: 'leader',
+        leaderTimeout: 40,
+        onDeferredEventDue: async (records, instanceId) => { deliveries.push(instanceId) }
+      })
+      const [first, second] = trackers
+      const events = []
+      for (const tracker of trackers) {
+        tracker.on('leader_elected', ({ instanceId }) => events.push(`elected ${instanceId}`))
+        tracker.on('leadership_lost', ({ instanceId }) => events.push(`lost ${instanceId}`))
+      }
+      try {
+        await first.deliverDueEvents()
+        await first.trackEvent('api', 'a')
+        await first.trackEvent('api', 'a')
+        await second.flushDeferred('api', 'a')
+        assert.deepStrictEqual(deliveries, [])
+
+        await sleep(60) // The first instance stops renewing its lock
+        await second.deliverDueEvents()
+        assert.deepStrictEqual(deliveries, ['instance-1'])
+        await first.deliverDueEvents()
+        assert.deepStrictEqual(events, ['elected instance-0', 'elected instance-1', 'lost instance-0'])
+      } finally {
+        await destroy()
+      }
+    }
+  }
+]
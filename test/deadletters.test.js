@@ -0,0 +1,82 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+module.exports = [
+  {
+    name: 'a failing delivery is retried with backoff, then dead-lettered and replayed',
+    async run () {
+      let failing = true
+      const delivered = []
+      const tracker = new EventTracker({
+        limit: 1,
+        processingInterval: 60 * 1000,
+        retry: { maxAttempts: 2, baseDelay: 20 },
+        onDeferredEventDue: async (records) => {
+          if (failing) throw new Error('sink down')
+          delivered.push(...records.map(record => record.id))
+        }
+      })
+      const events = []
+      for (const name of ['delivery_failed', 'dead_letter', 'dead_letter_replayed', 'processed']) {
+        tracker.on(name, () => events.push(name))
+      }
+      const errors = []
+      tracker.on('error', error => errors.push(error.message))
+      try {
+        await tracker.trackEvent('api', 'timeout')
+        await tracker.trackEvent('api', 'timeout')
+        await tracker.flushDeferred('api', 'timeout')
+        const record = await tracker.getRecord('api', 'timeout')
+        assert.strictEqual(record.delivery.attempts, 1)
+        assert.strictEqual(record.delivery.lastError, 'sink down')
+        assert.ok(record.scheduledSendAt > Date.now())
+
+        await tracker.deliverDueEvents() // Not due again yet
+        assert.deepStrictEqual(events, ['delivery_failed'])
+        await sleep(30)
+        await tracker.deliverDueEvents()
+        assert.deepStrictEqual(events, ['delivery_failed', 'dead_letter'])
+        assert.deepStrictEqual(errors, ['sink down', 'sink down'])
+        assert.strictEqual(await tracker.getRecord('api', 'timeout'), undefined)
+
+        const [deadLetter] = await tracker.getDeadLetters()
+        assert.strictEqual(deadLetter.attempts, 2)
+        assert.strictEqual(deadLetter.error, 'sink down')
+        failing = false
+        assert.deepStrictEqual(await tracker.replayDeadLetters(), { replayed: [deadLetter.id], failed: [] })
+        assert.deepStrictEqual(delivered, ['timeout'])
+        assert.deepStrictEqual(await tracker.getDeadLetters(), [])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a record is only removed once its delivery succeeded',
+    async run () {
+      let resolveDelivery
+      const tracker = new EventTracker({
+        limit: 1,
+        processingInterval: 60 * 1000,
+        onDeferredEventDue: () => new Promise(resolve => { resolveDelivery = resolve })
+      })
+      try {
+        await tracker.trackEvent('api', 'timeout')
+        await tracker.trackEvent('api', 'timeout')
+        const flushed = tracker.flushDeferred('api', 'timeout')
+        await sleep(10)
+        const leased = await tracker.getRecord('api', 'timeout')
+        assert.strictEqual(leased.delivery.owner, tracker.instanceId)
+        assert.ok(leased.delivery.leaseUntil > Date.now())
+
+        resolveDelivery()
+        await flushed
+        assert.strictEqual(await tracker.getRecord('api', 'timeout'), undefined)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
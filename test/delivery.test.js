@@ -0,0 +1,88 @@
+const assert = require('assert')
+const EventTracker = require('..')
+const { parseCron, nextCronTime } = require('../delivery/cron')
+
+const { DeliveryPolicy } = EventTracker
+
+module.exports = [
+  {
+    name: 'cron times are wall-clock times across DST transitions',
+    async run () {
+      const next = (expression, after, timeZone) => new Date(nextCronTime(parseCron(expression), Date.parse(after), timeZone)).toISOString()
+      // 09:00 is 08:00Z in CET, 07:00Z from the spring-forward on 2026-03-29
+      assert.strictEqual(next('0 9 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T07:00:00.000Z')
+      // 02:30 is skipped that night, and fires as 03:30 CEST
+      assert.strictEqual(next('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z')
+      // 02:30 occurs twice on the fall-back night of 2026-10-25, and both match
+      assert.strictEqual(next('30 2 * * *', '2026-10-25T00:00:00Z', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z')
+      assert.strictEqual(next('30 2 * * *', '2026-10-25T00:45:00Z', 'Europe/Berlin'), '2026-10-25T01:30:00.000Z')
+      assert.strictEqual(next('0 9 * * mon-fri', '2026-10-17T10:00:00Z', 'America/New_York'), '2026-10-19T13:00:00.000Z')
+      assert.throws(() => nextCronTime(parseCron('0 0 31 2 *'), 0), /never fires/)
+    }
+  },
+  {
+    name: 'quiet hours hold deferred records unless severe enough',
+    async run () {
+      const tracker = new EventTracker()
+      try {
+        const policy = new DeliveryPolicy(tracker, {
+          timezone: 'Europe/Berlin',
+          cron: '0 * * * *',
+          quietHours: { start: '22:00', end: '07:00' }
+        })
+        const at = Date.parse('2026-03-28T22:10:00Z') // 23:10 CET
+        // Held until 07:00, which is CEST by then
+        assert.strictEqual(policy.schedule(at, { maxSeverity: null }), Date.parse('2026-03-29T05:00:00Z'))
+        assert.strictEqual(policy.schedule(at, { maxSeverity: 'critical' }), Date.parse('2026-03-28T23:00:00Z'))
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a schedule that only fires during quiet hours delivers as they end',
+    async run () {
+      const tracker = new EventTracker()
+      try {
+        const policy = new DeliveryPolicy(tracker, {
+          cron: '*/5 23 * * *',
+          quietHours: { start: '21:00', end: '08:00' }
+        })
+        const at = Date.parse('2026-03-10T12:00:00Z')
+        assert.strictEqual(policy.schedule(at, { maxSeverity: null }), Date.parse('2026-03-11T08:00:00Z'))
+        assert.strictEqual(policy.schedule(at, { maxSeverity: 'critical' }), Date.parse('2026-03-10T23:00:00Z'))
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a deferred record is only rescheduled when its strategy moves it',
+    async run () {
+      const tracker = new EventTracker({
+        limit: 1,
+        deliveryPolicies: [{ timezone: 'Europe/Berlin', cron: '0 * * * *' }]
+      })
+      const [policy] = tracker.deliveryPolicies
+      const schedule = policy.schedule.bind(policy)
+      let calls = 0
+      policy.schedule = (at, record) => {
+        calls++
+        return schedule(at, record)
+      }
+      try {
+        assert.strictEqual((await tracker.trackEvent('api', 'a')).type, 'immediate')
+        const deferred = await tracker.trackEvent('api', 'a')
+        assert.strictEqual(deferred.type, 'deferred')
+        assert.strictEqual(new Date(deferred.data.scheduledSendAt).getUTCMinutes(), 0)
+        for (let i = 0; i < 10; i++) {
+          const result = await tracker.trackEvent('api', 'a')
+          assert.strictEqual(result.data.scheduledSendAt, deferred.data.scheduledSendAt)
+        }
+        assert.strictEqual(calls, 1)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,72 @@
+const assert = require('assert')
+const EventTracker = require('..')
+const { mergeSuppression, summarizeDigests } = require('../delivery/digest')
+
+const { SeverityScale } = EventTracker
+
+module.exports = [
+  {
+    name: 'a flood is digested periodically, and forgotten once it is over',
+    async run () {
+      const tracker = new EventTracker({ limit: 1, digest: { sampleSize: 2 }, fingerprint: { exclude: ['requestId'] } })
+      try {
+        for (const requestId of [1, 2, 3, 3, 4]) {
+          await tracker.trackEvent('api', 'timeout', { requestId })
+        }
+        await tracker.flushDeferred('api', 'timeout')
+        const [digest] = await tracker.processDeferredEvents()
+        assert.strictEqual(digest.suppressedCount, 4)
+        assert.strictEqual(digest.totalCount, 5)
+        assert.deepStrictEqual(digest.samples, [{ requestId: 2 }, { requestId: 3 }])
+
+        const record = await tracker.getRecord('api', 'timeout')
+        assert.strictEqual(record.deferred, true)
+        assert.strictEqual(record.suppression.suppressedCount, 0)
+
+        await tracker.flushDeferred('api', 'timeout')
+        assert.deepStrictEqual(await tracker.processDeferredEvents(), [])
+        assert.strictEqual(await tracker.getRecord('api', 'timeout'), undefined)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'suppression stats taken for a failed digest are merged back',
+    async run () {
+      const record = { suppression: { suppressedCount: 1, firstSuppressedAt: 30, lastSuppressedAt: 30, samples: [{ a: 3 }], sampleHashes: ['3'] } }
+      const taken = { suppressedCount: 2, firstSuppressedAt: 10, lastSuppressedAt: 20, samples: [{ a: 1 }, { a: 2 }], sampleHashes: ['1', '2'] }
+      mergeSuppression(record, taken, 2)
+      assert.deepStrictEqual(record.suppression, {
+        suppressedCount: 3,
+        firstSuppressedAt: 10,
+        lastSuppressedAt: 30,
+        samples: [{ a: 1 }, { a: 2 }],
+        sampleHashes: ['1', '2']
+      })
+    }
+  },
+  {
+    name: 'a summary groups digests per category, most severe first',
+    async run () {
+      const digest = (category, id, suppressedCount, maxSeverity, maxPriority) => ({
+        category, id, suppressedCount, maxSeverity, maxPriority, firstSuppressedAt: suppressedCount, lastSuppressedAt: suppressedCount * 10
+      })
+      const summary = summarizeDigests([
+        digest('db', 'a', 1, 'warning', 5),
+        digest('db', 'b', 2, 'critical', null),
+        digest('api', 'c', 3, null, null),
+        digest('db', 'd', 4, 'warning', 9)
+      ], 1000, new SeverityScale())
+      assert.strictEqual(summary.generatedAt, 1000)
+      assert.strictEqual(summary.suppressedCount, 10)
+      const [db, api] = summary.categories
+      assert.deepStrictEqual(db.digests.map(entry => entry.id), ['b', 'd', 'a'])
+      assert.strictEqual(db.keys, 3)
+      assert.strictEqual(db.maxSeverity, 'critical')
+      assert.strictEqual(db.firstSuppressedAt, 1)
+      assert.strictEqual(db.lastSuppressedAt, 40)
+      assert.strictEqual(api.maxSeverity, null)
+    }
+  }
+]
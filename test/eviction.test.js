@@ -0,0 +1,51 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+module.exports = [
+  {
+    name: 'a full store still takes an event restarting a stored key',
+    async run () {
+      const tracker = new EventTracker({ maxKeys: 1, eviction: 'lru' })
+      try {
+        await tracker.trackEvent('disk', 'host-1', { mount: '/var' })
+        const changed = await tracker.trackEvent('disk', 'host-1', { mount: '/tmp' })
+        assert.strictEqual(changed.type, 'immediate')
+        assert.strictEqual(changed.data.count, 1)
+        assert.strictEqual(await tracker.storage.size(), 1)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a full store evicts for a new key',
+    async run () {
+      const tracker = new EventTracker({ maxKeys: 1, eviction: 'lru' })
+      const evicted = []
+      tracker.on('evicted', event => evicted.push(event))
+      try {
+        await tracker.trackEvent('disk', 'host-1')
+        const result = await tracker.trackEvent('disk', 'host-2')
+        assert.strictEqual(result.type, 'immediate')
+        assert.strictEqual(evicted.length, 1)
+        assert.strictEqual(await tracker.storage.size(), 1)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a full store without eviction turns new keys away',
+    async run () {
+      const tracker = new EventTracker({ maxKeys: 1 })
+      try {
+        await tracker.trackEvent('disk', 'host-1')
+        const result = await tracker.trackEvent('disk', 'host-2')
+        assert.strictEqual(result.type, 'ignored')
+        assert.strictEqual(result.reason, 'key_limit_reached')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
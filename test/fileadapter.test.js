@@ -0,0 +1,114 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { FileAdapter } = require('..')
+
+/**
+ * Runs a test against a fresh directory, removed afterwards.
+ * @param {function(string): Promise<void>} fn - Receives the directory.
+ */
+async function withDirectory (fn) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-tracker-'))
+  try {
+    await fn(directory)
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true })
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {number} count
+ */
+function record (key, count) {
+  return { key, count, expiresAt: Date.now() + 60 * 1000 }
+}
+
+/**
+ * @param {string} directory
+ * @returns {string[]} The complete lines of the journal.
+ */
+function journalLines (directory) {
+  return fs.readFileSync(path.join(directory, 'journal.log'), 'utf8').split('\n').slice(0, -1)
+}
+
+module.exports = [
+  {
+    name: 'a journal entry torn by a crash is dropped and cut off',
+    async run () {
+      await withDirectory(async (directory) => {
+        let storage = new FileAdapter({ directory })
+        await storage.set('a', record('a', 1))
+        await storage.set('b', record('b', 2))
+        await storage.destroy()
+        fs.appendFileSync(path.join(directory, 'journal.log'), '{"op":"set","key":"c","rec')
+
+        storage = new FileAdapter({ directory })
+        assert.strictEqual((await storage.get('a')).count, 1)
+        assert.strictEqual((await storage.get('b')).count, 2)
+        assert.strictEqual(await storage.get('c'), undefined)
+        assert.strictEqual(journalLines(directory).length, 2)
+
+        // Later appends start on a line of their own
+        await storage.set('c', record('c', 3))
+        await storage.destroy()
+        storage = new FileAdapter({ directory })
+        assert.strictEqual((await storage.get('c')).count, 3)
+        await storage.destroy()
+      })
+    }
+  },
+  {
+    name: 'a corrupt entry before the end of the journal is refused',
+    async run () {
+      await withDirectory(async (directory) => {
+        let storage = new FileAdapter({ directory })
+        await storage.set('a', record('a', 1))
+        await storage.destroy()
+        const journalPath = path.join(directory, 'journal.log')
+        fs.writeFileSync(journalPath, 'garbage\n' + fs.readFileSync(journalPath, 'utf8'))
+
+        assert.throws(() => { storage = new FileAdapter({ directory }) }, /Corrupt journal entry at offset 0/)
+      })
+    }
+  },
+  {
+    name: 'the journal is replayed on top of a compacted snapshot',
+    async run () {
+      await withDirectory(async (directory) => {
+        let storage = new FileAdapter({ directory })
+        await storage.set('a', record('a', 1))
+        await storage.set('b', record('b', 1))
+        await storage.compact()
+        assert.deepStrictEqual(journalLines(directory), [])
+
+        await storage.set('a', record('a', 2))
+        await storage.delete('b')
+        await storage.destroy()
+        assert.strictEqual(journalLines(directory).length, 2)
+
+        storage = new FileAdapter({ directory })
+        assert.strictEqual((await storage.get('a')).count, 2)
+        assert.strictEqual(await storage.get('b'), undefined)
+        await storage.destroy()
+      })
+    }
+  },
+  {
+    name: 'a snapshot written by a newer release is refused',
+    async run () {
+      await withDirectory(async (directory) => {
+        let storage = new FileAdapter({ directory })
+        await storage.set('a', record('a', 1))
+        await storage.compact()
+        await storage.destroy()
+        const snapshotPath = path.join(directory, 'snapshot.json')
+        const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'))
+        fs.writeFileSync(snapshotPath, JSON.stringify({ ...snapshot, v: snapshot.v + 1 }))
+
+        assert.throws(() => { storage = new FileAdapter({ directory }) }, /Unsupported snapshot version 2/)
+      })
+    }
+  }
+]
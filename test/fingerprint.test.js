@@ -0,0 +1,73 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const { Fingerprinter, normalizers } = EventTracker
+
+module.exports = [
+  {
+    name: 'fingerprints ignore key order and refuse cycles',
+    async run () {
+      const fingerprinter = new Fingerprinter()
+      assert.strictEqual(Fingerprinter.stableStringify({ b: [2, { d: 1, c: undefined }], a: 1 }), '{"a":1,"b":[2,{"d":1}]}')
+      assert.strictEqual(fingerprinter.hash({ a: 1, b: { c: 2, d: 3 } }), fingerprinter.hash({ b: { d: 3, c: 2 }, a: 1 }))
+      assert.notStrictEqual(fingerprinter.hash({ a: 1 }), fingerprinter.hash({ a: '1' }))
+      assert.strictEqual(fingerprinter.hash(undefined), '')
+
+      const details = { a: 1 }
+      details.self = details
+      assert.throws(() => fingerprinter.hash(details), /circular reference/)
+    }
+  },
+  {
+    name: 'include and exclude paths select the fields fingerprinted',
+    async run () {
+      const fingerprinter = new Fingerprinter({ include: ['error.*', 'host'], exclude: ['**.timestamp'] })
+      const details = {
+        host: 'a',
+        requestId: 'r-1',
+        error: { code: 'ETIMEDOUT', timestamp: 1, cause: { message: 'slow', timestamp: 2 } }
+      }
+      assert.deepStrictEqual(fingerprinter.select(details), { host: 'a', error: { code: 'ETIMEDOUT', cause: { message: 'slow' } } })
+      assert.strictEqual(fingerprinter.hash(details), fingerprinter.hash({ ...details, requestId: 'r-2' }))
+
+      const custom = new Fingerprinter((details, category) => `${category}:${details.code}`)
+      assert.strictEqual(custom.hash({ code: 1, at: 1 }, 'api'), custom.hash({ code: 1, at: 2 }, 'api'))
+    }
+  },
+  {
+    name: 'normalized details are counted as the same event',
+    async run () {
+      assert.strictEqual(normalizers.stripNumbers('timeout after 3000ms'), 'timeout after #ms')
+      assert.strictEqual(normalizers.stripUuids('job 123e4567-e89b-12d3-a456-426614174000 failed'), 'job <uuid> failed')
+      assert.strictEqual(normalizers.stripHex('at 0x7ffe and deadbeefdeadbeef'), 'at <hex> and <hex>')
+      assert.strictEqual(normalizers.collapseWhitespace('  a \n b '), 'a b')
+      assert.strictEqual(normalizers.lowercase(42), 42)
+
+      const tracker = new EventTracker({
+        fingerprint: { normalizers: { message: [normalizers.stripNumbers, normalizers.lowercase] } }
+      })
+      try {
+        await tracker.trackEvent('api', 'timeout', { message: 'Timeout after 3000ms' })
+        const result = await tracker.trackEvent('api', 'timeout', { message: 'timeout after 5000ms' })
+        assert.strictEqual(result.data.count, 2)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a keyFunction groups events into records of its own',
+    async run () {
+      const tracker = new EventTracker({ keyFunction: (category, id, details) => `${category}:${details.tenant}` })
+      try {
+        await tracker.trackEvent('api', 'timeout', { tenant: 't1' })
+        const result = await tracker.trackEvent('api', 'refused', { tenant: 't1' })
+        assert.strictEqual(result.data.key, tracker.getCompositeKey('api', 'refused', { tenant: 't1' }))
+        assert.match(result.data.key, /^[0-9a-f]{64}$/)
+        assert.strictEqual((await tracker.trackEvent('api', 'timeout', { tenant: 't2' })).data.count, 1)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,110 @@
+const assert = require('assert')
+const EventTracker = require('..')
+const { trimDetails } = require('../delivery/history')
+
+/**
+ * @param {HistoryEntry[]} history
+ * @returns {Array} The outcome and details of each entry.
+ */
+function shape (history) {
+  return history.map(({ outcome, details }) => [outcome, details])
+}
+
+// Occurrences differing only in their attempt belong to the same stream
+const fingerprint = { exclude: ['attempt'] }
+
+module.exports = [
+  {
+    name: 'history keeps the latest occurrences of a record, oldest first',
+    async run () {
+      const tracker = new EventTracker({ limit: 2, history: { size: 3 }, fingerprint })
+      try {
+        for (let attempt = 1; attempt <= 5; attempt++) {
+          await tracker.trackEvent('api', 'timeout', { attempt }, { severity: 'warning', priority: attempt })
+        }
+        const history = await tracker.getHistory('api', 'timeout')
+        assert.deepStrictEqual(shape(history), [['deferred', { attempt: 3 }], ['ignored', { attempt: 4 }], ['ignored', { attempt: 5 }]])
+        assert.deepStrictEqual(Object.keys(history[0]).sort(), ['at', 'details', 'layer', 'outcome', 'priority', 'severity'])
+        assert.strictEqual(history[0].layer, 'key')
+        assert.strictEqual(history[2].priority, 5)
+        assert.ok(history[0].at <= history[2].at)
+        assert.deepStrictEqual(await tracker.getHistory('api', 'unknown'), [])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'details too long to keep with every occurrence are cut',
+    async run () {
+      assert.deepStrictEqual(trimDetails({ a: 1 }, 7), { a: 1 })
+      assert.strictEqual(trimDetails({ a: 12 }, 7), '{"a":12…')
+      assert.strictEqual(trimDetails(undefined, 7), undefined)
+
+      const tracker = new EventTracker({ history: { detailsLimit: 10 } })
+      try {
+        await tracker.trackEvent('api', 'timeout', { message: 'upstream timed out' })
+        const [entry] = await tracker.getHistory('api', 'timeout')
+        assert.strictEqual(entry.details, '{"message"…')
+        assert.deepStrictEqual((await tracker.getRecord('api', 'timeout')).details, { message: 'upstream timed out' })
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a batch records the same history as tracking its events in turn',
+    async run () {
+      const batched = new EventTracker({ limit: 1, history: true, fingerprint })
+      const sequential = new EventTracker({ limit: 1, history: true, fingerprint })
+      const events = [1, 2, 3].map(attempt => ({ category: 'api', id: 'timeout', details: { attempt } }))
+      try {
+        await batched.trackEvents(events)
+        for (const { category, id, details } of events) {
+          await sequential.trackEvent(category, id, details)
+        }
+        const history = shape(await batched.getHistory('api', 'timeout'))
+        assert.deepStrictEqual(history, shape(await sequential.getHistory('api', 'timeout')))
+        assert.deepStrictEqual(history, [['immediate', { attempt: 1 }], ['deferred', { attempt: 2 }], ['ignored', { attempt: 3 }]])
+      } finally {
+        await batched.destroy()
+        await sequential.destroy()
+      }
+    }
+  },
+  {
+    name: 'deferred deliveries carry the history of their record',
+    async run () {
+      const delivered = []
+      const tracker = new EventTracker({
+        limit: 1,
+        history: true,
+        fingerprint,
+        onDeferredEventDue: async (records) => { delivered.push(...records) }
+      })
+      try {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+          await tracker.trackEvent('api', 'timeout', { attempt })
+        }
+        await tracker.flushDeferred('api', 'timeout')
+        await tracker.close()
+        assert.strictEqual(delivered.length, 1)
+        assert.deepStrictEqual(shape(delivered[0].history), [['immediate', { attempt: 1 }], ['deferred', { attempt: 2 }], ['ignored', { attempt: 3 }]])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'history needs a storage adapter that keeps it',
+    async run () {
+      const storage = new EventTracker.InMemoryAdapter()
+      storage.appendHistory = undefined
+      try {
+        assert.throws(() => new EventTracker({ storage, history: true }), /history requires a storage adapter/)
+      } finally {
+        await storage.destroy()
+      }
+    }
+  }
+]
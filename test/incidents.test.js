@@ -0,0 +1,76 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+module.exports = [
+  {
+    name: 'incidents take no maxKeys slot and survive eviction',
+    async run () {
+      const tracker = new EventTracker({ maxKeys: 2, eviction: 'lru', incidents: { minMembers: 2 } })
+      const events = []
+      for (const name of ['evicted', 'incident_opened', 'incident_resolved']) {
+        tracker.on(name, () => events.push(name))
+      }
+      try {
+        await tracker.trackEvent('db', 'replica-1')
+        const { incident } = await tracker.trackEvent('db', 'replica-2')
+        assert.ok(incident)
+        assert.strictEqual(await tracker.storage.size(), 2)
+        assert.deepStrictEqual(events, ['incident_opened'])
+
+        await tracker.trackEvent('db', 'replica-3')
+        assert.deepStrictEqual(events, ['incident_opened', 'evicted'])
+        const [open] = await tracker.getIncidents({ status: 'open' })
+        assert.strictEqual(open.id, incident)
+        assert.strictEqual(open.memberCount, 3)
+        assert.strictEqual((await tracker.listRecords()).records.length, 2)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'events ignored for want of a key slot join no incident',
+    async run () {
+      const tracker = new EventTracker({ maxKeys: 1, incidents: { minMembers: 2 } })
+      let opened = 0
+      tracker.on('incident_opened', () => { opened++ })
+      try {
+        await tracker.trackEvent('db', 'replica-1')
+        const ignored = await tracker.trackEvent('db', 'replica-2')
+        assert.strictEqual(ignored.reason, 'key_limit_reached')
+        assert.strictEqual(ignored.incident, undefined)
+        assert.strictEqual(opened, 0)
+        const [pending] = await tracker.getIncidents()
+        assert.strictEqual(pending.status, 'pending')
+        assert.strictEqual(pending.memberCount, 1)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'quiet incidents are resolved, active ones kept',
+    async run () {
+      const tracker = new EventTracker({ incidents: { minMembers: 2, quietPeriod: 100, checkInterval: 60 * 1000 } })
+      const resolved = []
+      tracker.on('incident_resolved', incident => resolved.push(incident.group))
+      try {
+        await tracker.trackEvent('db', 'replica-1')
+        await tracker.trackEvent('db', 'replica-2')
+        await sleep(60)
+        await tracker.trackEvent('api', 'host-1')
+        await tracker.trackEvent('api', 'host-2')
+        await sleep(60)
+
+        const quiet = await tracker.incidents.resolveQuiet()
+        assert.deepStrictEqual(quiet.map(incident => incident.group), ['db'])
+        assert.deepStrictEqual(resolved, ['db'])
+        assert.deepStrictEqual((await tracker.getIncidents()).map(incident => incident.group), ['api'])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,81 @@
+const assert = require('assert')
+const EventTracker = require('..')
+const { Counter, Gauge, Histogram, renderPrometheus } = require('../metrics/instruments')
+
+/**
+ * Finds a sample of a metric family by its labels.
+ * @param {MetricFamily[]} families
+ * @param {string} name
+ * @param {object} [labels={}] - Labels the sample must have.
+ * @returns {Sample|undefined}
+ */
+function sample (families, name, labels = {}) {
+  const family = families.find(candidate => candidate.name === name)
+  return family.samples.find(candidate => Object.entries(labels).every(([label, value]) => candidate.labels[label] === value))
+}
+
+module.exports = [
+  {
+    name: 'metrics render in the Prometheus text format',
+    async run () {
+      const counter = new Counter({ name: 'events_total', help: 'Events.\nAll of them.', labelNames: ['category'] })
+      counter.inc({ category: 'db "primary"\\1' })
+      counter.inc({ category: 'db "primary"\\1' }, 2)
+      counter.inc({ category: null })
+      const gauge = new Gauge({ name: 'keys', help: 'Keys.' })
+      gauge.set({}, 7)
+      const histogram = new Histogram({ name: 'lag_seconds', help: 'Lag.', buckets: [1, 0.5] })
+      histogram.observe({}, 0.25)
+      histogram.observe({}, 0.75)
+      histogram.observe({}, 5)
+
+      assert.strictEqual(renderPrometheus([counter.collect(), gauge.collect(), histogram.collect()]), [
+        '# HELP events_total Events.\\nAll of them.',
+        '# TYPE events_total counter',
+        'events_total{category="db \\"primary\\"\\\\1"} 3',
+        'events_total{category=""} 1',
+        '# HELP keys Keys.',
+        '# TYPE keys gauge',
+        'keys 7',
+        '# HELP lag_seconds Lag.',
+        '# TYPE lag_seconds histogram',
+        'lag_seconds_bucket{le="0.5"} 1',
+        'lag_seconds_bucket{le="1"} 2',
+        'lag_seconds_bucket{le="+Inf"} 3',
+        'lag_seconds_sum 6',
+        'lag_seconds_count 3',
+        ''
+      ].join('\n'))
+    }
+  },
+  {
+    name: 'a tracker counts its outcomes and reads its backlog from storage',
+    async run () {
+      const tracker = new EventTracker({ limit: 1, metrics: true })
+      try {
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('db', 'b')
+
+        const { metrics } = await tracker.metrics.snapshot()
+        assert.strictEqual(sample(metrics, 'event_tracker_events_total', { category: 'api', outcome: 'immediate' }).value, 1)
+        assert.strictEqual(sample(metrics, 'event_tracker_events_total', { category: 'api', outcome: 'deferred', layer: 'key' }).value, 1)
+        assert.strictEqual(sample(metrics, 'event_tracker_events_total', { category: 'api', outcome: 'ignored' }).value, 1)
+        assert.strictEqual(sample(metrics, 'event_tracker_active_keys').value, 2)
+        assert.strictEqual(sample(metrics, 'event_tracker_deferred_backlog', { category: 'api' }).value, 1)
+        assert.strictEqual(sample(metrics, 'event_tracker_track_duration_seconds').count, 4)
+        assert.match(await tracker.metrics.prometheus(), /^event_tracker_events_total\{category="db",outcome="immediate",reason="",layer=""\} 1$/m)
+
+        tracker.metrics.detach()
+        await tracker.trackEvent('db', 'b')
+        const detached = await tracker.metrics.collect()
+        assert.strictEqual(sample(detached, 'event_tracker_events_total', { category: 'db' }).value, 1)
+        tracker.metrics.reset()
+        assert.strictEqual(sample(await tracker.metrics.collect(), 'event_tracker_events_total'), undefined)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
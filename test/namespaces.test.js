@@ -0,0 +1,73 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const EventTracker = require('..')
+
+const { InMemoryAdapter, FileAdapter } = EventTracker
+
+module.exports = [
+  {
+    name: 'each tenant gets its own maxKeys and deferred queue',
+    async run () {
+      const storage = new InMemoryAdapter()
+      const tenant = namespace => new EventTracker({ storage, namespace, maxKeys: 2, limit: 1 })
+      const first = tenant('tenant-1')
+      const second = tenant('tenant-2')
+      try {
+        await first.trackEvent('api', 'a')
+        await first.trackEvent('api', 'b')
+        assert.strictEqual((await first.trackEvent('api', 'c')).reason, 'key_limit_reached')
+        assert.strictEqual((await second.trackEvent('api', 'c')).type, 'immediate')
+
+        assert.strictEqual((await first.trackEvent('api', 'a')).type, 'deferred')
+        assert.strictEqual((await first.storage.findAllDeferred()).length, 1)
+        assert.deepStrictEqual(await second.storage.findAllDeferred(), [])
+        assert.strictEqual(await storage.size(), 0)
+      } finally {
+        await first.destroy()
+        await second.destroy()
+        await storage.destroy()
+      }
+    }
+  },
+  {
+    name: 'clearing a tenant leaves the others alone',
+    async run () {
+      const storage = new InMemoryAdapter()
+      const first = new EventTracker({ storage, namespace: 'tenant-1' })
+      const second = new EventTracker({ storage, namespace: 'tenant-2' })
+      try {
+        await first.trackEvent('api', 'a')
+        await second.trackEvent('api', 'a')
+        assert.strictEqual(await first.clear(), 1)
+        assert.strictEqual(await first.getRecord('api', 'a'), undefined)
+        assert.ok(await second.getRecord('api', 'a'))
+      } finally {
+        await first.destroy()
+        await second.destroy()
+        await storage.destroy()
+      }
+    }
+  },
+  {
+    name: 'a FileAdapter namespace is kept on disk apart from the others',
+    async run () {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-tracker-'))
+      try {
+        let storage = new FileAdapter({ directory })
+        await storage.withNamespace('tenant-1').set('a', { key: 'a', count: 3, expiresAt: Date.now() + 60 * 1000 })
+        await storage.destroy()
+
+        storage = new FileAdapter({ directory })
+        assert.strictEqual((await storage.withNamespace('tenant-1').get('a')).count, 3)
+        assert.strictEqual(await storage.get('a'), undefined)
+        assert.strictEqual(await storage.withNamespace('tenant-2').get('a'), undefined)
+        assert.throws(() => storage.withNamespace('../escape'), /Invalid namespace/)
+        await storage.destroy()
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true })
+      }
+    }
+  }
+]
@@ -0,0 +1,123 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const EventTracker = require('..')
+
+const { FileAdapter } = EventTracker
+
+/**
+ * Tracks `count` events for each stream.
+ * @param {EventTracker} tracker
+ * @param {Object<string, number>} counts - Counts by `category/id`.
+ */
+async function trackAll (tracker, counts) {
+  for (const [stream, count] of Object.entries(counts)) {
+    const [category, id] = stream.split('/')
+    for (let i = 0; i < count; i++) {
+      await tracker.trackEvent(category, id)
+    }
+  }
+}
+
+const streams = { 'api/a': 1, 'api/b': 3, 'api/c': 2, 'api/d': 1, 'db/x': 4 }
+
+module.exports = [
+  {
+    name: 'records are paged through in key order on either adapter',
+    async run () {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-tracker-'))
+      const storages = [undefined, new FileAdapter({ directory })]
+      try {
+        for (const storage of storages) {
+          const tracker = new EventTracker({ storage, limit: 2 })
+          try {
+            await trackAll(tracker, streams)
+            const keys = []
+            let cursor = null
+            let pages = 0
+            do {
+              const page = await tracker.listRecords({ cursor, limit: 2 })
+              assert.ok(page.records.length <= 2)
+              keys.push(...page.records.map(record => record.key))
+              cursor = page.cursor
+              pages++
+            } while (cursor !== null)
+            assert.strictEqual(pages, 3)
+            assert.deepStrictEqual(keys, [...keys].sort())
+            assert.strictEqual(keys.length, 5)
+          } finally {
+            await tracker.destroy()
+          }
+        }
+      } finally {
+        await storages[1].destroy()
+        fs.rmSync(directory, { recursive: true, force: true })
+      }
+    }
+  },
+  {
+    name: 'records are filtered by category, deferral and count',
+    async run () {
+      const tracker = new EventTracker({ limit: 2 })
+      const ids = page => page.records.map(record => record.id).sort()
+      try {
+        await trackAll(tracker, streams)
+        assert.deepStrictEqual(ids(await tracker.listRecords({ category: 'api' })), ['a', 'b', 'c', 'd'])
+        assert.deepStrictEqual(ids(await tracker.listRecords({ deferred: true })), ['b', 'x'])
+        assert.deepStrictEqual(ids(await tracker.listRecords({ category: 'api', deferred: false, minCount: 2 })), ['c'])
+        assert.strictEqual((await tracker.getRecord('db', 'x')).count, 4)
+        assert.strictEqual(await tracker.getRecord('db', 'y'), undefined)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'stats count keys per category and report the noisiest and the backlog',
+    async run () {
+      const tracker = new EventTracker({ limit: 2 })
+      try {
+        await trackAll(tracker, streams)
+        const stats = await tracker.getStats({ top: 2 })
+        assert.strictEqual(stats.keys, 5)
+        assert.deepStrictEqual(stats.categories, {
+          api: { keys: 4, events: 7, deferred: 1 },
+          db: { keys: 1, events: 4, deferred: 1 }
+        })
+        assert.deepStrictEqual(stats.topKeys.map(({ id, count, deferred }) => ({ id, count, deferred })), [
+          { id: 'x', count: 4, deferred: true },
+          { id: 'b', count: 3, deferred: true }
+        ])
+        assert.strictEqual(stats.backlog.deferred, 2)
+        assert.strictEqual(stats.backlog.overdue, 0)
+        assert.ok(stats.backlog.oldestAge >= 0)
+        assert.strictEqual(stats.backlog.oldestAge, stats.generatedAt - stats.backlog.oldestDeferredAt)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'resetting a stream or a category lets its next event through',
+    async run () {
+      const tracker = new EventTracker({ limit: 1 })
+      const reset = []
+      tracker.on('reset', ({ category, id }) => reset.push(`${category}/${id}`))
+      try {
+        await trackAll(tracker, { 'api/a': 2, 'api/b': 2, 'db/x': 2 })
+        assert.strictEqual(await tracker.reset('db', 'x'), true)
+        assert.strictEqual(await tracker.reset('db', 'x'), false)
+        assert.strictEqual((await tracker.trackEvent('db', 'x')).type, 'immediate')
+
+        assert.strictEqual(await tracker.resetCategory('api'), 2)
+        assert.deepStrictEqual(reset, ['db/x', 'api/a', 'api/b'])
+        assert.deepStrictEqual(await tracker.getDeferredEvents(), [])
+        assert.strictEqual((await tracker.trackEvent('api', 'a')).type, 'immediate')
+        assert.strictEqual((await tracker.getRecord('db', 'x')).count, 1)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,62 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+module.exports = [
+  {
+    name: 'a closed global quota reopens once its interval has passed',
+    async run () {
+      const tracker = new EventTracker({ quotas: { global: { limit: 2, deferInterval: 100 } } })
+      try {
+        assert.strictEqual((await tracker.trackEvent('api', '1')).type, 'immediate')
+        assert.strictEqual((await tracker.trackEvent('api', '2')).type, 'immediate')
+        const closed = await tracker.trackEvent('api', '3')
+        assert.strictEqual(closed.type, 'deferred')
+        assert.strictEqual(closed.layer, 'global')
+        assert.strictEqual((await tracker.trackEvent('api', '4')).layer, 'global')
+
+        await sleep(150)
+        assert.strictEqual((await tracker.trackEvent('api', '10')).type, 'immediate')
+        assert.strictEqual((await tracker.trackEvent('api', '11')).type, 'immediate')
+        assert.strictEqual((await tracker.trackEvent('api', '12')).layer, 'global')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'quota records take no maxKeys slot',
+    async run () {
+      const tracker = new EventTracker({ maxKeys: 2, eviction: 'lru', quotas: { category: { limit: 10 }, global: { limit: 10 } } })
+      const evicted = []
+      tracker.on('evicted', event => evicted.push(event))
+      try {
+        assert.strictEqual((await tracker.trackEvent('api', '1')).type, 'immediate')
+        assert.strictEqual((await tracker.trackEvent('api', '2')).type, 'immediate')
+        assert.strictEqual(await tracker.storage.size(), 2)
+        assert.deepStrictEqual(evicted, [])
+        const { category, global } = await tracker.getQuotaStates('api')
+        assert.strictEqual(category.count, 2)
+        assert.strictEqual(global.count, 2)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a category quota only holds back its own category',
+    async run () {
+      const tracker = new EventTracker({ quotas: { category: { limit: 1, deferInterval: 1000 } } })
+      try {
+        assert.strictEqual((await tracker.trackEvent('api', '1')).type, 'immediate')
+        const held = await tracker.trackEvent('api', '2')
+        assert.strictEqual(held.type, 'deferred')
+        assert.strictEqual(held.layer, 'category')
+        assert.strictEqual((await tracker.trackEvent('db', '1')).type, 'immediate')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
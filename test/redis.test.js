@@ -0,0 +1,68 @@
+const assert = require('assert')
+const { RedisAdapter } = require('..')
+
+/**
+ * The parts of a node-redis v4 `createCluster()` client the adapter routes
+ * through, recording what reaches the node holding a slot.
+ */
+function createClusterStub (calls) {
+  const node = {
+    async executeIsolated (fn) {
+      calls.push('isolated')
+      return fn({
+        async watch (key) { calls.push(`watch ${key}`) },
+        async get () { return 'someone-else' },
+        async unwatch () { calls.push('unwatch') }
+      })
+    },
+    async * scanIterator ({ MATCH }) {
+      calls.push(`scan ${MATCH}`)
+      yield '{billing}:event-tracker:a'
+      yield '{billing}:event-tracker:index'
+    }
+  }
+  return {
+    getSlotMaster (slot) {
+      calls.push(`slot ${slot}`)
+      return { slot }
+    },
+    nodeClient () { return node },
+    async del (keys) { calls.push(`del ${keys.join(' ')}`) }
+  }
+}
+
+module.exports = [
+  {
+    name: 'a cluster client requires hash-tagged keys',
+    async run () {
+      assert.throws(() => new RedisAdapter({ redisClient: createClusterStub([]) }), /hashTag: true/)
+    }
+  },
+  {
+    name: 'hash tags keep a namespace in one slot',
+    async run () {
+      assert.strictEqual(RedisAdapter.prefixFor('billing', true), '{billing}:event-tracker:')
+      assert.strictEqual(RedisAdapter.prefixFor(null, true), '{event-tracker}:')
+      // CLUSTER KEYSLOT of the tags, as Redis computes them
+      assert.strictEqual(new RedisAdapter({ redisClient: createClusterStub([]), namespace: 'billing', hashTag: true }).slot, 12682)
+      assert.strictEqual(new RedisAdapter({ redisClient: createClusterStub([]), hashTag: true }).slot, 3306)
+    }
+  },
+  {
+    name: 'a cluster adapter runs transactions and scans on the master of its slot',
+    async run () {
+      const calls = []
+      const adapter = new RedisAdapter({ redisClient: createClusterStub(calls), namespace: 'billing', hashTag: true })
+      assert.strictEqual(await adapter.releaseLock('leader', 'me'), false)
+      assert.deepStrictEqual(calls, ['slot 12682', 'isolated', 'watch {billing}:event-tracker:lock:leader', 'unwatch'])
+
+      calls.length = 0
+      assert.strictEqual(await adapter.clear(), 1)
+      assert.deepStrictEqual(calls, [
+        'slot 12682',
+        'scan {billing}:event-tracker:*',
+        'del {billing}:event-tracker:a {billing}:event-tracker:index'
+      ])
+    }
+  }
+]
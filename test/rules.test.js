@@ -0,0 +1,74 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const { TokenBucketStrategy, FixedWindowStrategy } = EventTracker
+
+module.exports = [
+  {
+    name: 'the first matching rule by priority throttles an event',
+    async run () {
+      const tracker = new EventTracker({
+        limit: 100,
+        rules: [
+          { name: 'payments', category: 'http', id: 'payment-*', limit: 1 },
+          { name: 'payment-5xx', category: 'http', id: /^payment-/, details: { status: s => s >= 500 }, priority: 10, strategy: TokenBucketStrategy, bucketSize: 2, refillRate: 0.001 },
+          { name: 'eu', category: 'http', details: { region: /^eu-/ } }
+        ]
+      })
+      const matched = []
+      tracker.on('rule_matched', ({ rule }) => matched.push(rule))
+      try {
+        assert.deepStrictEqual(tracker.listRules().map(rule => rule.name), ['payment-5xx', 'payments', 'eu'])
+        await tracker.trackEvent('http', 'payment-api', { status: 503 })
+        await tracker.trackEvent('http', 'payment-api', { status: 404 })
+        await tracker.trackEvent('http', 'search', { region: 'eu-west-1' })
+        await tracker.trackEvent('http', 'search', { region: 'us-east-1' })
+        assert.deepStrictEqual(matched, ['payment-5xx', 'payments', 'eu'])
+
+        const record = await tracker.getRecord('http', 'payment-api')
+        assert.strictEqual(record.rule, 'payments')
+        assert.strictEqual(record.config.limit, 1)
+        assert.strictEqual((await tracker.trackEvent('http', 'payment-api', { status: 404 })).type, 'deferred')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a record starts over when its events move to another rule',
+    async run () {
+      const tracker = new EventTracker({ limit: 1 })
+      try {
+        await tracker.trackEvent('api', 'timeout')
+        assert.strictEqual((await tracker.trackEvent('api', 'timeout')).type, 'deferred')
+        tracker.addRule({ name: 'api', category: 'api', strategy: FixedWindowStrategy, limit: 5 })
+        const result = await tracker.trackEvent('api', 'timeout')
+        assert.strictEqual(result.type, 'immediate')
+        assert.strictEqual(result.data.count, 1)
+        assert.strictEqual(result.data.rule, 'api')
+
+        assert.strictEqual(tracker.removeRule('api'), true)
+        assert.strictEqual(tracker.removeRule('api'), false)
+        assert.strictEqual((await tracker.trackEvent('api', 'timeout')).data.rule, null)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'invalid rules are refused, and globs match literally',
+    async run () {
+      const tracker = new EventTracker({ rules: [{ name: 'v1', category: 'api.v?' }] })
+      try {
+        assert.throws(() => tracker.addRule({ name: 'v1' }), /already exists/)
+        assert.throws(() => tracker.addRule({ strategy: class {} }), /extending BaseStrategy/)
+        assert.throws(() => tracker.addRule({ category: 42 }), /glob strings or RegExp/)
+        assert.throws(() => tracker.addRule({ details: 'status' }), /predicate function or an object/)
+        assert.ok(tracker.rules.match('api.v2', 'a', {}))
+        assert.strictEqual(tracker.rules.match('apixv2', 'a', {}), undefined)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,61 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Runs the test files: every `*.test.js` in this directory, or the ones named
+ * on the command line. A test file exports an array of cases shaped like the
+ * storage conformance suite's, `{ name, run }`, where `run` rejects (or
+ * throws) on failure and may resolve to 'skipped'.
+ *
+ * It depends on nothing but Node, so the tests run on every version the
+ * package supports.
+ *
+ *     npm test
+ *     node test/run.js test/quotas.test.js
+ */
+
+const CASE_TIMEOUT_MS = 10 * 1000
+
+/**
+ * @param {function(): Promise<*>} run
+ * @returns {Promise<*>} Rejects if `run` does not settle within CASE_TIMEOUT_MS.
+ */
+function withTimeout (run) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${CASE_TIMEOUT_MS} ms.`)), CASE_TIMEOUT_MS)
+  })
+  return Promise.race([Promise.resolve().then(run), timeout]).finally(() => clearTimeout(timer))
+}
+
+async function main () {
+  const files = process.argv.length > 2
+    ? process.argv.slice(2).map(file => path.resolve(file))
+    : fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort().map(file => path.join(__dirname, file))
+
+  const counts = { passed: 0, failed: 0, skipped: 0 }
+  for (const file of files) {
+    console.log(path.basename(file))
+    for (const testCase of require(file)) {
+      try {
+        const status = await withTimeout(() => testCase.run()) === 'skipped' ? 'skipped' : 'passed'
+        counts[status] += 1
+        console.log(`  ${status === 'passed' ? 'ok' : 'skip'}  ${testCase.name}`)
+      } catch (error) {
+        counts.failed += 1
+        console.log(`  FAIL  ${testCase.name}`)
+        console.log(String(error && error.stack).replace(/^/gm, '        '))
+      }
+    }
+  }
+  console.log(`\n${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped`)
+  return counts.failed === 0
+}
+
+main().then(
+  passed => process.exit(passed ? 0 : 1),
+  error => {
+    console.error(error)
+    process.exit(1)
+  }
+)
@@ -0,0 +1,76 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Creates a tracker in timer scheduling mode that records its deliveries.
+ * @param {object} options - Further tracker options.
+ * @returns {{tracker: EventTracker, batches: string[][]}}
+ */
+function createTimedTracker (options) {
+  const batches = []
+  const tracker = new EventTracker({
+    limit: 1,
+    scheduling: 'timer',
+    processingInterval: 60 * 1000,
+    onDeferredEventDue: async (records) => { batches.push(records.map(record => record.id)) },
+    ...options
+  })
+  return { tracker, batches }
+}
+
+module.exports = [
+  {
+    name: 'a deferred record is delivered when it falls due, not on the next poll',
+    async run () {
+      const { tracker, batches } = createTimedTracker({ deferInterval: 40 })
+      const lags = []
+      tracker.on('delivery_lag', ({ lag }) => lags.push(lag))
+      try {
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        await sleep(20)
+        assert.deepStrictEqual(batches, [])
+        await sleep(60)
+        assert.deepStrictEqual(batches, [['a']])
+        assert.strictEqual(lags.length, 1)
+        assert.ok(lags[0] >= 0 && lags[0] < 1000)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'records falling due within the tolerance are delivered together',
+    async run () {
+      const { tracker, batches } = createTimedTracker({ deferInterval: 40, schedulingTolerance: 50 })
+      try {
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        await sleep(20)
+        await tracker.trackEvent('api', 'b')
+        await tracker.trackEvent('api', 'b')
+        await sleep(120)
+        assert.deepStrictEqual(batches, [['a', 'b']])
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a record due beyond the longest timer delay does not fire early',
+    async run () {
+      const { tracker, batches } = createTimedTracker({ deferInterval: 2 ** 32, expireTime: 2 ** 33 })
+      try {
+        await tracker.trackEvent('api', 'a')
+        await tracker.trackEvent('api', 'a')
+        await sleep(30)
+        assert.deepStrictEqual(batches, [])
+        assert.ok(tracker.scheduler.armedAt > Date.now() + 2 ** 31)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
@@ -0,0 +1,57 @@
+const assert = require('assert')
+const { FORMAT_VERSION, serializeRecord, deserializeRecord } = require('../storage/serialization')
+
+module.exports = [
+  {
+    name: 'a record round-trips with its nested and special values',
+    async run () {
+      const record = {
+        key: 'api:timeout',
+        count: 3,
+        expiresAt: Infinity,
+        deferred: true,
+        details: { host: 'a' },
+        config: { limit: 5, severityLimits: { critical: 50 } },
+        strategyData: { tokens: 2, lastRefill: 1000 },
+        firstSeen: new Date('2026-01-02T03:04:05.000Z'),
+        bytes: 12345678901234567890n,
+        owner: 'team-a'
+      }
+      const hash = serializeRecord(record)
+      assert.strictEqual(hash.v, String(FORMAT_VERSION))
+      assert.deepStrictEqual(deserializeRecord(hash), record)
+    }
+  },
+  {
+    name: 'a legacy flat hash is read and converted',
+    async run () {
+      const record = deserializeRecord({
+        key: 'api:timeout',
+        category: 'api',
+        id: '404',
+        count: '3',
+        scheduledSendAt: 'null',
+        deferred: 'true',
+        details: '{"host":"a"}',
+        config: '[object Object]'
+      })
+      assert.deepStrictEqual(record, {
+        key: 'api:timeout',
+        category: 'api',
+        id: '404',
+        count: 3,
+        scheduledSendAt: null,
+        deferred: true,
+        details: { host: 'a' }
+      })
+      assert.strictEqual(deserializeRecord({}), undefined)
+    }
+  },
+  {
+    name: 'a record written by a newer release is refused',
+    async run () {
+      const hash = { v: String(FORMAT_VERSION + 1), record: '{}' }
+      assert.throws(() => deserializeRecord(hash), /Unsupported record format version/)
+    }
+  }
+]
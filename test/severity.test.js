@@ -0,0 +1,86 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const { SeverityScale } = EventTracker
+
+module.exports = [
+  {
+    name: 'an escalation deferred by its strategy leaves nothing to deliver, and the record intact',
+    async run () {
+      const tracker = new EventTracker({ limit: 1, digest: true })
+      const track = severity => tracker.trackEvent('db', 'replica-lag', {}, { severity })
+      try {
+        assert.strictEqual((await track('info')).type, 'immediate')
+        const escalated = await track('critical')
+        assert.strictEqual(escalated.type, 'immediate')
+        assert.strictEqual(escalated.reason, 'escalated')
+        assert.strictEqual(escalated.data.deferred, false)
+
+        assert.strictEqual((await track('info')).type, 'deferred')
+        await tracker.flushDeferred('db', 'replica-lag')
+        const [digest] = await tracker.processDeferredEvents()
+        assert.strictEqual(digest.suppressedCount, 1)
+        assert.strictEqual(digest.totalCount, 3)
+        assert.strictEqual(digest.maxSeverity, 'critical')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'a severity scale ranks and compares its levels',
+    async run () {
+      const scale = new SeverityScale()
+      assert.deepStrictEqual(scale.levels, SeverityScale.DEFAULT_LEVELS)
+      assert.strictEqual(scale.rank('critical'), 4)
+      assert.strictEqual(scale.rank(null), 0)
+      assert.strictEqual(scale.max('warning', 'error'), 'error')
+      assert.strictEqual(scale.max('error', null), 'error')
+      assert.strictEqual(scale.max(undefined, 'debug'), 'debug')
+      assert.strictEqual(scale.max(null, undefined), null)
+      scale.assert(undefined)
+      assert.throws(() => scale.assert('fatal'), /Unknown severity "fatal"; expected one of debug, info/)
+      assert.throws(() => new SeverityScale([]), /non-empty array/)
+      assert.throws(() => new SeverityScale(['low', 'low']), /distinct/)
+    }
+  },
+  {
+    name: 'a tracker only accepts the severities of its own scale',
+    async run () {
+      assert.throws(() => new EventTracker({ severities: ['low', 'high'], severityLimits: { critical: 5 } }), /Unknown severity "critical"/)
+      const tracker = new EventTracker({ severities: ['low', 'high'] })
+      try {
+        await assert.rejects(tracker.trackEvent('db', 'replica-lag', {}, { severity: 'critical' }), /Unknown severity "critical"/)
+        await tracker.trackEvent('db', 'replica-lag', {}, { severity: 'high' })
+        await tracker.trackEvent('db', 'replica-lag', {}, { severity: 'low' })
+        assert.strictEqual((await tracker.getRecord('db', 'replica-lag')).maxSeverity, 'high')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  },
+  {
+    name: 'an event more severe than its record has seen is let through and reported once',
+    async run () {
+      const tracker = new EventTracker({ limit: 1 })
+      const escalations = []
+      tracker.on('escalated', ({ category, id, from, to }) => escalations.push({ category, id, from, to }))
+      const track = async severity => (await tracker.trackEvent('db', 'replica-lag', {}, { severity })).type
+      try {
+        assert.deepStrictEqual([await track(undefined), await track('warning')], ['immediate', 'immediate'])
+        assert.deepStrictEqual([await track('info'), await track('warning')], ['deferred', 'ignored'])
+        assert.strictEqual(await track('critical'), 'immediate')
+        assert.strictEqual(await track('critical'), 'ignored')
+        assert.deepStrictEqual(escalations, [
+          { category: 'db', id: 'replica-lag', from: null, to: 'warning' },
+          { category: 'db', id: 'replica-lag', from: 'warning', to: 'critical' }
+        ])
+        const record = await tracker.getRecord('db', 'replica-lag')
+        assert.strictEqual(record.deferred, true)
+        assert.strictEqual(record.maxSeverity, 'critical')
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]
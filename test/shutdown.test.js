@@ -0,0 +1,129 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const { InMemoryAdapter } = EventTracker
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Takes `delay` ms for every update, as a slow backend does.
+ */
+class SlowAdapter extends InMemoryAdapter {
+  constructor (options) {
+    super(options)
+    this.delay = 0
+  }
+
+  async update (key, updater) {
+    await sleep(this.delay)
+    return super.update(key, updater)
+  }
+}
+
+module.exports = [
+  {
+    name: 'close waits for in-flight events and refuses new ones',
+    async run () {
+      const storage = new SlowAdapter()
+      const tracker = new EventTracker({ storage })
+      const events = []
+      tracker.on('closing', options => events.push(['closing', options]))
+      tracker.on('closed', result => events.push(['closed', result]))
+      storage.delay = 50
+      const inFlight = tracker.trackEvent('api', 'a')
+      const closed = tracker.close()
+      assert.strictEqual(tracker.close(), closed)
+      await assert.rejects(tracker.trackEvent('api', 'b'), /no longer accepts events/)
+      await assert.rejects(tracker.trackEvents([{ category: 'api', id: 'b' }]), /no longer accepts events/)
+
+      const result = await closed
+      assert.strictEqual((await inFlight).type, 'immediate')
+      assert.deepStrictEqual(result, { drained: true, flushed: 0, timedOut: false })
+      assert.deepStrictEqual(events, [['closing', { flush: false, timeout: 30000 }], ['closed', result]])
+      assert.strictEqual(tracker.listenerCount('closed'), 0)
+    }
+  },
+  {
+    name: 'a flush delivers every deferred record before closing',
+    async run () {
+      const delivered = []
+      const tracker = new EventTracker({
+        limit: 1,
+        deferInterval: 60 * 1000,
+        onDeferredEventDue: async (records) => {
+          await sleep(20)
+          delivered.push(...records.map(record => record.id))
+        }
+      })
+      await tracker.trackEvents([{ category: 'api', id: 'a' }, { category: 'api', id: 'a' }, { category: 'api', id: 'b' }, { category: 'api', id: 'b' }])
+      const result = await tracker.close({ flush: true })
+      assert.deepStrictEqual(result, { drained: true, flushed: 2, timedOut: false })
+      assert.deepStrictEqual(delivered.sort(), ['a', 'b'])
+    }
+  },
+  {
+    name: 'in digest mode the flush is delivered as a single summary',
+    async run () {
+      const summaries = []
+      const tracker = new EventTracker({
+        limit: 1,
+        deferInterval: 60 * 1000,
+        digest: true,
+        onDeferredEventDue: async (summary) => { summaries.push(summary) }
+      })
+      await tracker.trackEvents([{ category: 'api', id: 'a' }, { category: 'api', id: 'a' }, { category: 'db', id: 'b' }, { category: 'db', id: 'b' }])
+      const result = await tracker.close({ flush: true })
+      assert.strictEqual(result.flushed, 2)
+      assert.strictEqual(summaries.length, 1)
+      assert.strictEqual(summaries[0].suppressedCount, 2)
+      assert.deepStrictEqual(summaries[0].categories.map(category => category.category).sort(), ['api', 'db'])
+    }
+  },
+  {
+    name: 'without a delivery callback the flushed records are returned',
+    async run () {
+      const tracker = new EventTracker({ limit: 1, deferInterval: 60 * 1000 })
+      await tracker.trackEvent('api', 'a')
+      await tracker.trackEvent('api', 'a')
+      const result = await tracker.close({ flush: true })
+      assert.strictEqual(result.flushed, 1)
+      assert.deepStrictEqual(result.records.map(record => record.id), ['a'])
+    }
+  },
+  {
+    name: 'close gives up on in-flight calls after its timeout',
+    async run () {
+      const storage = new SlowAdapter()
+      const tracker = new EventTracker({ storage })
+      storage.delay = 200
+      const inFlight = tracker.trackEvent('api', 'a')
+      const startedAt = Date.now()
+      const result = await tracker.close({ timeout: 20 })
+      assert.ok(Date.now() - startedAt < 150)
+      assert.deepStrictEqual(result, { drained: false, flushed: 0, timedOut: true })
+      await inFlight
+    }
+  },
+  {
+    name: 'a signal closes the tracker once',
+    async run () {
+      const tracker = new EventTracker()
+      const keepAlive = () => {}
+      process.on('SIGUSR2', keepAlive) // Otherwise the signal is raised again once closed
+      try {
+        let closed = 0
+        tracker.on('closed', () => { closed++ })
+        tracker.closeOnSignals({ signals: ['SIGUSR2'] })
+        process.emit('SIGUSR2', 'SIGUSR2')
+        process.emit('SIGUSR2', 'SIGUSR2')
+        await tracker.close()
+        await sleep(0) // Lets the handler check for other listeners before this one is removed
+        assert.strictEqual(closed, 1)
+        assert.deepStrictEqual(process.listeners('SIGUSR2'), [keepAlive])
+      } finally {
+        process.removeListener('SIGUSR2', keepAlive)
+        await tracker.destroy()
+      }
+    }
+  }
+]
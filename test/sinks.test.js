@@ -0,0 +1,87 @@
+const assert = require('assert')
+const http = require('http')
+const { BaseSink, WebhookSink, SinkRouter, SeverityScale } = require('..')
+
+const notification = {
+  id: 'n1',
+  type: 'immediate',
+  category: 'api',
+  severity: null,
+  generatedAt: 0,
+  title: 'api',
+  text: 'timeout'
+}
+
+module.exports = [
+  {
+    name: 'a timed out attempt is given up on and retried',
+    async run () {
+      const timeouts = []
+      class HangingSink extends BaseSink {
+        deliver (notification, { onTimeout }) {
+          onTimeout(error => timeouts.push(error))
+          return new Promise(() => {})
+        }
+      }
+      const sink = new HangingSink({ timeout: 20, retries: 1, retryDelay: 10 })
+      await assert.rejects(sink.send(notification), /Sink "HangingSink" timed out after 20 ms/)
+      assert.strictEqual(timeouts.length, 2)
+      assert.strictEqual(sink.active, 0)
+    }
+  },
+  {
+    name: 'a timeout listener registered late is called right away',
+    async run () {
+      let late = null
+      class SlowSink extends BaseSink {
+        async deliver (notification, { onTimeout }) {
+          await new Promise(resolve => setTimeout(resolve, 40))
+          onTimeout(error => { late = error })
+        }
+      }
+      const sink = new SlowSink({ timeout: 10, retries: 0 })
+      await assert.rejects(sink.send(notification), /timed out/)
+      await new Promise(resolve => setTimeout(resolve, 50))
+      assert.ok(late instanceof Error)
+    }
+  },
+  {
+    name: 'a webhook attempt that times out closes its connection',
+    async run () {
+      let closed
+      const connectionClosed = new Promise(resolve => { closed = resolve })
+      const server = http.createServer((req, res) => {
+        req.resume()
+        req.socket.on('close', closed) // Never answers
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      try {
+        const sink = new WebhookSink({ url: `http://127.0.0.1:${server.address().port}/hook`, timeout: 50, retries: 0 })
+        await assert.rejects(sink.send(notification), /timed out after 50 ms/)
+        await connectionClosed
+      } finally {
+        await new Promise(resolve => server.close(resolve))
+      }
+    }
+  },
+  {
+    name: 'a retried digest keeps its id unless it merged new occurrences',
+    async run () {
+      const severities = new SeverityScale()
+      const record = suppressedCount => ({
+        key: 'api:a',
+        category: 'api',
+        id: 'a',
+        count: 10,
+        maxSeverity: null,
+        delivery: { dueAt: 1000 },
+        suppression: { suppressedCount, firstSuppressedAt: 100, lastSuppressedAt: 100 + suppressedCount }
+      })
+      const [first] = SinkRouter.digestNotifications([record(3)], 2000, severities)
+      const [retried] = SinkRouter.digestNotifications([record(3)], 3000, severities)
+      const [merged] = SinkRouter.digestNotifications([record(5)], 3000, severities)
+      assert.strictEqual(retried.id, first.id)
+      assert.notStrictEqual(merged.id, first.id)
+    }
+  }
+]
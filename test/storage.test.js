@@ -0,0 +1,25 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { InMemoryAdapter, FileAdapter, conformance } = require('..')
+
+const directories = []
+process.on('exit', () => {
+  for (const directory of directories) {
+    fs.rmSync(directory, { recursive: true, force: true })
+  }
+})
+
+const adapters = {
+  InMemoryAdapter: () => new InMemoryAdapter(),
+  FileAdapter: () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-tracker-'))
+    directories.push(directory)
+    return new FileAdapter({ directory })
+  }
+}
+
+module.exports = Object.entries(adapters).flatMap(([name, createAdapter]) => conformance.cases.map(testCase => ({
+  name: `${name}: ${testCase.name}`,
+  run: () => conformance.runCase(testCase, createAdapter)
+})))
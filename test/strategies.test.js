@@ -0,0 +1,217 @@
+const assert = require('assert')
+const EventTracker = require('..')
+
+const {
+  SimpleCounterStrategy,
+  TokenBucketStrategy,
+  FixedWindowStrategy,
+  SlidingWindowLogStrategy,
+  SlidingWindowCounterStrategy,
+  AdaptiveStrategy
+} = EventTracker
+
+/**
+ * Tracks events of the given severities in turn and collects their outcomes.
+ * @param {EventTracker} tracker
+ * @param {string[]} severities
+ * @returns {Promise<string[]>}
+ */
+async function track (tracker, severities) {
+  const outcomes = []
+  for (const severity of severities) {
+    outcomes.push((await tracker.trackEvent('db', 'replica-lag', {}, { severity })).type)
+  }
+  return outcomes
+}
+
+/**
+ * Checks that warnings over their own limit hold back neither infos nor criticals,
+ * nor let their own deferral go when those are let through.
+ * @param {function(EventTracker): BaseStrategy} createStrategy
+ * @param {string[]} warnings - The expected outcomes of five warnings.
+ */
+async function assertWarningFloodContained (createStrategy, warnings) {
+  const tracker = new EventTracker({ limit: 3, severityLimits: { warning: 2 } })
+  tracker.strategy = createStrategy(tracker)
+  try {
+    assert.deepStrictEqual(await track(tracker, ['warning', 'warning', 'warning', 'warning', 'warning']), warnings)
+    assert.deepStrictEqual(await track(tracker, ['info', 'critical', 'critical']), ['immediate', 'immediate', 'immediate'])
+    const record = await tracker.getRecord('db', 'replica-lag')
+    assert.strictEqual(record.deferred, true)
+    assert.strictEqual(record.suppression.suppressedCount, 3)
+    assert.strictEqual((await track(tracker, ['info']))[0], 'deferred')
+  } finally {
+    await tracker.destroy()
+  }
+}
+
+/**
+ * Runs `fn` with `Date.now()` answering `clock.now`, which `fn` moves.
+ * @param {function({now: number}): Promise<void>} fn
+ * @returns {Promise<void>}
+ */
+async function withClock (fn) {
+  const now = Date.now
+  const clock = { now: 10 * 1000 }
+  Date.now = () => clock.now
+  try {
+    await fn(clock)
+  } finally {
+    Date.now = now
+  }
+}
+
+/**
+ * Tracks an event at each of the given times, and collects the outcomes.
+ * @param {function(EventTracker): BaseStrategy} createStrategy
+ * @param {number[]} times
+ * @returns {Promise<{outcomes: string[], reasons: Array<string|undefined>, records: EventRecord[]}>} The outcomes,
+ * their reasons, and copies of the record after each event.
+ */
+async function trackAt (createStrategy, times) {
+  const tracker = new EventTracker({ limit: 2 })
+  tracker.strategy = createStrategy(tracker)
+  const outcomes = []
+  const reasons = []
+  const records = []
+  try {
+    await withClock(async (clock) => {
+      for (const time of times) {
+        clock.now = time
+        const result = await tracker.trackEvent('api', 'timeout')
+        outcomes.push(result.type)
+        reasons.push(result.reason)
+        records.push(JSON.parse(JSON.stringify(result.data)))
+      }
+    })
+  } finally {
+    await tracker.destroy()
+  }
+  return { outcomes, reasons, records }
+}
+
+const windowed = ['immediate', 'immediate', 'deferred', 'ignored', 'ignored']
+const hour = 60 * 60 * 1000
+
+/**
+ * @param {number[]} counts - How many events to track in each of consecutive one-second windows.
+ * @returns {number[]} The times of the events.
+ */
+function perWindow (counts) {
+  return counts.flatMap((count, window) => Array.from({ length: count }, (_, i) => 10000 + window * 1000 + i))
+}
+
+const adaptive = tracker => new AdaptiveStrategy(tracker, { windowSize: 1000, smoothing: 0.5 })
+
+module.exports = [
+  {
+    name: 'SimpleCounterStrategy: a warning flood does not suppress info/critical',
+    async run () {
+      await assertWarningFloodContained(tracker => new SimpleCounterStrategy(tracker), windowed)
+    }
+  },
+  {
+    name: 'TokenBucketStrategy: a warning flood does not suppress info/critical',
+    async run () {
+      await assertWarningFloodContained(
+        tracker => new TokenBucketStrategy(tracker, { bucketSize: 3, refillRate: 0.001 }),
+        ['immediate', 'immediate', 'deferred', 'deferred', 'deferred']
+      )
+    }
+  },
+  {
+    name: 'window strategies: a warning flood does not suppress info/critical',
+    async run () {
+      for (const Strategy of [FixedWindowStrategy, SlidingWindowLogStrategy, SlidingWindowCounterStrategy]) {
+        await assertWarningFloodContained(tracker => new Strategy(tracker, { windowSize: hour }), windowed)
+      }
+    }
+  },
+  {
+    name: 'FixedWindowStrategy: defers until the next window starts',
+    async run () {
+      const { outcomes, records } = await trackAt(
+        tracker => new FixedWindowStrategy(tracker, { windowSize: 1000 }),
+        [10000, 10100, 10200, 10999, 11000]
+      )
+      assert.deepStrictEqual(outcomes, ['immediate', 'immediate', 'deferred', 'ignored', 'immediate'])
+      assert.strictEqual(records[2].scheduledSendAt, 11000)
+      assert.strictEqual(records[4].deferred, false)
+      assert.deepStrictEqual(records[4].strategyData, { windowStart: 11000, windowCount: 1, deferredPools: {} })
+    }
+  },
+  {
+    name: 'SlidingWindowLogStrategy: defers until the oldest event slides out',
+    async run () {
+      const { outcomes, records } = await trackAt(
+        tracker => new SlidingWindowLogStrategy(tracker, { windowSize: 1000 }),
+        [10000, 10500, 10600, 10999, 11000, 11001]
+      )
+      assert.deepStrictEqual(outcomes, ['immediate', 'immediate', 'deferred', 'ignored', 'immediate', 'deferred'])
+      assert.strictEqual(records[2].scheduledSendAt, 11000)
+      assert.deepStrictEqual(records[5].strategyData.timestamps, [10500, 11000])
+      assert.strictEqual(records[5].scheduledSendAt, 11500)
+    }
+  },
+  {
+    name: 'SlidingWindowCounterStrategy: weights the previous window by its overlap',
+    async run () {
+      const { outcomes, records } = await trackAt(
+        tracker => new SlidingWindowCounterStrategy(tracker, { windowSize: 1000 }),
+        [10000, 10100, 10200, 11400, 11500]
+      )
+      assert.deepStrictEqual(outcomes, ['immediate', 'immediate', 'deferred', 'ignored', 'immediate'])
+      // Once half of the previous window's two events have slid out
+      assert.strictEqual(records[2].scheduledSendAt, 11500)
+      assert.strictEqual(records[4].strategyData.previousCount, 2)
+      assert.strictEqual(records[4].strategyData.currentCount, 1)
+    }
+  },
+  {
+    name: 'AdaptiveStrategy: tightens the limit of a chronically noisy key',
+    async run () {
+      const { outcomes, reasons, records } = await trackAt(adaptive, perWindow([3, 3, 3, 3]))
+      // Still warming up: the configured limit of 2 applies
+      assert.deepStrictEqual(outcomes.slice(6, 9), ['immediate', 'immediate', 'deferred'])
+      assert.deepStrictEqual(reasons.slice(0, 9), Array(9).fill(undefined))
+      assert.deepStrictEqual(outcomes.slice(9), ['immediate', 'deferred', 'ignored'])
+      assert.deepStrictEqual(reasons.slice(9), [AdaptiveStrategy.BASELINE_NOISE, AdaptiveStrategy.BASELINE_NOISE, undefined])
+      assert.deepStrictEqual(records[11].strategyData, { windowStart: 13000, currentCount: 3, baseline: 3, windows: 3 })
+      assert.strictEqual(records[10].scheduledSendAt, 14000)
+    }
+  },
+  {
+    name: 'AdaptiveStrategy: loosens the limit of a quiet key while it bursts',
+    async run () {
+      const { outcomes, reasons } = await trackAt(
+        tracker => new AdaptiveStrategy(tracker, { windowSize: 1000, smoothing: 0.5, burstFactor: 2 }),
+        perWindow([1, 1, 1, 6])
+      )
+      assert.deepStrictEqual(outcomes.slice(3), ['immediate', 'immediate', 'immediate', 'immediate', 'deferred', 'ignored'])
+      const burst = AdaptiveStrategy.BURST_DETECTED
+      assert.deepStrictEqual(reasons.slice(3), [undefined, undefined, burst, burst, burst, undefined])
+    }
+  },
+  {
+    name: 'AdaptiveStrategy: empty windows decay the baseline',
+    async run () {
+      const { reasons, records } = await trackAt(adaptive, [...perWindow([3, 3, 3]), 15000])
+      // Two windows went by without events since the last of the three noisy ones
+      assert.strictEqual(records[9].strategyData.baseline, 0.75)
+      assert.strictEqual(records[9].strategyData.windows, 5)
+      assert.strictEqual(reasons[9], undefined)
+    }
+  },
+  {
+    name: 'AdaptiveStrategy: refuses a smoothing outside (0, 1]',
+    async run () {
+      const tracker = new EventTracker()
+      try {
+        assert.throws(() => new AdaptiveStrategy(tracker, { smoothing: 0 }), /smoothing must be greater than 0/)
+        assert.throws(() => new AdaptiveStrategy(tracker, { smoothing: 1.5 }), /smoothing must be greater than 0/)
+      } finally {
+        await tracker.destroy()
+      }
+    }
+  }
+]